@@ -0,0 +1,279 @@
+/**
+ * АДМИНИСТРАТИВНЫЕ ENDPOINTS
+ *
+ * Просмотр и повтор недоставленных в amoCRM вебхуков (dead-letter),
+ * управление тенантами (аккаунтами amoCRM, см. tenants.js).
+ * Доступ - по токену ADMIN_TOKEN в заголовке Authorization: Bearer <token>
+ * или X-Admin-Token. Без ADMIN_TOKEN endpoints отключены.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { leadMapping, contactMapping, companyMapping, applyMapping } = require('./mapping');
+const { runWithTenant } = require('./tenantContext');
+const { describeTenant } = require('./tenants');
+const { logger } = require('./logger');
+
+/**
+ * Сравнение токенов за постоянное время
+ */
+function tokensEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Middleware проверки токена администратора
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({
+      success: false,
+      error: 'ADMIN_TOKEN не установлен - административные endpoints отключены'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-admin-token'];
+  if (!token || !tokensEqual(token, adminToken)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Неверный или отсутствующий токен администратора'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Отбор заданий по фильтру
+ * По умолчанию отбираются dead-задания; явно перечисленные ids - в любом статусе,
+ * если status не указан
+ * @param {Array} jobs - Задания очереди
+ * @param {Object} filter - { status, ids, since, until, error, eventId, callList, tenant }
+ * @returns {Array}
+ */
+function filterJobs(jobs, filter = {}) {
+  const ids = Array.isArray(filter.ids) ? filter.ids.map(String) : null;
+  const status = filter.status || (ids ? 'all' : 'dead');
+  const since = filter.since ? Date.parse(filter.since) : null;
+  const until = filter.until ? Date.parse(filter.until) : null;
+  const errorText = filter.error ? String(filter.error).toLowerCase() : null;
+
+  return jobs.filter(job =>
+    (status === 'all' || job.status === status) &&
+    (!ids || ids.includes(job.id)) &&
+    (!since || Date.parse(job.createdAt) >= since) &&
+    (!until || Date.parse(job.createdAt) <= until) &&
+    (!errorText || (job.lastError?.message || '').toLowerCase().includes(errorText)) &&
+    (!filter.eventId || String(job.meta?.eventId) === String(filter.eventId)) &&
+    (!filter.callList || job.payload?.callList?.name === filter.callList) &&
+    (!filter.tenant || job.meta?.tenant === filter.tenant)
+  );
+}
+
+/**
+ * Представление задания для ответа: исходный вебхук, тела запросов amoCRM
+ * по текущему маппингу (маппингу тенанта задания) и последняя ошибка amoCRM
+ * @param {Object} job - Задание
+ * @param {Object|null} tenant - Тенант задания
+ */
+function describeJob(job, tenant = null) {
+  let mapped;
+  try {
+    mapped = runWithTenant(tenant, () => ({
+      contact: applyMapping(job.payload, contactMapping),
+      company: applyMapping(job.payload, companyMapping),
+      lead: applyMapping(job.payload, leadMapping)
+    }));
+  } catch (error) {
+    mapped = { error: error.message };
+  }
+
+  return {
+    id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    replayCount: job.replayCount || 0,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    deadAt: job.deadAt || null,
+    nextAttemptAt: job.status === 'pending' ? new Date(job.nextAttemptAt).toISOString() : null,
+    meta: job.meta,
+    lastError: job.lastError,
+    partialResult: job.result || null,
+    payload: job.payload,
+    mapped
+  };
+}
+
+/**
+ * Создание роутера административных endpoints
+ * @param {Object} deps
+ * @param {Object} deps.queue - Очередь доставки (createQueue)
+ * @param {Object} deps.tenants - Реестр тенантов (createTenantRegistry)
+ * @returns {express.Router}
+ */
+function createAdminRouter({ queue, tenants }) {
+  const router = express.Router();
+  router.use(requireAdminToken);
+
+  // Маппинг задания строится в контексте его тенанта
+  const describe = job => describeJob(job, job.meta?.tenant ? tenants.get(job.meta.tenant) : null);
+
+  /**
+   * Список заданий: GET /admin/deliveries?status=dead|pending|all&since=&until=&error=&eventId=&callList=&tenant=
+   */
+  router.get('/deliveries', (req, res) => {
+    const jobs = filterJobs(queue.listJobs(), req.query);
+    res.json({
+      success: true,
+      count: jobs.length,
+      deliveries: jobs.map(describe)
+    });
+  });
+
+  /**
+   * Одно задание: GET /admin/deliveries/:id
+   */
+  router.get('/deliveries/:id', (req, res) => {
+    const job = queue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Задание ${req.params.id} не найдено` });
+    }
+    res.json({ success: true, delivery: describe(job) });
+  });
+
+  /**
+   * Повтор отобранных заданий: POST /admin/deliveries/replay
+   * Body: фильтр { status, ids, since, until, error, eventId, callList, tenant } (по умолчанию - все dead)
+   */
+  router.post('/deliveries/replay', (req, res) => {
+    const jobs = filterJobs(queue.listJobs(), req.body || {});
+    const replayed = jobs.map(job => queue.retryJob(job.id)).filter(Boolean).map(job => job.id);
+    logger.info(`🔁 Повтор доставки заданий: ${replayed.length}`);
+    res.json({ success: true, count: replayed.length, replayed });
+  });
+
+  /**
+   * Повтор одного задания: POST /admin/deliveries/:id/replay
+   */
+  router.post('/deliveries/:id/replay', (req, res) => {
+    const job = queue.retryJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Задание ${req.params.id} не найдено или уже обрабатывается` });
+    }
+    logger.info(`🔁 Повтор доставки задания ${job.id}`);
+    res.json({ success: true, delivery: describe(job) });
+  });
+
+  /**
+   * Удаление отобранных заданий: POST /admin/deliveries/discard
+   * Body: фильтр как у replay и явный выбор - { ids: [...] } или { all: true }
+   * (пустое тело не удаляет все dead-задания). ID, которые не удалены (не найдены,
+   * не подходят под фильтр или обрабатываются), возвращаются в notDiscarded
+   */
+  router.post('/deliveries/discard', (req, res) => {
+    const filter = req.body || {};
+    const hasIds = Array.isArray(filter.ids) && filter.ids.length > 0;
+    if (!hasIds && filter.all !== true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Укажите удаляемые задания: ids - список ID или all: true - все задания, подходящие под фильтр'
+      });
+    }
+    const jobs = filterJobs(queue.listJobs(), filter).filter(job => job.status !== 'processing');
+    jobs.forEach(job => queue.removeJob(job.id));
+    const discarded = jobs.map(job => job.id);
+    const notDiscarded = hasIds ? filter.ids.map(String).filter(id => !discarded.includes(id)) : [];
+    logger.info(`🗑️ Удалено заданий: ${jobs.length}`);
+    if (notDiscarded.length > 0) {
+      logger.warn(`⚠️ Не удалены задания: ${notDiscarded.join(', ')}`);
+    }
+    res.json({ success: true, count: jobs.length, discarded, notDiscarded });
+  });
+
+  /**
+   * Удаление одного задания: DELETE /admin/deliveries/:id
+   */
+  router.delete('/deliveries/:id', (req, res) => {
+    const job = queue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: `Задание ${req.params.id} не найдено` });
+    }
+    if (job.status === 'processing') {
+      return res.status(409).json({ success: false, error: `Задание ${job.id} сейчас обрабатывается` });
+    }
+    queue.removeJob(job.id);
+    logger.info(`🗑️ Задание ${job.id} удалено`);
+    res.json({ success: true, discarded: job.id });
+  });
+
+  /**
+   * Список тенантов: GET /admin/tenants (секреты скрыты)
+   */
+  router.get('/tenants', (req, res) => {
+    const list = tenants.list();
+    res.json({ success: true, count: list.length, tenants: list.map(describeTenant) });
+  });
+
+  /**
+   * Один тенант: GET /admin/tenants/:id
+   */
+  router.get('/tenants/:id', (req, res) => {
+    const tenant = tenants.get(req.params.id);
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: `Тенант ${req.params.id} не найден` });
+    }
+    res.json({ success: true, tenant: describeTenant(tenant) });
+  });
+
+  /**
+   * Сохранение тенанта
+   * PUT /admin/tenants/:id - создание или полная замена настроек
+   * PATCH /admin/tenants/:id - изменение отдельных полей (env объединяется с текущим)
+   */
+  function saveTenant(req, res, merge) {
+    const existing = tenants.get(req.params.id);
+    if (merge && !existing) {
+      return res.status(404).json({ success: false, error: `Тенант ${req.params.id} не найден` });
+    }
+    const body = req.body || {};
+    const tenant = merge
+      ? { ...existing, ...body, env: body.env ? { ...existing.env, ...body.env } : existing.env, id: existing.id }
+      : { ...body, id: req.params.id };
+
+    try {
+      const saved = tenants.save(tenant);
+      logger.info(`🏢 Тенант ${saved.id} ${existing ? 'обновлен' : 'создан'}`);
+      res.status(existing ? 200 : 201).json({ success: true, tenant: describeTenant(saved) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: 'Настройки тенанта содержат ошибки', errors: error.details || [error.message] });
+    }
+  }
+
+  router.put('/tenants/:id', (req, res) => saveTenant(req, res, false));
+  router.patch('/tenants/:id', (req, res) => saveTenant(req, res, true));
+
+  /**
+   * Удаление тенанта: DELETE /admin/tenants/:id
+   * Задания тенанта в очереди не удаляются - при доставке они перейдут в dead-letter
+   */
+  router.delete('/tenants/:id', (req, res) => {
+    if (!tenants.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Тенант ${req.params.id} не найден` });
+    }
+    logger.info(`🗑️ Тенант ${req.params.id} удален`);
+    res.json({ success: true, removed: req.params.id });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  requireAdminToken,
+  filterJobs
+};
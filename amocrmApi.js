@@ -0,0 +1,309 @@
+/**
+ * ЗАПРОСЫ К amoCRM API v4
+ *
+ * Общий клиент amoCRM для всех модулей: базовый URL аккаунта, авторизация через
+ * менеджер токенов (с повтором при 401) и понятные сообщения об ошибках.
+ *
+ * Ограничения amoCRM (около 7 запросов в секунду):
+ * - запросы аккаунта проходят через ограничитель (rateLimiter.js):
+ *   AMOCRM_RATE_LIMIT_RPS запросов в секунду, не больше AMOCRM_MAX_CONCURRENCY одновременно;
+ * - при 429 запрос повторяется (до AMOCRM_HTTP_RETRIES раз) с экспоненциальной
+ *   задержкой со случайной составляющей и с учетом Retry-After;
+ * - контакты и сделки, создаваемые почти одновременно (несколько заданий очереди),
+ *   объединяются в один POST до 50 сущностей (createEntityBatched).
+ *
+ * Повторы: у каждой ошибки один владелец, чтобы попытки не перемножались.
+ * Клиент повторяет только 429 - amoCRM отклонил запрос из-за частоты, не выполняя его,
+ * и повтор через секунды дешевле повтора всего задания. Сетевые ошибки и 5xx
+ * (amoCRM недоступен) клиент не повторяет: задание вебхука повторяет очередь доставки
+ * (queue.js) со своей задержкой и dead-letter, а вне очереди (CLI, /admin) ошибка
+ * возвращается вызывающему.
+ */
+
+const axios = require('axios');
+const { getAmoCRMBaseUrl, tokenManager } = require('./amocrmAuth');
+const { createRateLimiter } = require('./rateLimiter');
+const { getRetryAfterMs } = require('./queue');
+const { runWithTenant, getCurrentTenant, scopedKey } = require('./tenantContext');
+const { logger, getCorrelationId } = require('./logger');
+const { metrics, getMetricsEndpoint } = require('./metrics');
+
+// amoCRM принимает до 50 сущностей в одном запросе
+const MAX_BATCH_SIZE = 50;
+
+// Дольше пакет не набирается, даже если ограничитель занят
+const MAX_BATCH_WAIT_MS = 2000;
+
+// Ограничители по аккаунтам (с учетом тенанта)
+const limiters = new Map();
+
+// Накапливаемые пакеты создания: путь (с учетом тенанта) → пакет
+const batches = new Map();
+
+/**
+ * Настройки клиента из переменных окружения
+ */
+function getClientConfig() {
+  return {
+    ratePerSec: parseFloat(process.env.AMOCRM_RATE_LIMIT_RPS) || 7,
+    concurrency: parseInt(process.env.AMOCRM_MAX_CONCURRENCY) || 5,
+    retries: process.env.AMOCRM_HTTP_RETRIES !== undefined && process.env.AMOCRM_HTTP_RETRIES !== ''
+      ? Math.max(0, parseInt(process.env.AMOCRM_HTTP_RETRIES) || 0)
+      : 3,
+    retryBaseMs: parseInt(process.env.AMOCRM_HTTP_RETRY_BASE_MS) || 1000,
+    retryMaxMs: parseInt(process.env.AMOCRM_HTTP_RETRY_MAX_MS) || 30000,
+    batchWindowMs: process.env.AMOCRM_BATCH_WINDOW_MS !== undefined && process.env.AMOCRM_BATCH_WINDOW_MS !== ''
+      ? Math.max(0, parseInt(process.env.AMOCRM_BATCH_WINDOW_MS) || 0)
+      : 100
+  };
+}
+
+/**
+ * Ограничитель запросов текущего аккаунта amoCRM
+ */
+function getLimiter(config) {
+  const key = scopedKey('amocrm');
+  if (!limiters.has(key)) {
+    // burst = 1: запросы идут равномерно, и ни в одном секундном окне не бывает больше ratePerSec
+    limiters.set(key, createRateLimiter({ ratePerSec: config.ratePerSec, burst: 1, concurrency: config.concurrency }));
+  }
+  return limiters.get(key);
+}
+
+/**
+ * Нужно ли повторить запрос после ошибки: только 429 (остальные временные ошибки
+ * повторяет очередь доставки - см. описание модуля)
+ * @param {Error} error - Ошибка axios
+ */
+function shouldRetryRequest(error) {
+  return error.response?.status === 429;
+}
+
+/**
+ * Статус запроса для метрик: HTTP-статус или код сетевой ошибки
+ */
+function getMetricsStatus(response, error) {
+  return String(response?.status || error?.response?.status || error?.code || 'error');
+}
+
+/**
+ * HTTP-запрос с замером времени (amocrm_request_duration_seconds)
+ */
+async function timedRequest(config, labels) {
+  const startedAt = process.hrtime.bigint();
+  let response = null;
+  let failure = null;
+  try {
+    response = await axios.request(config);
+    return response;
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    metrics.amocrmRequestDuration.observe({ ...labels, status: getMetricsStatus(response, failure) }, seconds);
+  }
+}
+
+/**
+ * Задержка перед повтором: экспонента со случайной составляющей, не меньше Retry-After
+ * @param {Number} attempt - Номер неудавшейся попытки
+ * @param {Error} error - Ошибка попытки
+ * @param {Object} config - Настройки клиента
+ */
+function getRequestRetryDelay(attempt, error, config) {
+  const backoff = Math.min(config.retryBaseMs * Math.pow(2, attempt - 1), config.retryMaxMs);
+  const jittered = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  const retryAfter = getRetryAfterMs(error);
+  return retryAfter !== null ? Math.max(jittered, Math.min(retryAfter, config.retryMaxMs)) : jittered;
+}
+
+/**
+ * Понятное сообщение об ошибке из ответа amoCRM
+ * @param {Error} error - Ошибка axios
+ * @param {String} fallback - Сообщение по умолчанию
+ * @returns {String}
+ */
+function getAmoCRMErrorMessage(error, fallback) {
+  const data = error.response?.data;
+  if (!data) {
+    return error.message || fallback;
+  }
+  if (data.error) {
+    return data.error;
+  }
+  if (data.detail) {
+    return data.detail;
+  }
+  if (data.title) {
+    return data.title;
+  }
+  if (typeof data === 'string') {
+    return data;
+  }
+  return `Ошибка API: ${JSON.stringify(data)}`;
+}
+
+/**
+ * Запрос к amoCRM API
+ * @param {String} method - HTTP метод (get, post, patch, put)
+ * @param {String} path - Путь относительно домена аккаунта, например /api/v4/contacts,
+ *   или полный URL (файловое хранилище amoCRM на отдельном домене)
+ * @param {Object} options - { data, params, headers, timeout }
+ * @returns {Promise<Object|null>} - Тело ответа (null для 204 No Content)
+ */
+async function amocrmRequest(method, path, options = {}) {
+  const url = /^https?:\/\//.test(path) ? path : `${getAmoCRMBaseUrl()}${path}`;
+  const config = getClientConfig();
+  const limiter = getLimiter(config);
+  const labels = {
+    tenant: getCurrentTenant()?.id || 'default',
+    method: method.toUpperCase(),
+    endpoint: getMetricsEndpoint(path)
+  };
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // Каждая HTTP-попытка (включая повтор после обновления токена) проходит через ограничитель
+        const response = await tokenManager.withTokenRetry(token => limiter.schedule(() => timedRequest({
+          method,
+          url,
+          data: options.data,
+          params: options.params,
+          timeout: options.timeout,
+          headers: {
+            'Content-Type': 'application/json',
+            ...options.headers,
+            'Authorization': `Bearer ${token}`
+          }
+        }, labels)));
+
+        // amoCRM отвечает 204 без тела, если поиск ничего не нашел
+        return response.status === 204 || response.data === '' ? null : response.data;
+      } catch (error) {
+        if (attempt > config.retries || !shouldRetryRequest(error)) {
+          throw error;
+        }
+        const delay = getRequestRetryDelay(attempt, error, config);
+        metrics.amocrmRequestRetries.inc({ ...labels, status: getMetricsStatus(null, error) });
+        logger.warn(`⏳ amoCRM ${method.toUpperCase()} ${path}: ${error.response?.status || error.code}, повтор через ${delay} мс (попытка ${attempt + 1} из ${config.retries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  } catch (error) {
+    const message = getAmoCRMErrorMessage(error, `Ошибка запроса ${method.toUpperCase()} ${path}`);
+    logger.error(`❌ Ошибка запроса к amoCRM ${method.toUpperCase()} ${path}: ${message}`);
+    const wrapped = new Error(message);
+    wrapped.code = error.code;
+    wrapped.response = error.response;
+    throw wrapped;
+  }
+}
+
+/**
+ * Создание сущностей одним запросом
+ * @param {String} path - /api/v4/contacts или /api/v4/leads
+ * @param {String} entityKey - Ключ списка в _embedded ответа (contacts, leads)
+ * @param {Array} entities - До 50 сущностей
+ * @returns {Promise<Array>} - Созданные сущности в порядке entities (null, если amoCRM не вернул сущность)
+ */
+async function createEntities(path, entityKey, entities) {
+  // request_id возвращается amoCRM в ответе - по нему сопоставляем созданные сущности
+  const data = entities.map((entity, index) => ({ ...entity, request_id: String(index) }));
+  const response = await amocrmRequest('post', path, { data });
+  const created = response?._embedded?.[entityKey] || [];
+  return data.map((entity, index) =>
+    created.find(item => item.request_id !== undefined && String(item.request_id) === entity.request_id)
+      || (created.length === data.length ? created[index] : null)
+  );
+}
+
+/**
+ * Отправка накопленного пакета
+ * Если amoCRM отклонил пакет из-за данных (400), сущности отправляются по одной,
+ * чтобы ошибка в одной не помешала остальным
+ */
+async function sendBatch(batch) {
+  const items = batch.items;
+  if (items.length > 1) {
+    logger.info(`📦 Пакетное создание ${batch.entityKey}: ${items.length} в одном запросе`, {
+      correlationIds: items.map(item => item.correlationId).filter(Boolean)
+    });
+  }
+
+  try {
+    const created = await createEntities(batch.path, batch.entityKey, items.map(item => item.entity));
+    items.forEach((item, index) => item.resolve(created[index]));
+  } catch (error) {
+    if (items.length > 1 && error.response?.status === 400) {
+      logger.warn(`⚠️ amoCRM отклонил пакет ${batch.entityKey} (400), отправляем по одной`);
+      await Promise.all(items.map(item =>
+        createEntities(batch.path, batch.entityKey, [item.entity]).then(created => item.resolve(created[0]), item.reject)
+      ));
+      return;
+    }
+    items.forEach(item => item.reject(error));
+  }
+}
+
+/**
+ * Окончание окна пакета: пока ограничитель занят другими запросами, POST все равно
+ * ждал бы своей очереди - пакет продолжает набираться (не дольше MAX_BATCH_WAIT_MS)
+ */
+function onBatchWindow(key, batch, batchWindowMs) {
+  runWithTenant(batch.tenant, () => {
+    const busy = getLimiter(getClientConfig()).getStats().waiting > 0;
+    if (busy && Date.now() - batch.openedAt + batchWindowMs <= MAX_BATCH_WAIT_MS) {
+      batch.timer = setTimeout(() => onBatchWindow(key, batch, batchWindowMs), batchWindowMs);
+      return;
+    }
+    flushBatch(key, batch);
+  });
+}
+
+function flushBatch(key, batch) {
+  clearTimeout(batch.timer);
+  if (batches.get(key) === batch) {
+    batches.delete(key);
+  }
+  runWithTenant(batch.tenant, () => sendBatch(batch));
+}
+
+/**
+ * Создание сущности с объединением в пакет
+ * Запросы на создание, пришедшие в течение AMOCRM_BATCH_WINDOW_MS (или пока ограничитель
+ * занят), отправляются одним POST (до 50 сущностей). AMOCRM_BATCH_WINDOW_MS=0 отключает объединение.
+ * @param {String} path - /api/v4/contacts или /api/v4/leads
+ * @param {String} entityKey - Ключ списка в _embedded ответа (contacts, leads)
+ * @param {Object} entity - Сущность для создания
+ * @returns {Promise<Object|null>} - Созданная сущность из ответа amoCRM ({ id, request_id, ... })
+ */
+async function createEntityBatched(path, entityKey, entity) {
+  const { batchWindowMs } = getClientConfig();
+  if (batchWindowMs === 0) {
+    const [created] = await createEntities(path, entityKey, [entity]);
+    return created;
+  }
+
+  const key = scopedKey(path);
+  let batch = batches.get(key);
+  if (!batch) {
+    batch = { path, entityKey, tenant: getCurrentTenant(), items: [], timer: null, openedAt: Date.now() };
+    batch.timer = setTimeout(() => onBatchWindow(key, batch, batchWindowMs), batchWindowMs);
+    batches.set(key, batch);
+  }
+
+  return new Promise((resolve, reject) => {
+    batch.items.push({ entity, resolve, reject, correlationId: getCorrelationId() });
+    if (batch.items.length >= MAX_BATCH_SIZE) {
+      flushBatch(key, batch);
+    }
+  });
+}
+
+module.exports = {
+  amocrmRequest,
+  createEntityBatched,
+  getAmoCRMErrorMessage
+};
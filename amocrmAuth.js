@@ -0,0 +1,353 @@
+/**
+ * АВТОРИЗАЦИЯ В amoCRM: OAuth 2.0 и жизненный цикл токенов
+ *
+ * Access token amoCRM живет около суток, refresh token - 3 месяца и одноразовый:
+ * после обновления старый refresh token становится недействительным.
+ * Поэтому токены хранятся в файле (DATA_DIR/amocrm-tokens.json), а обновления
+ * выполняются строго по одному - два параллельных вебхука не "сожгут" refresh token.
+ *
+ * В контексте тенанта (tenantContext.js) адрес аккаунта и токены берутся из
+ * настроек тенанта, токены OAuth тенанта хранятся в DATA_DIR/tenants/<id>/amocrm-tokens.json.
+ *
+ * Переменные окружения:
+ * - AMOCRM_CLIENT_ID, AMOCRM_CLIENT_SECRET, AMOCRM_REDIRECT_URI - данные интеграции
+ * - AMOCRM_AUTH_CODE - код авторизации (обменивается на токены при первом запуске)
+ * - AMOCRM_ACCESS_TOKEN - статический токен (используется, если OAuth не настроен)
+ * - AMOCRM_TOKENS_FILE - путь к файлу токенов (опционально)
+ * - AMOCRM_TOKEN_REFRESH_MARGIN_SEC - за сколько секунд до истечения обновлять токен (по умолчанию 300)
+ * - AMOCRM_BASE_URL - адрес amoCRM вместо https://<AMOCRM_SUBDOMAIN>.amocrm.ru (опционально)
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { getCurrentTenant } = require('./tenantContext');
+const { logger } = require('./logger');
+
+/**
+ * Получение базового URL для amoCRM API
+ * AMOCRM_BASE_URL заменяет адрес аккаунта целиком (например, локальный mock amoCRM для проверки CLI)
+ * В контексте тенанта используются его baseUrl / subdomain
+ */
+function getAmoCRMBaseUrl() {
+  const tenant = getCurrentTenant();
+  const baseUrlOverride = ((tenant ? tenant.baseUrl : process.env.AMOCRM_BASE_URL) || '').trim();
+  if (baseUrlOverride) {
+    try {
+      new URL(baseUrlOverride);
+    } catch (error) {
+      throw new Error(`Некорректный ${tenant ? `baseUrl тенанта ${tenant.id}` : 'AMOCRM_BASE_URL'}: ${baseUrlOverride}`);
+    }
+    return baseUrlOverride.replace(/\/+$/, '');
+  }
+
+  const subdomain = tenant ? tenant.subdomain : process.env.AMOCRM_SUBDOMAIN;
+
+  if (tenant && !subdomain) {
+    throw new Error(`Invalid URL - у тенанта ${tenant.id} не указан subdomain или baseUrl`);
+  }
+
+  if (!subdomain || subdomain.trim() === '') {
+    throw new Error('Ошибка при отправке вебхука: Invalid URL - AMOCRM_SUBDOMAIN не установлен в переменных окружения. Проверьте файл .env');
+  }
+
+  // Очищаем subdomain от лишних символов (пробелы, слэши и т.д.)
+  const cleanSubdomain = subdomain.trim().replace(/[^a-zA-Z0-9-]/g, '');
+
+  if (!cleanSubdomain || cleanSubdomain.length === 0) {
+    throw new Error('Ошибка при отправке вебхука: Invalid URL - AMOCRM_SUBDOMAIN содержит недопустимые символы или пустой. Укажите поддомен вашего аккаунта amoCRM (например: mycompany для mycompany.amocrm.ru)');
+  }
+
+  const baseUrl = `https://${cleanSubdomain}.amocrm.ru`;
+
+  // Валидация URL
+  try {
+    const url = new URL(baseUrl);
+    if (!url.hostname || !url.hostname.includes('amocrm.ru')) {
+      throw new Error('Некорректный домен');
+    }
+  } catch (error) {
+    throw new Error(`Ошибка при отправке вебхука: Invalid URL - некорректный формат URL для amoCRM: ${baseUrl}. Проверьте значение AMOCRM_SUBDOMAIN в файле .env`);
+  }
+
+  return baseUrl;
+}
+
+/**
+ * Время истечения JWT-токена (поле exp) в миллисекундах
+ * @param {String} token
+ * @returns {Number|null}
+ */
+function getJwtExpiration(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ошибка авторизации от amoCRM (токен истек или отозван)
+ */
+function isUnauthorizedError(error) {
+  return error?.response?.status === 401;
+}
+
+/**
+ * Создание менеджера токенов amoCRM
+ * @param {Object} options
+ * @param {Function} options.getBaseUrl - Функция получения базового URL аккаунта
+ * @param {Function} options.getConfig - Функция получения настроек OAuth (по умолчанию из process.env)
+ * @param {String} options.storagePath - Путь к файлу токенов
+ * @returns {Object} - { getAccessToken, refreshAccessToken, exchangeAuthorizationCode, withTokenRetry, getTokenInfo }
+ */
+function createTokenManager(options = {}) {
+  const getBaseUrl = options.getBaseUrl || getAmoCRMBaseUrl;
+  const getConfig = options.getConfig || (() => ({
+    clientId: process.env.AMOCRM_CLIENT_ID,
+    clientSecret: process.env.AMOCRM_CLIENT_SECRET,
+    redirectUri: process.env.AMOCRM_REDIRECT_URI,
+    authCode: process.env.AMOCRM_AUTH_CODE,
+    staticToken: process.env.AMOCRM_ACCESS_TOKEN,
+    refreshMarginSec: parseInt(process.env.AMOCRM_TOKEN_REFRESH_MARGIN_SEC) || 300
+  }));
+  // Путь по умолчанию вычисляется при обращении: DATA_DIR и AMOCRM_TOKENS_FILE
+  // могут быть загружены из .env уже после подключения модуля (cli.js --env-file)
+  const getStoragePath = () => options.storagePath
+    || resolveDataPath(process.env.AMOCRM_TOKENS_FILE || 'amocrm-tokens.json');
+
+  let tokens = null;
+  // Последняя операция в очереди получения токенов (обмен кода или обновление)
+  let pendingRequest = null;
+
+  function loadTokens() {
+    if (!tokens) {
+      tokens = readJsonFile(getStoragePath(), null);
+    }
+    return tokens;
+  }
+
+  function saveTokens(data) {
+    tokens = {
+      access_token: data.access_token,
+      refresh_token: data.refresh_token,
+      expires_at: Date.now() + (parseInt(data.expires_in) || 86400) * 1000,
+      updated_at: new Date().toISOString()
+    };
+    writeJsonFile(getStoragePath(), tokens, { mode: 0o600 });
+    return tokens;
+  }
+
+  function isOAuthConfigured() {
+    const config = getConfig();
+    return Boolean(config.clientId && config.clientSecret && config.redirectUri);
+  }
+
+  /**
+   * Запрос к /oauth2/access_token (обмен кода или refresh token)
+   */
+  async function requestTokens(params) {
+    const config = getConfig();
+    if (!isOAuthConfigured()) {
+      throw new Error('AMOCRM_CLIENT_ID, AMOCRM_CLIENT_SECRET или AMOCRM_REDIRECT_URI не установлен в переменных окружения');
+    }
+
+    const url = `${getBaseUrl()}/oauth2/access_token`;
+    try {
+      const response = await axios.post(url, {
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        redirect_uri: config.redirectUri,
+        ...params
+      }, {
+        headers: { 'Content-Type': 'application/json' }
+      });
+      return saveTokens(response.data);
+    } catch (error) {
+      const detail = error.response?.data?.hint || error.response?.data?.detail || error.response?.data?.title || error.message;
+      throw new Error(`Ошибка получения токена amoCRM (${params.grant_type}): ${detail}`);
+    }
+  }
+
+  /**
+   * Выполняет операции с токенами по очереди: следующая начинается после завершения предыдущей
+   * (ошибка предыдущей не мешает следующей). Каждый вызов получает результат своей операции
+   */
+  function serialize(operation) {
+    const previous = pendingRequest || Promise.resolve();
+    const current = previous.catch(() => null).then(operation);
+    pendingRequest = current;
+    const release = () => {
+      if (pendingRequest === current) {
+        pendingRequest = null;
+      }
+    };
+    current.then(release, release);
+    return current;
+  }
+
+  /**
+   * Обмен кода авторизации на пару access/refresh токенов
+   * @param {String} code - Код из redirect_uri или AMOCRM_AUTH_CODE
+   */
+  function exchangeAuthorizationCode(code) {
+    return serialize(() => requestTokens({ grant_type: 'authorization_code', code }));
+  }
+
+  /**
+   * Обновление access token по refresh token
+   * @param {String} staleAccessToken - Токен, который был отклонен (если уже обновлен другим запросом - повторно не обновляем)
+   */
+  function refreshAccessToken(staleAccessToken) {
+    return serialize(async () => {
+      const current = loadTokens();
+      if (!current?.refresh_token) {
+        throw new Error('Refresh token amoCRM не найден. Выполните авторизацию заново (AMOCRM_AUTH_CODE)');
+      }
+      if (staleAccessToken && current.access_token !== staleAccessToken) {
+        return current;
+      }
+      logger.info('🔄 Обновление access token amoCRM');
+      const updated = await requestTokens({ grant_type: 'refresh_token', refresh_token: current.refresh_token });
+      logger.info(`✅ Access token amoCRM обновлен, действует до ${new Date(updated.expires_at).toISOString()}`);
+      return updated;
+    });
+  }
+
+  /**
+   * Получение действующего access token
+   * Обновляет токен заранее, за AMOCRM_TOKEN_REFRESH_MARGIN_SEC до истечения
+   * @returns {Promise<String>}
+   */
+  async function getAccessToken() {
+    const config = getConfig();
+
+    // Ждем завершения обмена/обновления, начатого другим запросом
+    if (pendingRequest) {
+      await pendingRequest.catch(() => null);
+    }
+
+    let current = loadTokens();
+
+    if (!current && config.authCode && isOAuthConfigured()) {
+      current = await serialize(() => {
+        // Код одноразовый: его мог уже обменять запрос, стоявший в очереди раньше
+        const existing = loadTokens();
+        if (existing) {
+          return existing;
+        }
+        logger.info('🔑 Обмен AMOCRM_AUTH_CODE на токены amoCRM');
+        return requestTokens({ grant_type: 'authorization_code', code: config.authCode });
+      });
+    }
+
+    if (current?.access_token) {
+      if (current.refresh_token && current.expires_at - config.refreshMarginSec * 1000 <= Date.now()) {
+        current = await refreshAccessToken(current.access_token);
+      }
+      return current.access_token;
+    }
+
+    if (config.staticToken) {
+      return config.staticToken;
+    }
+
+    throw new Error('AMOCRM_ACCESS_TOKEN не установлен в переменных окружения, OAuth-авторизация amoCRM не выполнена');
+  }
+
+  /**
+   * Выполняет запрос с токеном; при ответе 401 обновляет токен и повторяет запрос один раз
+   * @param {Function} request - async (token) => результат
+   */
+  async function withTokenRetry(request) {
+    const token = await getAccessToken();
+    try {
+      return await request(token);
+    } catch (error) {
+      if (!isUnauthorizedError(error) || !loadTokens()?.refresh_token) {
+        throw error;
+      }
+      logger.warn('⚠️ amoCRM вернул 401, обновляем токен и повторяем запрос');
+      const refreshed = await refreshAccessToken(token);
+      return request(refreshed.access_token);
+    }
+  }
+
+  /**
+   * Сведения о текущем токене (без самих токенов)
+   */
+  function getTokenInfo() {
+    const current = loadTokens();
+    if (current?.access_token) {
+      return { source: 'oauth', expiresAt: current.expires_at, hasRefreshToken: Boolean(current.refresh_token) };
+    }
+    const staticToken = getConfig().staticToken;
+    if (staticToken) {
+      return { source: 'static', expiresAt: getJwtExpiration(staticToken), hasRefreshToken: false };
+    }
+    return { source: null, expiresAt: null, hasRefreshToken: false };
+  }
+
+  return {
+    getAccessToken,
+    refreshAccessToken,
+    exchangeAuthorizationCode,
+    withTokenRetry,
+    getTokenInfo,
+    isOAuthConfigured
+  };
+}
+
+// Менеджер токенов аккаунта из переменных окружения
+const defaultTokenManager = createTokenManager();
+
+// Менеджеры токенов тенантов (создаются при первом обращении)
+const tenantTokenManagers = new Map();
+
+/**
+ * Настройки OAuth тенанта в формате getConfig менеджера токенов
+ */
+function getTenantTokenConfig(tenant) {
+  return {
+    clientId: tenant.clientId,
+    clientSecret: tenant.clientSecret,
+    redirectUri: tenant.redirectUri,
+    authCode: tenant.authCode,
+    staticToken: tenant.accessToken,
+    refreshMarginSec: parseInt(process.env.AMOCRM_TOKEN_REFRESH_MARGIN_SEC) || 300
+  };
+}
+
+/**
+ * Менеджер токенов текущего тенанта (или аккаунта из переменных окружения)
+ */
+function getTokenManager() {
+  const tenant = getCurrentTenant();
+  if (!tenant) {
+    return defaultTokenManager;
+  }
+  if (!tenantTokenManagers.has(tenant.id)) {
+    tenantTokenManagers.set(tenant.id, createTokenManager({
+      // Настройки читаются при каждом обращении - изменения тенанта через /admin применяются сразу
+      getConfig: () => getTenantTokenConfig(getCurrentTenant() || tenant),
+      storagePath: resolveDataPath(path.join('tenants', tenant.id, 'amocrm-tokens.json'))
+    }));
+  }
+  return tenantTokenManagers.get(tenant.id);
+}
+
+/**
+ * Менеджер токенов, учитывающий контекст тенанта: методы вызываются у менеджера текущего тенанта
+ */
+const tokenManager = Object.fromEntries(
+  Object.keys(defaultTokenManager).map(method => [method, (...args) => getTokenManager()[method](...args)])
+);
+
+module.exports = {
+  getAmoCRMBaseUrl,
+  createTokenManager,
+  tokenManager,
+  isUnauthorizedError,
+  getJwtExpiration
+};
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * CLI ДЛЯ НАСТРОЙКИ amoCRM
+ *
+ * Использует тот же клиент amoCRM, что и сервер (amocrmApi.js: токены, обновление при 401).
+ *
+ * Команды:
+ *   node cli.js pipelines                 - воронки и их статусы
+ *   node cli.js users                     - пользователи аккаунта
+ *   node cli.js fields [leads|contacts|companies] - кастомные поля сделок, контактов и/или компаний
+ *   node cli.js bootstrap [--env-file .env] [--dry-run]
+ *       - проверяет поля, которые использует маппинг (заданные AMOCRM_*_FIELD_ID и
+ *         field_name из файла маппинга), и создает недостающие, указанные названием;
+ *         если AMOCRM_PIPELINE_ID не задан - записывает основную воронку в файл окружения.
+ *         Заданные переменные не меняются. С --dry-run только показывает, что будет
+ *         создано и записано.
+ *
+ * Для проверки на локальном mock amoCRM задайте AMOCRM_BASE_URL (например, http://localhost:8080).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { amocrmRequest } = require('./amocrmApi');
+const { getValueByPath } = require('./mapping');
+const { initMappingConfig, getDeclarativeMapping } = require('./mappingConfig');
+const { parseFieldTarget, findFieldMetadata, ENV_FIELDS, DECLARATIVE_SECTIONS } = require('./customFields');
+const { initLogger } = require('./logger');
+
+const ENTITIES = ['leads', 'contacts', 'companies'];
+
+/**
+ * Разбор аргументов: команда, позиционные аргументы и флаги --name [value]
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const flags = {};
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const next = rest[index + 1];
+    if (next !== undefined && !next.startsWith('--')) {
+      flags[name] = next;
+      index++;
+    } else {
+      flags[name] = true;
+    }
+  }
+  return { command, args, flags };
+}
+
+/**
+ * Все страницы списка amoCRM
+ * @param {String} apiPath - Путь, например /api/v4/users
+ * @param {String} key - Ключ в _embedded
+ */
+async function fetchAll(apiPath, key) {
+  const items = [];
+  for (let page = 1; page <= 20; page++) {
+    const response = await amocrmRequest('get', apiPath, { params: { page, limit: 250 } });
+    items.push(...(response?._embedded?.[key] || []));
+    if (!response?._links?.next) {
+      break;
+    }
+  }
+  return items;
+}
+
+async function listPipelines() {
+  const pipelines = await fetchAll('/api/v4/leads/pipelines', 'pipelines');
+  console.log(`📊 Воронки amoCRM: ${pipelines.length}`);
+  for (const pipeline of pipelines) {
+    console.log(`\n  ${pipeline.id}  ${pipeline.name}${pipeline.is_main ? ' (основная)' : ''}`);
+    for (const status of pipeline._embedded?.statuses || []) {
+      console.log(`      ${status.id}  ${status.name}`);
+    }
+  }
+}
+
+async function listUsers() {
+  const users = await fetchAll('/api/v4/users', 'users');
+  console.log(`👥 Пользователи amoCRM: ${users.length}`);
+  for (const user of users) {
+    const inactive = user.rights?.is_active === false ? ' (неактивен)' : '';
+    console.log(`  ${user.id}  ${user.name}${user.email ? ` <${user.email}>` : ''}${inactive}`);
+  }
+}
+
+async function listFields(entity) {
+  if (entity && !ENTITIES.includes(entity)) {
+    throw new Error(`Неизвестная сущность "${entity}" (доступны: ${ENTITIES.join(', ')})`);
+  }
+  for (const item of entity ? [entity] : ENTITIES) {
+    const fields = await fetchAll(`/api/v4/${item}/custom_fields`, 'custom_fields');
+    console.log(`\n🧩 Поля amoCRM (${item}): ${fields.length}`);
+    for (const field of fields) {
+      console.log(`  ${field.id}  ${field.name}  [${field.type}]${field.code ? `  code=${field.code}` : ''}`);
+      for (const option of field.enums || []) {
+        console.log(`      ${option.id}  ${option.value}`);
+      }
+    }
+  }
+}
+
+/**
+ * Запись значений в файл окружения: существующие строки KEY=... заменяются, новые добавляются в конец
+ * @param {String} filePath - Путь к файлу
+ * @param {Object} values - { KEY: value }
+ */
+function updateEnvFile(filePath, values) {
+  const lines = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n') : [];
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  for (const [key, value] of Object.entries(values)) {
+    const index = lines.findIndex(line => line.startsWith(`${key}=`));
+    if (index === -1) {
+      lines.push(`${key}=${value}`);
+    } else {
+      lines[index] = `${key}=${value}`;
+    }
+  }
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+}
+
+/**
+ * Поиск и создание полей, нужных маппингу, запись ID в файл окружения
+ * @param {Object} options - { envFile, dryRun }
+ */
+async function bootstrap(options) {
+  const metadata = {};
+  for (const entity of ENTITIES) {
+    metadata[entity] = await fetchAll(`/api/v4/${entity}/custom_fields`, 'custom_fields');
+  }
+
+  /**
+   * Создание поля (в режиме --dry-run только сообщение)
+   */
+  async function createField(entity, name, type) {
+    if (options.dryRun) {
+      console.log(`➕ Будет создано поле "${name}" [${type}] (${entity})`);
+      return null;
+    }
+    const response = await amocrmRequest('post', `/api/v4/${entity}/custom_fields`, { data: [{ name, type }] });
+    const field = response?._embedded?.custom_fields?.[0];
+    if (!field?.id) {
+      throw new Error(`amoCRM не вернул ID созданного поля "${name}"`);
+    }
+    metadata[entity].push(field);
+    console.log(`➕ Создано поле "${name}" [${type}] (${entity}): ${field.id}`);
+    return field;
+  }
+
+  // Маппинг использует поле AMOCRM_*_FIELD_ID, только если переменная задана;
+  // заданные переменные не перезаписываются - поле, указанное названием, при необходимости создается
+  const unused = [];
+  for (const field of ENV_FIELDS) {
+    const target = parseFieldTarget(process.env[field.env]);
+    if (!target) {
+      unused.push(`${field.env} ("${field.name}")`);
+      continue;
+    }
+    const existing = findFieldMetadata(metadata[field.entity], target);
+    if (existing) {
+      if (!field.types.includes(existing.type)) {
+        console.warn(`⚠️ ${field.env}: поле "${existing.name}" имеет тип ${existing.type}, ожидается ${field.types.join(' / ')}`);
+      }
+      console.log(`✅ ${field.env}: поле "${existing.name}" (${existing.id}) найдено`);
+    } else if (target.field_id) {
+      console.warn(`⚠️ ${field.env}: поле ${target.field_id} не найдено в amoCRM`);
+    } else {
+      await createField(field.entity, target.field_name, field.type);
+    }
+  }
+  if (unused.length > 0) {
+    console.log(`ℹ️ Не заданы (поля не заполняются и не создаются; чтобы создать поле, задайте его название): ${unused.join(', ')}`);
+  }
+
+  // Поля файла маппинга, заданные названием, создаются текстовыми; поля с field_id / field_code только проверяются
+  for (const [entity, section] of Object.entries(DECLARATIVE_SECTIONS)) {
+    for (const target of getDeclarativeMapping(section)?.customFieldTargets || []) {
+      if (findFieldMetadata(metadata[entity], target)) {
+        continue;
+      }
+      if (target.field_name) {
+        await createField(entity, target.field_name, 'text');
+      } else {
+        console.warn(`⚠️ Файл маппинга (${section}.custom_fields): поле ${target.field_id || target.field_code} не найдено в amoCRM`);
+      }
+    }
+  }
+
+  const values = {};
+  if (!process.env.AMOCRM_PIPELINE_ID) {
+    const pipelines = await fetchAll('/api/v4/leads/pipelines', 'pipelines');
+    const main = pipelines.find(pipeline => pipeline.is_main) || pipelines[0];
+    if (main) {
+      console.log(`✅ AMOCRM_PIPELINE_ID=${main.id}  (${main.name})`);
+      values.AMOCRM_PIPELINE_ID = main.id;
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(`\n🔍 --dry-run: ${options.envFile} не изменен`);
+    return;
+  }
+  if (Object.keys(values).length === 0) {
+    console.log(`\n💾 ${options.envFile} не изменен: все переменные уже заданы`);
+    return;
+  }
+  updateEnvFile(options.envFile, values);
+  console.log(`\n💾 ID записаны в ${options.envFile}: ${Object.keys(values).length}`);
+}
+
+function printUsage() {
+  console.log(`Использование:
+  node cli.js pipelines                 воронки и статусы
+  node cli.js users                     пользователи
+  node cli.js fields [leads|contacts|companies]
+                                        кастомные поля
+  node cli.js bootstrap [--env-file .env] [--dry-run]
+                                        создать недостающие поля маппинга, записать воронку в файл окружения`);
+}
+
+async function main() {
+  const { command, args, flags } = parseArgs(process.argv.slice(2));
+  const envFile = path.resolve(typeof flags['env-file'] === 'string' ? flags['env-file'] : '.env');
+  require('dotenv').config({ path: envFile });
+  // Сообщения модулей сервера - читаемым текстом, уровень и скрытие полей - из файла окружения
+  initLogger({ format: 'text' });
+
+  switch (command) {
+    case 'pipelines':
+      return listPipelines();
+    case 'users':
+      return listUsers();
+    case 'fields':
+      return listFields(args[0]);
+    case 'bootstrap':
+      initMappingConfig(getValueByPath);
+      return bootstrap({ envFile, dryRun: Boolean(flags['dry-run']) });
+    default:
+      printUsage();
+      if (command && command !== 'help') {
+        process.exitCode = 1;
+      }
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
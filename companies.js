@@ -0,0 +1,125 @@
+/**
+ * КОМПАНИИ В amoCRM
+ *
+ * Компания из вебхука (contact.additionalFields.company, сайт - website) ищется
+ * в amoCRM по названию, затем по сайту; если не найдена - создается. Найденная
+ * или созданная компания привязывается к контакту и сделке.
+ * Поля компании задаются companyMapping в mapping.js (или разделом company файла маппинга).
+ *
+ * Включается AMOCRM_COMPANIES_ENABLED=true (как примечания, задачи и записи звонков);
+ * по умолчанию компания, как и раньше, попадает только в текстовые поля
+ * AMOCRM_COMPANY_FIELD_ID / AMOCRM_CONTACT_COMPANY_FIELD_ID.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { getFieldValue } = require('./contacts');
+const { getEnv } = require('./tenantContext');
+const { logger } = require('./logger');
+
+/**
+ * Включено ли создание и привязка компаний
+ */
+function isCompaniesEnabled() {
+  return getEnv('AMOCRM_COMPANIES_ENABLED') === 'true';
+}
+
+/**
+ * Название компании для сравнения: без регистра, кавычек и лишних пробелов
+ */
+function normalizeCompanyName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/["«»'`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Домен сайта для сравнения: https://www.Example.ru/path → example.ru
+ * @returns {String|null}
+ */
+function normalizeWebsite(value) {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) {
+    return null;
+  }
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//.test(text) ? text : `https://${text}`);
+    return url.hostname.replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Поиск компании amoCRM по строке запроса с проверкой совпадения
+ * @param {String} query - Строка поиска для amoCRM
+ * @param {Function} matches - (company) => Boolean
+ * @returns {Promise<Object|null>}
+ */
+async function searchCompany(query, matches) {
+  const response = await amocrmRequest('get', '/api/v4/companies', {
+    params: { query, limit: 50 }
+  });
+  const companies = (response?._embedded?.companies || []).filter(matches);
+
+  // Если совпадений несколько, берем самую старую компанию
+  companies.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+  return companies[0] || null;
+}
+
+/**
+ * Поиск существующей компании по названию, затем по сайту
+ * @param {Object} companyFields - Результат applyMapping(data, companyMapping)
+ * @returns {Promise<Object|null>} - Компания amoCRM или null
+ */
+async function findExistingCompany(companyFields) {
+  const name = normalizeCompanyName(companyFields.name);
+  if (name) {
+    const company = await searchCompany(companyFields.name.trim(), item => normalizeCompanyName(item.name) === name);
+    if (company) {
+      logger.info(`🔎 Найдена компания по названию: ${company.id}`);
+      return company;
+    }
+  }
+
+  const website = normalizeWebsite(getFieldValue(companyFields.custom_fields_values, 'WEB'));
+  if (website) {
+    const company = await searchCompany(website, item =>
+      normalizeWebsite(getFieldValue(item.custom_fields_values, 'WEB')) === website
+    );
+    if (company) {
+      logger.info(`🔎 Найдена компания по сайту: ${company.id}`);
+      return company;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Есть ли у сущности amoCRM привязанная компания
+ * @param {Object} entity - Контакт или сделка из ответа amoCRM
+ */
+function hasLinkedCompany(entity) {
+  return (entity?._embedded?.companies || []).length > 0;
+}
+
+/**
+ * Привязка компании к существующему контакту или сделке
+ * @param {String} entityType - contacts или leads
+ * @param {Number} entityId - ID контакта или сделки
+ * @param {Number} companyId - ID компании
+ */
+async function linkCompany(entityType, entityId, companyId) {
+  await amocrmRequest('post', `/api/v4/${entityType}/${entityId}/link`, {
+    data: [{ to_entity_id: companyId, to_entity_type: 'companies' }]
+  });
+}
+
+module.exports = {
+  isCompaniesEnabled,
+  findExistingCompany,
+  hasLinkedCompany,
+  linkCompany
+};
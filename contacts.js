@@ -0,0 +1,77 @@
+/**
+ * ПОИСК СУЩЕСТВУЮЩИХ КОНТАКТОВ В amoCRM
+ *
+ * Перед созданием контакта ищем уже существующий по телефону, затем по email
+ * (GET /api/v4/contacts?query=...). Поиск amoCRM полнотекстовый, поэтому
+ * найденные контакты дополнительно проверяются на точное совпадение значения.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { getValueKey } = require('./customFields');
+const { logger } = require('./logger');
+
+/**
+ * Значение стандартного поля (PHONE, EMAIL) из custom_fields_values
+ */
+function getFieldValue(customFields, fieldCode) {
+  const field = (customFields || []).find(item => item.field_code === fieldCode);
+  return field?.values?.[0]?.value || null;
+}
+
+/**
+ * Поиск контакта, у которого в поле fieldCode есть значение value
+ * @param {String} fieldCode - PHONE или EMAIL
+ * @param {String} value - Искомое значение
+ * @param {String} query - Строка поиска для amoCRM
+ * @returns {Promise<Object|null>}
+ */
+async function searchContact(fieldCode, value, query) {
+  const response = await amocrmRequest('get', '/api/v4/contacts', {
+    params: { query, limit: 50 }
+  });
+  const contacts = response?._embedded?.contacts || [];
+  const key = getValueKey(fieldCode, value);
+
+  const matches = contacts.filter(contact =>
+    (contact.custom_fields_values || [])
+      .filter(field => field.field_code === fieldCode)
+      .some(field => (field.values || []).some(item => getValueKey(fieldCode, item.value) === key))
+  );
+
+  // Если совпадений несколько, берем самый старый контакт - обычно он "основной"
+  matches.sort((a, b) => (a.created_at || 0) - (b.created_at || 0));
+  return matches[0] || null;
+}
+
+/**
+ * Поиск существующего контакта по телефону и email из полей, построенных маппингом
+ * @param {Object} contactFields - Результат applyMapping(data, contactMapping)
+ * @returns {Promise<Object|null>} - Контакт amoCRM (с custom_fields_values) или null
+ */
+async function findExistingContact(contactFields) {
+  const phone = getFieldValue(contactFields.custom_fields_values, 'PHONE');
+  if (phone) {
+    // Ищем по цифрам без "+", чтобы amoCRM нашел номер в любом формате записи
+    const contact = await searchContact('PHONE', phone, phone.replace(/\D/g, '').slice(-10));
+    if (contact) {
+      logger.info(`🔎 Найден контакт по телефону: ${contact.id}`);
+      return contact;
+    }
+  }
+
+  const email = getFieldValue(contactFields.custom_fields_values, 'EMAIL');
+  if (email) {
+    const contact = await searchContact('EMAIL', email, email.trim());
+    if (contact) {
+      logger.info(`🔎 Найден контакт по email: ${contact.id}`);
+      return contact;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findExistingContact,
+  getFieldValue
+};
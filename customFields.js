@@ -0,0 +1,409 @@
+/**
+ * КАСТОМНЫЕ ПОЛЯ amoCRM: поиск по названию, приведение типов и объединение значений
+ *
+ * Метаданные полей (/api/v4/leads/custom_fields, /api/v4/contacts/custom_fields)
+ * кэшируются на AMOCRM_FIELDS_CACHE_SEC. По ним:
+ * - поле можно указать не ID, а названием или кодом: в переменной окружения
+ *   (AMOCRM_REGION_FIELD_ID=Регион) или через field_name в файле маппинга;
+ * - значение приводится к типу поля: дата - в unix-время, число - в число,
+ *   список - в enum_id по тексту варианта, ссылка - с http(s)://;
+ * - поле, которого нет в amoCRM, или значение, которое не удалось привести,
+ *   не отправляется (с предупреждением), чтобы amoCRM не отклонил весь запрос.
+ * При запуске настроенные поля проверяются: в лог пишутся отсутствующие поля
+ * и поля неподходящего типа.
+ *
+ * PATCH в amoCRM заменяет значения только тех полей, которые переданы в
+ * custom_fields_values, но для мультиполей (PHONE, EMAIL) передача нового
+ * значения стирает все остальные. Поэтому перед обновлением значения
+ * мультиполей объединяются с уже существующими.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { getDeclarativeMapping } = require('./mappingConfig');
+const { getEnv, scopedKey } = require('./tenantContext');
+const { logger } = require('./logger');
+
+// Стандартные мультиполя amoCRM (несколько значений с типом WORK, MOB и т.д.)
+const MULTI_VALUE_FIELD_CODES = ['PHONE', 'EMAIL'];
+
+/**
+ * Ключ значения для сравнения: телефоны - по последним 10 цифрам, остальное - без регистра
+ */
+function getValueKey(fieldCode, value) {
+  if (fieldCode === 'PHONE') {
+    return String(value ?? '').replace(/\D/g, '').slice(-10);
+  }
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Поиск поля сущности по field_id или field_code
+ */
+function findField(fields, field) {
+  return (fields || []).find(existing =>
+    (field.field_id && existing.field_id === field.field_id) ||
+    (field.field_code && existing.field_code === field.field_code)
+  );
+}
+
+/**
+ * Объединение кастомных полей существующей сущности с новыми значениями
+ * Возвращает только поля, значения которых нужно изменить
+ * @param {Array} existingFields - custom_fields_values из ответа amoCRM
+ * @param {Array} incomingFields - custom_fields_values, построенные маппингом
+ * @returns {Array} - custom_fields_values для PATCH
+ */
+function mergeCustomFieldsValues(existingFields, incomingFields) {
+  const result = [];
+
+  for (const field of incomingFields || []) {
+    const existing = findField(existingFields, field);
+    const fieldCode = field.field_code || existing?.field_code;
+    const isMultiValue = MULTI_VALUE_FIELD_CODES.includes(fieldCode) || existing?.field_type === 'multitext';
+
+    if (!existing) {
+      result.push(field);
+      continue;
+    }
+
+    const existingValues = (existing.values || []).map(item => {
+      const value = { value: item.value };
+      if (item.enum_id) value.enum_id = item.enum_id;
+      if (item.enum_code) value.enum_code = item.enum_code;
+      return value;
+    });
+    const existingKeys = existingValues.map(item => getValueKey(fieldCode, item.value));
+    const newValues = (field.values || []).filter(item => !existingKeys.includes(getValueKey(fieldCode, item.value)));
+
+    if (newValues.length === 0) {
+      // Все значения уже есть в amoCRM - поле не трогаем
+      continue;
+    }
+
+    result.push({
+      ...(field.field_id ? { field_id: field.field_id } : { field_code: field.field_code }),
+      values: isMultiValue ? [...existingValues, ...newValues] : field.values
+    });
+  }
+
+  return result;
+}
+
+// Типы полей, в которые записывается текст (в списки - по тексту варианта)
+const TEXT_FIELD_TYPES = ['text', 'textarea', 'select', 'radiobutton', 'multiselect', 'streetaddress'];
+
+/**
+ * Поля из переменных окружения (mapping.js): сущность, подходящие типы полей amoCRM,
+ * тип, с которым поле создается командой bootstrap (cli.js), и предлагаемое название
+ */
+const ENV_FIELDS = [
+  { env: 'AMOCRM_AGREEMENTS_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Договоренности', type: 'textarea' },
+  { env: 'AMOCRM_CLIENT_FACTS_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Факты о клиенте', type: 'textarea' },
+  { env: 'AMOCRM_SMS_TEXT_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Текст SMS', type: 'textarea' },
+  { env: 'AMOCRM_CALL_DURATION_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Длительность звонка', type: 'text' },
+  { env: 'AMOCRM_CALL_STARTED_FIELD_ID', entity: 'leads', types: ['date', 'date_time'], name: 'Начало звонка', type: 'date_time' },
+  { env: 'AMOCRM_CALL_RECORD_URL_FIELD_ID', entity: 'leads', types: ['url', 'text', 'textarea'], name: 'Запись звонка', type: 'url' },
+  { env: 'AMOCRM_CALL_HISTORY_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'История диалога', type: 'textarea' },
+  { env: 'AMOCRM_AGREEMENTS_TIME_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Время договоренности', type: 'text' },
+  { env: 'AMOCRM_REGION_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Регион', type: 'text' },
+  { env: 'AMOCRM_COMPANY_FIELD_ID', entity: 'leads', types: TEXT_FIELD_TYPES, name: 'Компания', type: 'text' },
+  { env: 'AMOCRM_CONTACT_COMPANY_FIELD_ID', entity: 'contacts', types: TEXT_FIELD_TYPES, name: 'Компания', type: 'text' },
+  { env: 'AMOCRM_CONTACT_CITY_FIELD_ID', entity: 'contacts', types: TEXT_FIELD_TYPES, name: 'Город', type: 'text' }
+];
+
+// Разделы файла маппинга для сущностей amoCRM
+const DECLARATIVE_SECTIONS = { leads: 'lead', contacts: 'contact', companies: 'company' };
+
+/**
+ * Поле из переменной окружения: число - field_id, иначе название или код поля
+ * @param {String} value - Значение переменной (например, "123456" или "Регион")
+ * @returns {Object|null} - { field_id } или { field_name }
+ */
+function parseFieldTarget(value) {
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return null;
+  }
+  return /^\d+$/.test(text) ? { field_id: parseInt(text) } : { field_name: text };
+}
+
+/**
+ * Подпись поля для логов и предупреждений
+ */
+function describeFieldTarget(field) {
+  if (field.field_id !== undefined) {
+    return String(field.field_id);
+  }
+  return field.field_code || `"${field.field_name}"`;
+}
+
+function normalizeFieldName(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Метаданные поля по field_id, field_code или field_name (название или код, без учета регистра)
+ * @param {Array} metadata - Поля из /api/v4/{entity}/custom_fields
+ * @param {Object} field - Элемент custom_fields_values
+ */
+function findFieldMetadata(metadata, field) {
+  if (field.field_id !== undefined) {
+    return metadata.find(item => item.id === field.field_id);
+  }
+  if (field.field_code) {
+    return metadata.find(item => item.code === field.field_code);
+  }
+  const name = normalizeFieldName(field.field_name);
+  return metadata.find(item => normalizeFieldName(item.name) === name)
+    || metadata.find(item => item.code && item.code.toLowerCase() === name);
+}
+
+/**
+ * Дата в unix-время (секунды): unix-время, миллисекунды или строка с датой
+ */
+function toUnixTime(value) {
+  const number = typeof value === 'number' ? value : (/^\d+$/.test(String(value).trim()) ? Number(value) : NaN);
+  if (Number.isFinite(number)) {
+    return Math.floor(number > 1e11 ? number / 1000 : number);
+  }
+  const time = Date.parse(String(value));
+  if (isNaN(time)) {
+    throw new Error(`ожидается дата, получено "${value}"`);
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Приведение значения к типу поля amoCRM
+ * @param {Object} fieldMetadata - Метаданные поля
+ * @param {Object} item - { value, enum_id, enum_code }
+ * @returns {Object} - Значение для custom_fields_values
+ * @throws {Error} - Значение не подходит полю
+ */
+function coerceFieldValue(fieldMetadata, item) {
+  const value = item.value;
+  switch (fieldMetadata.type) {
+    case 'text':
+    case 'textarea':
+    case 'streetaddress':
+      return { ...item, value: String(value) };
+    case 'numeric': {
+      const number = typeof value === 'number' ? value : Number(String(value).replace(/\s/g, '').replace(',', '.'));
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        throw new Error(`ожидается число, получено "${value}"`);
+      }
+      return { ...item, value: number };
+    }
+    case 'checkbox':
+      return { ...item, value: !['false', '0', 'нет', 'no', ''].includes(String(value).trim().toLowerCase()) };
+    case 'date':
+    case 'date_time':
+    case 'birthday':
+      return { ...item, value: toUnixTime(value) };
+    case 'url': {
+      const url = String(value).trim();
+      if (/^https?:\/\/\S+$/i.test(url)) {
+        return { ...item, value: url };
+      }
+      if (/^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(url)) {
+        return { ...item, value: `https://${url}` };
+      }
+      throw new Error(`ожидается ссылка, получено "${value}"`);
+    }
+    case 'select':
+    case 'radiobutton':
+    case 'multiselect': {
+      if (item.enum_id || item.enum_code) {
+        return item;
+      }
+      const text = normalizeFieldName(value);
+      const option = (fieldMetadata.enums || []).find(enumItem => normalizeFieldName(enumItem.value) === text);
+      if (!option) {
+        throw new Error(`в списке нет варианта "${value}"`);
+      }
+      return { enum_id: option.id };
+    }
+    default:
+      return item;
+  }
+}
+
+/**
+ * Поля, настроенные в переменных окружения и файле маппинга
+ * @returns {Array<{ entity, target, source, types }>} - types: подходящие типы (null - любой)
+ */
+function getConfiguredFieldTargets() {
+  const targets = [];
+  for (const { env, entity, types } of ENV_FIELDS) {
+    const target = parseFieldTarget(getEnv(env));
+    if (target) {
+      targets.push({ entity, target, source: env, types });
+    }
+  }
+  for (const [entity, section] of Object.entries(DECLARATIVE_SECTIONS)) {
+    for (const target of getDeclarativeMapping(section)?.customFieldTargets || []) {
+      targets.push({ entity, target, source: `файл маппинга (${section}.custom_fields)`, types: null });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Создание кэша метаданных кастомных полей
+ * @param {Object} options
+ * @param {Function} options.request - Запрос к amoCRM (по умолчанию amocrmRequest)
+ * @param {Number} options.cacheMs - Время жизни кэша (по умолчанию AMOCRM_FIELDS_CACHE_SEC)
+ * @returns {Object} - { getFields, resolveCustomFieldsValues, checkConfiguredFields }
+ */
+function createCustomFieldsResolver(options = {}) {
+  const request = options.request || amocrmRequest;
+  const cacheMs = options.cacheMs ?? (parseInt(process.env.AMOCRM_FIELDS_CACHE_SEC) || 600) * 1000;
+  const cache = {};
+
+  /**
+   * Метаданные полей сущности
+   * @param {String} entity - leads / contacts
+   * @param {Object} getOptions - { cachedOnly } - только из кэша, без запроса к amoCRM
+   * @returns {Promise<Array|null>} - null, если cachedOnly и кэш пуст
+   */
+  async function getFields(entity, getOptions = {}) {
+    // Метаданные у каждого аккаунта amoCRM свои - кэш ведется по тенантам
+    const cacheKey = scopedKey(entity);
+    const cached = cache[cacheKey];
+    if (getOptions.cachedOnly) {
+      return cached ? cached.fields : null;
+    }
+    if (cached && Date.now() - cached.loadedAt < cacheMs) {
+      return cached.fields;
+    }
+
+    const fields = [];
+    for (let page = 1; page <= 20; page++) {
+      const response = await request('get', `/api/v4/${entity}/custom_fields`, { params: { page, limit: 250 } });
+      fields.push(...(response?._embedded?.custom_fields || []));
+      if (!response?._links?.next) {
+        break;
+      }
+    }
+
+    cache[cacheKey] = { fields, loadedAt: Date.now() };
+    logger.info(`🧩 Загружены метаданные полей amoCRM (${entity}): ${fields.length}`);
+    return fields;
+  }
+
+  /**
+   * Поиск полей по названию/коду и приведение значений к типам полей
+   * @param {String} entity - leads / contacts
+   * @param {Array} fieldsValues - custom_fields_values, построенные маппингом
+   * @param {Object} resolveOptions - { cachedOnly, warnings } - warnings: массив для предупреждений
+   * @returns {Promise<Array|undefined>} - custom_fields_values для amoCRM
+   * @throws {Error} - Метаданные не загрузились, а поле задано названием
+   */
+  async function resolveCustomFieldsValues(entity, fieldsValues, resolveOptions = {}) {
+    if (!Array.isArray(fieldsValues) || fieldsValues.length === 0) {
+      return fieldsValues;
+    }
+
+    const warn = (field, message) => {
+      logger.warn(`⚠️ Кастомное поле ${describeFieldTarget(field)} (${entity}): ${message}`);
+      resolveOptions.warnings?.push({ field: `custom_fields_values.${describeFieldTarget(field)}`, message });
+    };
+    const hasNames = fieldsValues.some(field => field.field_name !== undefined);
+
+    let metadata;
+    try {
+      metadata = await getFields(entity, { cachedOnly: resolveOptions.cachedOnly });
+    } catch (error) {
+      if (hasNames) {
+        // Без метаданных поле по названию не найти - ошибка уходит в очередь на повтор
+        throw error;
+      }
+      logger.warn(`⚠️ Не удалось загрузить метаданные полей amoCRM (${entity}), значения отправляются без проверки: ${error.message}`);
+      return fieldsValues;
+    }
+    if (!metadata) {
+      fieldsValues
+        .filter(field => field.field_name !== undefined)
+        .forEach(field => warn(field, 'метаданные полей еще не загружены - поле будет найдено по названию при отправке'));
+      return fieldsValues;
+    }
+
+    const result = [];
+    for (const field of fieldsValues) {
+      const fieldMetadata = findFieldMetadata(metadata, field);
+      if (!fieldMetadata) {
+        if (field.field_code) {
+          result.push(field);
+        } else {
+          warn(field, 'поле не найдено в amoCRM, значение не отправлено');
+        }
+        continue;
+      }
+
+      const values = [];
+      for (const item of field.values || []) {
+        try {
+          values.push(coerceFieldValue(fieldMetadata, item));
+        } catch (error) {
+          warn(field, `${error.message} (тип поля ${fieldMetadata.type}), значение не отправлено`);
+        }
+      }
+      if (values.length === 0) {
+        continue;
+      }
+
+      const target = field.field_code ? { field_code: field.field_code } : { field_id: fieldMetadata.id };
+      // Поле, заданное дважды (например, в mapping.js и в файле маппинга), берется из последнего описания
+      const duplicate = result.findIndex(existing =>
+        existing.field_id === fieldMetadata.id || (target.field_code && existing.field_code === target.field_code)
+      );
+      if (duplicate !== -1) {
+        result.splice(duplicate, 1);
+      }
+      result.push({ ...target, values });
+    }
+
+    return result.length > 0 ? result : undefined;
+  }
+
+  /**
+   * Проверка настроенных полей при запуске: отсутствующие поля и поля неподходящего типа
+   * @returns {Promise<{ checked: Number, missing: Array, wrongType: Array }>}
+   */
+  async function checkConfiguredFields() {
+    const report = { checked: 0, missing: [], wrongType: [] };
+    for (const { entity, target, source, types } of getConfiguredFieldTargets()) {
+      const fieldMetadata = findFieldMetadata(await getFields(entity), target);
+      report.checked++;
+      if (!fieldMetadata) {
+        report.missing.push({ entity, field: describeFieldTarget(target), source });
+        logger.warn(`⚠️ ${source}: поле ${describeFieldTarget(target)} не найдено в amoCRM (${entity})`);
+      } else if (types && !types.includes(fieldMetadata.type)) {
+        report.wrongType.push({ entity, field: describeFieldTarget(target), source, type: fieldMetadata.type, expected: types });
+        logger.warn(`⚠️ ${source}: поле "${fieldMetadata.name}" имеет тип ${fieldMetadata.type}, ожидается ${types.join(' / ')}`);
+      }
+    }
+
+    if (report.missing.length === 0 && report.wrongType.length === 0) {
+      logger.info(`✅ Кастомные поля amoCRM проверены: ${report.checked}`);
+    }
+    return report;
+  }
+
+  return {
+    getFields,
+    resolveCustomFieldsValues,
+    checkConfiguredFields
+  };
+}
+
+module.exports = {
+  mergeCustomFieldsValues,
+  getValueKey,
+  createCustomFieldsResolver,
+  coerceFieldValue,
+  parseFieldTarget,
+  findFieldMetadata,
+  ENV_FIELDS,
+  DECLARATIVE_SECTIONS
+};
@@ -0,0 +1,273 @@
+/**
+ * РАЗБОР ВРЕМЕНИ ДОГОВОРЕННОСТИ
+ *
+ * Превращает значение call.agreements.agreements_time в момент времени.
+ * Поддерживаются:
+ * - ISO 8601: "2026-10-20T15:00", "2026-10-20 15:00", "2026-10-20T15:00:00+03:00"
+ * - даты: "20.10", "20.10.2026", "20 октября"
+ * - относительные фразы: "сегодня", "завтра", "послезавтра", "через 2 часа",
+ *   "через полчаса", "через 3 дня", "в пятницу", "на следующей неделе"
+ * - время: "в 15:00", "15.30", "в 3 часа дня", "утром", "вечером"
+ *
+ * Время без явного смещения считается временем в указанном часовом поясе.
+ */
+
+const MONTHS = {
+  январ: 1, феврал: 2, март: 3, апрел: 4, ма: 5, июн: 6,
+  июл: 7, август: 8, сентябр: 9, октябр: 10, ноябр: 11, декабр: 12
+};
+
+// Номер дня недели как в Date.getUTCDay(): 0 - воскресенье
+const WEEKDAYS = [
+  [/воскресень/, 0],
+  [/понедельник/, 1],
+  [/вторник/, 2],
+  [/сред[ау]/, 3],
+  [/четверг/, 4],
+  [/пятниц/, 5],
+  [/суббот/, 6]
+];
+
+// Части суток без точного времени
+const DAY_PARTS = [
+  [/утр(ом|а)/, 10],
+  [/(днем|в обед|после обеда)/, 14],
+  [/вечер(ом)?/, 18]
+];
+
+const UNIT_MINUTES = [
+  [/^мин/, 1],
+  [/^час/, 60],
+  [/^(день|дня|дней|сутки|суток)/, 1440],
+  [/^недел/, 10080]
+];
+
+/**
+ * Смещение часового пояса относительно UTC в момент timestamp (в миллисекундах)
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Календарные дата и время в часовом поясе для момента timestamp
+ * @returns {{ year, month, day, hour, minute, weekday }}
+ */
+function getZonedParts(timestamp, timeZone) {
+  const local = new Date(timestamp + getTimezoneOffset(timestamp, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: local.getUTCDay()
+  };
+}
+
+/**
+ * Момент времени (мс) для календарных даты и времени в часовом поясе
+ */
+function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(guess - getTimezoneOffset(guess, timeZone), timeZone);
+  return guess - offset;
+}
+
+/**
+ * Сдвиг календарной даты на days дней
+ */
+function addDays(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  };
+}
+
+/**
+ * Время суток из текста: "в 15:00", "15.30", "в 3 часа дня", "утром"
+ * @returns {{ hour, minute }|null}
+ */
+function parseTime(text) {
+  let match = text.match(/(?:^|\D)([01]?\d|2[0-3])[:.]([0-5]\d)(?!\d)/);
+  let hour = null;
+  let minute = 0;
+
+  if (match) {
+    hour = parseInt(match[1]);
+    minute = parseInt(match[2]);
+  } else {
+    match = text.match(/(?:^|\s)(?:в|к|около)\s+(\d{1,2})(?:\s*(?:ч\.?|час[а-я]*))?(?=\s|$)/)
+      || text.match(/(?:^|\s)(\d{1,2})\s*час[а-я]*/);
+    if (match) {
+      hour = parseInt(match[1]);
+    }
+  }
+
+  if (hour !== null) {
+    if (hour < 12 && /(дня|вечера)/.test(text)) {
+      hour += 12;
+    }
+    return hour <= 23 ? { hour, minute } : null;
+  }
+
+  for (const [pattern, partHour] of DAY_PARTS) {
+    if (pattern.test(text)) {
+      return { hour: partHour, minute: 0 };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Календарная дата из текста относительно сегодняшней даты today
+ * @returns {{ date: { year, month, day }, matched: String }|null} - Дата и фрагмент текста, из которого она взята
+ */
+function parseDate(text, today) {
+  const relativeDays = [[/послезавтра/, 2], [/завтра/, 1], [/сегодня/, 0]];
+  for (const [pattern, days] of relativeDays) {
+    const match = text.match(pattern);
+    if (match) {
+      return { date: addDays(today, days), matched: match[0] };
+    }
+  }
+
+  // 20.10.2026 или 20.10; "в 10.30" без года считаем временем, а не датой
+  let match = text.match(/(^|[^\d])(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?(?!\d)/);
+  const month = match ? parseInt(match[3]) : 0;
+  const looksLikeTime = match && !match[4] && /(в|к|около)\s*$/.test(text.slice(0, match.index + match[1].length));
+  if (match && month >= 1 && month <= 12 && !looksLikeTime) {
+    const day = parseInt(match[2]);
+    let year = match[4] ? parseInt(match[4]) : today.year;
+    if (year < 100) {
+      year += 2000;
+    }
+    if (!match[4] && (month < today.month || (month === today.month && day < today.day))) {
+      year += 1;
+    }
+    return { date: { year, month, day }, matched: match[0].slice(match[1].length) };
+  }
+
+  // 20 октября
+  match = text.match(/(\d{1,2})\s+(январ|феврал|март|апрел|ма|июн|июл|август|сентябр|октябр|ноябр|декабр)[а-я]*/);
+  if (match) {
+    const day = parseInt(match[1]);
+    const monthNumber = MONTHS[match[2]];
+    let year = today.year;
+    if (monthNumber < today.month || (monthNumber === today.month && day < today.day)) {
+      year += 1;
+    }
+    return { date: { year, month: monthNumber, day }, matched: match[0] };
+  }
+
+  match = text.match(/следующ[а-я]*\s+недел[а-я]*/);
+  if (match) {
+    // Понедельник следующей недели
+    return { date: addDays(today, ((8 - today.weekday) % 7) || 7), matched: match[0] };
+  }
+
+  for (const [pattern, weekday] of WEEKDAYS) {
+    match = text.match(pattern);
+    if (match) {
+      return { date: addDays(today, ((weekday - today.weekday + 7) % 7) || 7), matched: match[0] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Разбор времени договоренности
+ * @param {String} value - Текст договоренности (например, "перезвонить завтра в 15:00")
+ * @param {Object} options
+ * @param {String} options.timeZone - Часовой пояс IANA (например, Europe/Moscow)
+ * @param {Number} options.now - Текущий момент (мс), по умолчанию Date.now()
+ * @param {Number} options.defaultHour - Час, если указана только дата (по умолчанию 10)
+ * @returns {Date|null} - Момент времени или null, если разобрать не удалось
+ */
+function parseAgreementTime(value, options = {}) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const timeZone = options.timeZone || 'Europe/Moscow';
+  const now = options.now || Date.now();
+  const defaultHour = options.defaultHour ?? 10;
+  const text = value.toLowerCase().replace(/ё/g, 'е').replace(/\s+/g, ' ').trim();
+
+  // ISO 8601
+  const iso = text.match(/(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?\s*(z|[+-]\d{2}:?\d{2})?/);
+  if (iso) {
+    if (iso[6] && iso[4]) {
+      const parsed = Date.parse(iso[0].toUpperCase().replace(' ', 'T'));
+      return isNaN(parsed) ? null : new Date(parsed);
+    }
+    const hour = iso[4] ? parseInt(iso[4]) : defaultHour;
+    const minute = iso[5] ? parseInt(iso[5]) : 0;
+    return new Date(zonedTimeToTimestamp(parseInt(iso[1]), parseInt(iso[2]), parseInt(iso[3]), hour, minute, timeZone));
+  }
+
+  // Через N минут / часов / дней / недель
+  const relative = text.match(/через\s+(?:(\d+|пол)\s*)?([а-я]+)/);
+  if (relative) {
+    if (relative[2].startsWith('полчаса')) {
+      return new Date(now + 30 * 60000);
+    }
+    const unit = UNIT_MINUTES.find(([pattern]) => pattern.test(relative[2]));
+    if (unit) {
+      const amount = relative[1] === 'пол' ? 0.5 : (relative[1] ? parseInt(relative[1]) : 1);
+      const minutes = amount * unit[1];
+      if (unit[1] < 1440) {
+        return new Date(now + minutes * 60000);
+      }
+      // Через N дней - та же дата в указанное время (или время по умолчанию)
+      const zonedNow = getZonedParts(now, timeZone);
+      const date = addDays(zonedNow, Math.round(minutes / 1440));
+      const time = parseTime(text.replace(relative[0], ' ')) || { hour: defaultHour, minute: 0 };
+      return new Date(zonedTimeToTimestamp(date.year, date.month, date.day, time.hour, time.minute, timeZone));
+    }
+  }
+
+  const today = getZonedParts(now, timeZone);
+  const parsedDate = parseDate(text, today);
+  let date = parsedDate ? parsedDate.date : null;
+  // Убираем дату из текста, чтобы "20.10" не разобрать как время
+  const time = parseTime(parsedDate ? text.replace(parsedDate.matched, ' ') : text);
+
+  if (!date && !time) {
+    return null;
+  }
+
+  if (!date) {
+    // Только время: сегодня, а если уже прошло - завтра
+    date = addDays(today, 0);
+    const candidate = zonedTimeToTimestamp(date.year, date.month, date.day, time.hour, time.minute, timeZone);
+    if (candidate <= now) {
+      date = addDays(today, 1);
+    }
+  }
+
+  const { hour, minute } = time || { hour: defaultHour, minute: 0 };
+  return new Date(zonedTimeToTimestamp(date.year, date.month, date.day, hour, minute, timeZone));
+}
+
+module.exports = {
+  parseAgreementTime,
+  getZonedParts,
+  zonedTimeToTimestamp
+};
@@ -0,0 +1,184 @@
+/**
+ * МАРШРУТИЗАЦИЯ СОБЫТИЙ SASHA AI ПО ТИПУ
+ *
+ * Тип события берется из поля type в теле (или event.type), а при его
+ * отсутствии - из заголовка X-Webhook-Event. Вебхук без типа с contact и call
+ * считается результатом звонка (так работали первые версии интеграции).
+ *
+ * Маршруты:
+ * - call_result - звонок завершен: контакт → сделка → примечания → задача
+ * - call_failed - не дозвонились / ошибка: теги и примечания к существующему контакту
+ * - call_list_finished - колл-лист завершен: итоговое примечание
+ * - ignored - служебные события (статусы, начало звонка): подтверждаются без обработки
+ *
+ * Неизвестные типы подтверждаются (200) и записываются в лог.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { findExistingContact } = require('./contacts');
+const { buildCallNote } = require('./notes');
+const { getEnv } = require('./tenantContext');
+const { logger } = require('./logger');
+const {
+  contactMapping,
+  missedCallMapping,
+  callListSummaryMapping,
+  applyMapping,
+  renderTemplate
+} = require('./mapping');
+
+/**
+ * Маршруты и типы событий Sasha AI, которые на них ведут
+ * required - поля, без которых событие не принимается (400)
+ */
+const EVENT_ROUTES = {
+  call_result: {
+    types: ['call_result', 'call.result', 'call_finished', 'call.finished', 'call_completed'],
+    required: ['contact', 'call']
+  },
+  call_failed: {
+    types: ['call_failed', 'call.failed', 'call_no_answer', 'call.no_answer', 'no_answer'],
+    required: ['contact', 'call']
+  },
+  call_list_finished: {
+    types: ['call_list_finished', 'call_list.finished', 'calllist_finished', 'call_list_completed'],
+    required: ['callList']
+  },
+  ignored: {
+    types: ['call_started', 'call.started', 'call_status', 'call.status', 'call_list_started', 'call_list.started', 'ping', 'test'],
+    required: []
+  }
+};
+
+/**
+ * Тип события из тела или заголовков
+ * @param {Object} data - Данные вебхука
+ * @param {Object} headers - Заголовки запроса
+ * @returns {String|null}
+ */
+function getEventType(data, headers = {}) {
+  const type = data?.type || data?.event?.type || headers['x-webhook-event'] || null;
+  return type ? String(type).trim().toLowerCase() : null;
+}
+
+/**
+ * Определение маршрута для события
+ * @param {Object} data - Данные вебхука
+ * @param {Object} headers - Заголовки запроса
+ * @returns {{ route: String|null, eventType: String|null, missing: String[] }}
+ *   route = null - неизвестный тип события
+ */
+function resolveEventRoute(data, headers = {}) {
+  const eventType = getEventType(data, headers);
+
+  let route = null;
+  if (!eventType) {
+    route = 'call_result';
+  } else {
+    route = Object.keys(EVENT_ROUTES).find(name => EVENT_ROUTES[name].types.includes(eventType)) || null;
+  }
+
+  const missing = route ? EVENT_ROUTES[route].required.filter(field => !data?.[field]) : [];
+  return { route, eventType, missing };
+}
+
+/**
+ * Запросы к контакту по неудавшемуся звонку
+ * @param {Object} data - Данные вебхука
+ * @returns {{ update: Object|null, notes: Array }} - тело PATCH контакта (теги) и примечания
+ */
+function buildFailedCallRequests(data) {
+  const update = missedCallMapping.tags.length > 0
+    ? { tags_to_add: missedCallMapping.tags.map(name => ({ name })) }
+    : null;
+
+  const notes = [buildCallNote(data)];
+  const text = renderTemplate(missedCallMapping.note, data);
+  if (text) {
+    notes.push({ note_type: 'common', params: { text } });
+  }
+
+  return { update, notes: notes.filter(Boolean) };
+}
+
+/**
+ * Итоговое примечание по колл-листу
+ * @param {Object} data - Данные вебхука
+ * @returns {Object}
+ */
+function buildCallListSummaryNote(data) {
+  return { note_type: 'common', params: { text: renderTemplate(callListSummaryMapping.note, data) } };
+}
+
+/**
+ * Неудавшийся звонок: теги и примечания к существующему контакту, сделка не создается
+ * @param {Object} data - Данные вебхука
+ * @returns {Promise<Object>}
+ */
+async function handleFailedCall(data) {
+  const contactFields = applyMapping(data, contactMapping);
+  const contact = await findExistingContact(contactFields);
+  if (!contact) {
+    logger.info('📵 Неудавшийся звонок: контакт в amoCRM не найден, событие пропущено');
+    return { contactId: null, action: 'skipped' };
+  }
+
+  const { update, notes } = buildFailedCallRequests(data);
+  if (update) {
+    await amocrmRequest('patch', `/api/v4/contacts/${contact.id}`, { data: update });
+  }
+  await amocrmRequest('post', `/api/v4/contacts/${contact.id}/notes`, { data: notes });
+
+  logger.info(`📵 Неудавшийся звонок отмечен у контакта ${contact.id}`);
+  return { contactId: contact.id, action: 'noted' };
+}
+
+/**
+ * Завершение колл-листа: итоговое примечание к служебной сделке
+ * @param {Object} data - Данные вебхука
+ * @returns {Promise<Object>}
+ */
+async function handleCallListFinished(data) {
+  const leadId = parseInt(getEnv('AMOCRM_CALL_LIST_SUMMARY_LEAD_ID'));
+  if (!leadId) {
+    logger.info(`📋 Колл-лист "${data.callList?.name}" завершен (AMOCRM_CALL_LIST_SUMMARY_LEAD_ID не задан, примечание не создается)`);
+    return { leadId: null, action: 'skipped' };
+  }
+
+  await amocrmRequest('post', `/api/v4/leads/${leadId}/notes`, {
+    data: [buildCallListSummaryNote(data)]
+  });
+
+  logger.info(`📋 Итог колл-листа "${data.callList?.name}" добавлен к сделке ${leadId}`);
+  return { leadId, action: 'noted' };
+}
+
+/**
+ * Создание диспетчера событий
+ * @param {Object} handlers - { call_result: async (data) => результат } - обработчики, определенные в сервере
+ * @returns {Function} - async (route, data) => результат обработки
+ */
+function createEventDispatcher(handlers) {
+  const routeHandlers = {
+    call_failed: handleFailedCall,
+    call_list_finished: handleCallListFinished,
+    ...handlers
+  };
+
+  return async function dispatchEvent(route, data) {
+    const handler = routeHandlers[route || 'call_result'];
+    if (!handler) {
+      throw new Error(`Нет обработчика для маршрута события "${route}"`);
+    }
+    return handler(data);
+  };
+}
+
+module.exports = {
+  EVENT_ROUTES,
+  getEventType,
+  resolveEventRoute,
+  createEventDispatcher,
+  buildFailedCallRequests,
+  buildCallListSummaryNote
+};
@@ -0,0 +1,114 @@
+/**
+ * ХРАНИЛИЩЕ ОБРАБОТАННЫХ СОБЫТИЙ SASHA AI
+ *
+ * Sasha AI повторяет доставку вебхука при таймауте с тем же ID события.
+ * Хранилище запоминает каждый ID и результат его обработки (contactId, leadId),
+ * чтобы повторная доставка возвращала исходный результат без обращения к amoCRM.
+ *
+ * Состояния события:
+ * - in_flight - вебхук принят и стоит в очереди доставки (повторы блокируются);
+ * - done - доставлен в amoCRM, сохранены ID контакта и сделки;
+ * - failed - задание попало в dead-letter; повторная доставка возвращает его в очередь.
+ *
+ * Записи старше WEBHOOK_EVENT_TTL_DAYS дней (по умолчанию 30) удаляются.
+ */
+
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./storage');
+
+/**
+ * Создание хранилища событий
+ * @param {Object} options
+ * @param {String} options.storagePath - Путь к файлу (по умолчанию DATA_DIR/processed-events.json)
+ * @param {Number} options.ttlDays - Срок хранения записей в днях
+ * @returns {Object} - { get, markInFlight, markDone, markFailed }
+ */
+function createEventStore(options = {}) {
+  const storagePath = options.storagePath
+    || resolveDataPath(process.env.WEBHOOK_EVENTS_FILE || 'processed-events.json');
+  const ttlMs = (options.ttlDays || parseInt(process.env.WEBHOOK_EVENT_TTL_DAYS) || 30) * 86400000;
+
+  let events = null;
+
+  function load() {
+    if (!events) {
+      events = readJsonFile(storagePath, {});
+    }
+    return events;
+  }
+
+  function save() {
+    const now = Date.now();
+    for (const [eventId, record] of Object.entries(events)) {
+      if (now - Date.parse(record.updatedAt) > ttlMs) {
+        delete events[eventId];
+      }
+    }
+    writeJsonFile(storagePath, events);
+  }
+
+  function update(eventId, changes) {
+    const all = load();
+    const key = String(eventId);
+    all[key] = {
+      ...all[key],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    save();
+    return all[key];
+  }
+
+  /**
+   * Запись о событии или null
+   */
+  function get(eventId) {
+    return load()[String(eventId)] || null;
+  }
+
+  /**
+   * Событие принято и поставлено в очередь
+   */
+  function markInFlight(eventId, jobId) {
+    return update(eventId, {
+      status: 'in_flight',
+      jobId,
+      receivedAt: get(eventId)?.receivedAt || new Date().toISOString()
+    });
+  }
+
+  /**
+   * Событие доставлено в amoCRM
+   * @param {Object} result - Результат обработки (contactId, leadId и т.д.)
+   */
+  function markDone(eventId, result) {
+    return update(eventId, {
+      status: 'done',
+      contactId: result?.contactId ?? null,
+      leadId: result?.leadId ?? null,
+      leadAction: result?.leadAction ?? null,
+      completedAt: new Date().toISOString(),
+      error: null
+    });
+  }
+
+  /**
+   * Доставка события не удалась (задание в dead-letter)
+   */
+  function markFailed(eventId, error) {
+    return update(eventId, {
+      status: 'failed',
+      error: error?.message || null
+    });
+  }
+
+  return {
+    get,
+    markInFlight,
+    markDone,
+    markFailed
+  };
+}
+
+module.exports = {
+  createEventStore
+};
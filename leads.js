@@ -0,0 +1,199 @@
+/**
+ * ДЕДУПЛИКАЦИЯ СДЕЛОК В amoCRM
+ *
+ * Повторный звонок тому же клиенту может не создавать новую сделку, а дополнять
+ * уже открытую сделку контакта в воронке AMOCRM_PIPELINE_ID.
+ *
+ * Режим задается переменной AMOCRM_LEAD_DEDUP_MODE:
+ * - always_create - всегда создавать новую сделку (по умолчанию)
+ * - reuse_open - дополнять самую новую открытую сделку контакта
+ * - reuse_recent - дополнять открытую сделку, только если она создана не раньше
+ *   чем AMOCRM_LEAD_DEDUP_DAYS дней назад
+ *
+ * При AMOCRM_LEAD_COMPLEX=true новая сделка с новым контактом создается одним запросом
+ * POST /api/v4/leads/complex - без "осиротевшего" контакта, если сделку создать не удалось.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { mergeCustomFieldsValues, parseFieldTarget } = require('./customFields');
+const { getEnv } = require('./tenantContext');
+const { getMissingTags } = require('./tags');
+const { logger } = require('./logger');
+
+// Системные статусы amoCRM: "Успешно реализовано" и "Закрыто и не реализовано"
+const CLOSED_STATUS_IDS = [142, 143];
+
+const DEDUP_MODES = ['always_create', 'reuse_open', 'reuse_recent'];
+
+/**
+ * Текущая политика дедупликации сделок
+ * @returns {{ mode: String, days: Number }}
+ */
+function getLeadDedupPolicy() {
+  const mode = (getEnv('AMOCRM_LEAD_DEDUP_MODE') || 'always_create').trim();
+  if (!DEDUP_MODES.includes(mode)) {
+    throw new Error(`Некорректное значение AMOCRM_LEAD_DEDUP_MODE: "${mode}". Допустимые значения: ${DEDUP_MODES.join(', ')}`);
+  }
+
+  const days = parseInt(getEnv('AMOCRM_LEAD_DEDUP_DAYS'));
+  if (mode === 'reuse_recent' && (isNaN(days) || days <= 0)) {
+    throw new Error('AMOCRM_LEAD_DEDUP_DAYS не установлен или некорректен. Для режима reuse_recent укажите число дней больше 0.');
+  }
+
+  return { mode, days: isNaN(days) ? null : days };
+}
+
+/**
+ * Поиск самой новой открытой сделки контакта в воронке
+ * @param {Number} contactId - ID контакта amoCRM
+ * @param {Number} pipelineId - ID воронки
+ * @param {Object} policy - Результат getLeadDedupPolicy()
+ * @returns {Promise<Object|null>} - Сделка amoCRM (с custom_fields_values) или null
+ */
+async function findOpenLeadForContact(contactId, pipelineId, policy) {
+  if (policy.mode === 'always_create' || !contactId) {
+    return null;
+  }
+
+  const contact = await amocrmRequest('get', `/api/v4/contacts/${contactId}`, {
+    params: { with: 'leads' }
+  });
+  const leadIds = (contact?._embedded?.leads || []).map(lead => lead.id);
+  if (leadIds.length === 0) {
+    return null;
+  }
+
+  const response = await amocrmRequest('get', '/api/v4/leads', {
+    params: {
+      filter: { id: leadIds, pipeline_id: pipelineId },
+      limit: 250
+    }
+  });
+
+  const minCreatedAt = policy.mode === 'reuse_recent'
+    ? Math.floor(Date.now() / 1000) - policy.days * 86400
+    : 0;
+
+  const openLeads = (response?._embedded?.leads || [])
+    .filter(lead => lead.pipeline_id === pipelineId)
+    .filter(lead => !lead.closed_at && !CLOSED_STATUS_IDS.includes(lead.status_id))
+    .filter(lead => (lead.created_at || 0) >= minCreatedAt)
+    .sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+
+  return openLeads[0] || null;
+}
+
+/**
+ * Дополнение существующей сделки данными нового звонка:
+ * договоренности дописываются к уже сохраненным, остальные кастомные поля обновляются
+ * (примечания о звонке добавляет обработчик вебхука - с отметкой о повторном звонке)
+ * @param {Object} lead - Сделка из ответа amoCRM
+ * @param {Object} leadFields - Поля сделки после маппинга
+ * @param {Object} data - Данные вебхука
+ * @returns {Promise<Object>}
+ */
+async function appendCallToLead(lead, leadFields, data) {
+  // Поле договоренностей может быть задано названием - тогда ID берется из полей сделки
+  const agreementsTarget = parseFieldTarget(getEnv('AMOCRM_AGREEMENTS_FIELD_ID'));
+  const agreementsFieldId = agreementsTarget?.field_id || (lead.custom_fields_values || [])
+    .find(existing => agreementsTarget && String(existing.field_name).trim().toLowerCase() === agreementsTarget.field_name.toLowerCase())?.field_id;
+  const incomingFields = (leadFields.custom_fields_values || []).map(field => {
+    if (!agreementsFieldId || field.field_id !== agreementsFieldId) {
+      return field;
+    }
+    // Договоренности не заменяем, а дописываем к предыдущим
+    const previous = (lead.custom_fields_values || [])
+      .find(existing => existing.field_id === agreementsFieldId)?.values?.[0]?.value;
+    if (!previous || previous === field.values[0].value) {
+      return field;
+    }
+    return {
+      field_id: agreementsFieldId,
+      values: [{ value: `${previous}\n\n${field.values[0].value}` }]
+    };
+  });
+
+  const update = {};
+  const mergedFields = mergeCustomFieldsValues(lead.custom_fields_values, incomingFields);
+  if (mergedFields.length > 0) {
+    update.custom_fields_values = mergedFields;
+  }
+  // Теги нового звонка добавляются к тегам сделки
+  const newTags = getMissingTags(lead, leadFields._embedded?.tags);
+  if (newTags.length > 0) {
+    update.tags_to_add = newTags;
+  }
+
+  let response = lead;
+  if (Object.keys(update).length > 0) {
+    logger.body(`Обновление сделки ${lead.id}`, update);
+    response = await amocrmRequest('patch', `/api/v4/leads/${lead.id}`, { data: update });
+  }
+
+  return {
+    success: true,
+    leadId: lead.id,
+    action: 'updated',
+    responsibleUserId: lead.responsible_user_id || null,
+    data: response
+  };
+}
+
+/**
+ * Включено ли создание сделки вместе с контактом одним запросом (leads/complex)
+ */
+function isLeadComplexEnabled() {
+  return getEnv('AMOCRM_LEAD_COMPLEX') === 'true';
+}
+
+/**
+ * Сделка для POST /api/v4/leads/complex: с новым контактом в _embedded.contacts
+ * Метаданные источника (category: forms) включают контроль дублей amoCRM: если он настроен
+ * в аккаунте, amoCRM объединит контакт с найденным дублем и вернет merged: true
+ * (отключается AMOCRM_LEAD_COMPLEX_DUPLICATE_CONTROL=false)
+ * @param {Object} leadFields - Поля сделки (без контакта)
+ * @param {Object} contactFields - Поля нового контакта
+ * @param {Number} sentAt - Время события в мс
+ * @returns {Object}
+ */
+function buildComplexLead(leadFields, contactFields, sentAt = Date.now()) {
+  const embedded = { ...leadFields._embedded, contacts: [contactFields] };
+  if (getEnv('AMOCRM_LEAD_COMPLEX_DUPLICATE_CONTROL') !== 'false') {
+    embedded.metadata = {
+      category: 'forms',
+      form_id: 'sasha-ai',
+      form_name: 'Sasha AI',
+      form_page: 'sasha-ai',
+      form_sent_at: Math.floor(sentAt / 1000)
+    };
+  }
+  return { ...leadFields, _embedded: embedded };
+}
+
+/**
+ * Результат leads/complex: [{ id, contact_id, company_id, merged }]
+ * @param {Array} response - Ответ amoCRM
+ * @returns {Object} - { leadId, contactId, companyId, merged }
+ * @throws {Error} - amoCRM не вернул ID сделки
+ */
+function parseComplexLeadResponse(response) {
+  const created = Array.isArray(response) ? response[0] : null;
+  if (!created?.id) {
+    throw new Error(`amoCRM не вернул ID сделки (leads/complex): ${JSON.stringify(response)}`);
+  }
+  return {
+    leadId: created.id,
+    contactId: created.contact_id || null,
+    companyId: created.company_id || null,
+    merged: created.merged === true
+  };
+}
+
+module.exports = {
+  getLeadDedupPolicy,
+  isLeadComplexEnabled,
+  buildComplexLead,
+  parseComplexLeadResponse,
+  findOpenLeadForContact,
+  appendCallToLead
+};
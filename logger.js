@@ -0,0 +1,282 @@
+/**
+ * СТРУКТУРИРОВАННЫЕ ЛОГИ
+ *
+ * Каждая запись - одна строка JSON: время, уровень, сообщение, ID корреляции
+ * (сквозной ID вебхука: прием → очередь → контакт и сделка в amoCRM), тенант и поля.
+ * - LOG_LEVEL - минимальный уровень: debug, info (по умолчанию), warn, error;
+ * - LOG_FORMAT=text - читаемые строки вместо JSON (для локальной разработки);
+ * - LOG_BODIES=true - логировать тела запросов и данные для amoCRM (по умолчанию выключено);
+ * - LOG_REDACT_PATHS - дополнительные пути полей, значения которых скрываются.
+ *
+ * Персональные данные скрываются всегда: поля по путям (телефон, email, токены,
+ * история звонка) и номера телефонов и email внутри любых строк.
+ *
+ * Настройки читаются один раз - при создании логгера. Логгер по умолчанию (logger)
+ * создается при первой записи, когда .env уже загружен (server.js загружает его первым,
+ * cli.js - после разбора --env-file и вызывает initLogger).
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getCurrentTenant } = require('./tenantContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Пути полей, которые скрываются по умолчанию
+ * Путь совпадает на любой глубине (contact.phone скрывает и body.contact.phone);
+ * * - любой ключ на одном уровне, ** - любое число уровней
+ */
+const DEFAULT_REDACT_PATHS = [
+  'contact.phone',
+  'contact.additionalFields.email',
+  'call.agreements.historycall',
+  'call.transcript',
+  'access_token',
+  'refresh_token',
+  'client_secret',
+  'authorization',
+  'Authorization',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'clientSecret',
+  'webhookSecret',
+  'webhookSecrets'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Телефоны (+7..., 7/8 и 10 цифр) и email внутри строк
+const PHONE_PATTERN = /(?<![\w.])(?:\+\d{10,15}|[78]\d{10})(?!\d)/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+const correlationStorage = new AsyncLocalStorage();
+
+/**
+ * Настройки логирования из переменных окружения
+ */
+function getLogConfig() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return {
+    level: LEVELS[level] ? level : 'info',
+    format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json',
+    bodies: process.env.LOG_BODIES === 'true',
+    redactPaths: [
+      ...DEFAULT_REDACT_PATHS,
+      ...String(process.env.LOG_REDACT_PATHS || '').split(',').map(item => item.trim()).filter(Boolean)
+    ]
+  };
+}
+
+/**
+ * Включено ли логирование тел запросов (LOG_BODIES=true)
+ */
+function isBodyLoggingEnabled() {
+  return getDefaultLogger().config.bodies;
+}
+
+/**
+ * Новый ID корреляции
+ */
+function createCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Выполнение функции с ID корреляции: все записи лога внутри (в том числе после await) его содержат
+ * @param {String} correlationId
+ * @param {Function} callback
+ * @returns {*} - Результат callback
+ */
+function runWithCorrelationId(correlationId, callback) {
+  return correlationStorage.run(correlationId || null, callback);
+}
+
+/**
+ * Текущий ID корреляции или null
+ */
+function getCorrelationId() {
+  return correlationStorage.getStore() || null;
+}
+
+/**
+ * Скрытие телефонов и email в строке: 79001234567 → ***4567
+ */
+function maskString(value) {
+  return value
+    .replace(PHONE_PATTERN, match => `***${match.slice(-4)}`)
+    .replace(EMAIL_PATTERN, match => `***@${match.split('@')[1]}`);
+}
+
+/**
+ * Сведения об ошибке для лога: сообщение, код, статус и тело ответа amoCRM
+ * Запрос, конфигурация и заголовки axios (в них Authorization) в лог не попадают
+ * @param {Error} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    status: error.response?.status,
+    response: error.response?.data,
+    stack: error.stack
+  };
+}
+
+function matchesPath(pattern, path) {
+  if (pattern.length === 0) {
+    return path.length === 0;
+  }
+  if (pattern[0] === '**') {
+    for (let skip = 0; skip <= path.length; skip++) {
+      if (matchesPath(pattern.slice(1), path.slice(skip))) {
+        return true;
+      }
+    }
+    return false;
+  }
+  return path.length > 0
+    && (pattern[0] === '*' || pattern[0] === path[0])
+    && matchesPath(pattern.slice(1), path.slice(1));
+}
+
+/**
+ * Копия значения со скрытыми персональными данными
+ * @param {*} value - Объект, массив или строка
+ * @param {Array} paths - Пути полей (по умолчанию - настройки логгера по умолчанию)
+ * @returns {*}
+ */
+function redact(value, paths = getDefaultLogger().config.redactPaths) {
+  const patterns = paths.map(item => ['**', ...item.split('.')]);
+  const seen = new WeakSet();
+
+  function walk(current, path) {
+    if (path.length > 0 && patterns.some(pattern => matchesPath(pattern, path))) {
+      return current === undefined || current === null || current === '' ? current : REDACTED;
+    }
+    if (typeof current === 'string') {
+      return maskString(current);
+    }
+    if (current instanceof Error) {
+      return walk(serializeError(current), path);
+    }
+    if (!current || typeof current !== 'object' || Buffer.isBuffer(current)) {
+      return current;
+    }
+    if (seen.has(current)) {
+      return '[Circular]';
+    }
+    seen.add(current);
+    if (Array.isArray(current)) {
+      // Индексы массивов в путях не учитываются: contacts.phone подходит и для contacts[0].phone
+      return current.map(item => walk(item, path));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(current)) {
+      result[key] = walk(item, [...path, key]);
+    }
+    return result;
+  }
+
+  return walk(value, []);
+}
+
+/**
+ * Создание логгера
+ * @param {Object} config - Настройки (по умолчанию getLogConfig() на момент создания)
+ * @returns {Object} - { debug, info, warn, error, body, config }
+ */
+function createLogger(config = getLogConfig()) {
+  /**
+   * Запись в лог: warn и error - в stderr, остальное - в stdout
+   * @param {String} level - debug, info, warn, error
+   * @param {String} message - Сообщение
+   * @param {Object} fields - Дополнительные поля (скрываются по тем же правилам)
+   */
+  function write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[config.level]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: maskString(String(message)),
+      correlationId: getCorrelationId() || undefined,
+      tenant: getCurrentTenant()?.id || undefined,
+      ...redact(fields, config.redactPaths)
+    };
+
+    const output = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    if (config.format === 'text') {
+      const { time, msg, correlationId, tenant, level: entryLevel, ...rest } = entry;
+      const context = [correlationId, tenant && `тенант ${tenant}`].filter(Boolean).join(', ');
+      const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      output.write(`${time} ${entryLevel.toUpperCase()}${context ? ` [${context}]` : ''} ${msg}${extra}\n`);
+      return;
+    }
+    output.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    config,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+
+    /**
+     * Тело запроса или данные для amoCRM - только при LOG_BODIES=true, со скрытием персональных данных
+     * @param {String} message - Сообщение
+     * @param {*} body - Тело
+     */
+    body: (message, body) => {
+      if (config.bodies) {
+        write('info', message, { body });
+      }
+    }
+  };
+}
+
+let defaultLogger = null;
+
+function getDefaultLogger() {
+  if (!defaultLogger) {
+    defaultLogger = createLogger();
+  }
+  return defaultLogger;
+}
+
+/**
+ * Создание логгера по умолчанию с текущими переменными окружения
+ * (cli.js - после загрузки --env-file, с текстовым форматом)
+ * @param {Object} overrides - Поправки к настройкам, например { format: 'text' }
+ * @returns {Object} - Логгер
+ */
+function initLogger(overrides = {}) {
+  defaultLogger = createLogger({ ...getLogConfig(), ...overrides });
+  return defaultLogger;
+}
+
+// Логгер модулей: записи идут в логгер по умолчанию
+const logger = {
+  debug: (message, fields) => getDefaultLogger().debug(message, fields),
+  info: (message, fields) => getDefaultLogger().info(message, fields),
+  warn: (message, fields) => getDefaultLogger().warn(message, fields),
+  error: (message, fields) => getDefaultLogger().error(message, fields),
+  body: (message, body) => getDefaultLogger().body(message, body)
+};
+
+module.exports = {
+  logger,
+  redact,
+  serializeError,
+  isBodyLoggingEnabled,
+  createCorrelationId,
+  runWithCorrelationId,
+  getCorrelationId,
+  createLogger,
+  initLogger
+};
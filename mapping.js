@@ -14,8 +14,74 @@
  * - AMOCRM_EMAIL_FIELD_ID - ID поля email
  * - AMOCRM_PIPELINE_ID - ID воронки (обязательно)
  * - AMOCRM_STATUS_ID - ID статуса в воронке (опционально, по умолчанию первый статус)
+ * Вместо ID кастомного поля (AMOCRM_*_FIELD_ID) можно указать его название или код -
+ * поле будет найдено по метаданным amoCRM (см. customFields.js).
+ *
+ * Поля сделки и контакта можно также задать файлом MAPPING_CONFIG_FILE (JSON или YAML)
+ * без правки этого файла - см. mappingConfig.js.
  */
 
+const { normalizePhone, formatDuration } = require('./transforms');
+const { getDeclarativeMapping } = require('./mappingConfig');
+const { resolvePipelineRoute } = require('./pipelineRules');
+const { parseFieldTarget } = require('./customFields');
+const { getEnv } = require('./tenantContext');
+const { logger } = require('./logger');
+
+/**
+ * Правила выбора ВОРОНКИ и СТАТУСА сделки (см. pipelineRules.js)
+ *
+ * Проверяются по порядку; если ни одно правило не задает воронку или статус,
+ * используются AMOCRM_PIPELINE_ID и AMOCRM_STATUS_ID.
+ * Правила из файла маппинга (раздел pipeline_rules) заменяют этот список.
+ */
+const pipelineRules = [
+  // Колл-лист определяет воронку:
+  // { name: 'Холодная база', when: { 'callList.name': 'Холодная база' }, pipeline_id: 1234567 },
+  // Входящие звонки - в отдельную воронку:
+  // { name: 'Входящие', when: { 'call.type': 'incoming' }, pipeline_id: 2345678 },
+  // Клиент согласился - статус "Договоренность":
+  // { name: 'Договоренность', when: { 'call.agreements.isCommit': true }, status_id: 3456789 },
+  // Высокий интерес - статус "Горячий":
+  // { when: { 'call.agreements.interest_level': ['high', 'высокий'] }, status_id: 4567890 }
+];
+
+/**
+ * Воронка и статус для сделки по правилам
+ * @param {Object} data - Данные вебхука
+ * @returns {{ pipeline_id, status_id, pipelineRule, statusRule }}
+ */
+function resolveLeadPipeline(data) {
+  return resolvePipelineRoute(data, getDeclarativeMapping('pipeline_rules') || pipelineRules, {
+    getValueByPath,
+    defaults: {
+      pipeline_id: getEnv('AMOCRM_PIPELINE_ID') || null,
+      status_id: getEnv('AMOCRM_STATUS_ID') || null
+    }
+  });
+}
+
+/**
+ * Правила назначения ОТВЕТСТВЕННОГО за контакт и сделку (см. responsible.js)
+ *
+ * Проверяются по порядку до первого подходящего; если ни одно не подошло -
+ * режим AMOCRM_RESPONSIBLE_MODE. Правила из файла маппинга (раздел responsible_rules)
+ * заменяют этот список.
+ */
+const responsibleRules = [
+  // Регион клиента - региональный менеджер:
+  // { name: 'Москва', when: { 'contact.dadataPhoneInfo.region': ['Москва', 'Московская обл'] }, responsible_user_id: 1234567 },
+  // Колл-лист - группа менеджеров по очереди:
+  // { name: 'Холодная база', when: { 'callList.name': 'Холодная база' }, user_ids: [2345678, 3456789] }
+];
+
+/**
+ * Действующие правила назначения ответственного
+ */
+function getResponsibleRules() {
+  return getDeclarativeMapping('responsible_rules') || responsibleRules;
+}
+
 /**
  * Маппинг для СДЕЛОК (leads) в amoCRM
  */
@@ -41,16 +107,16 @@ const leadMapping = {
     }
   },
   
-  // ID воронки (обязательное поле)
+  // ID воронки (обязательное поле): по правилам pipelineRules, иначе AMOCRM_PIPELINE_ID
   pipeline_id: {
-    source: 'static',
-    value: process.env.AMOCRM_PIPELINE_ID || null
+    source: 'multiple',
+    transform: (value, data) => resolveLeadPipeline(data).pipeline_id
   },
   
-  // ID статуса в воронке (опционально)
+  // ID статуса в воронке (опционально): по правилам pipelineRules, иначе AMOCRM_STATUS_ID
   status_id: {
-    source: 'static',
-    value: process.env.AMOCRM_STATUS_ID || null
+    source: 'multiple',
+    transform: (value, data) => resolveLeadPipeline(data).status_id
   },
   
   // Цена сделки (опционально)
@@ -74,84 +140,82 @@ const leadMapping = {
       const contact = data.contact || {};
       
       // Договоренности (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_AGREEMENTS_FIELD_ID && agreements.agreements) {
+      if (getEnv('AMOCRM_AGREEMENTS_FIELD_ID') && agreements.agreements) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_AGREEMENTS_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_AGREEMENTS_FIELD_ID')),
           values: [{ value: agreements.agreements }]
         });
       }
       
       // Факты о клиенте (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CLIENT_FACTS_FIELD_ID && agreements.client_facts) {
+      if (getEnv('AMOCRM_CLIENT_FACTS_FIELD_ID') && agreements.client_facts) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CLIENT_FACTS_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CLIENT_FACTS_FIELD_ID')),
           values: [{ value: agreements.client_facts }]
         });
       }
       
       // SMS текст (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_SMS_TEXT_FIELD_ID && agreements.smsText) {
+      if (getEnv('AMOCRM_SMS_TEXT_FIELD_ID') && agreements.smsText) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_SMS_TEXT_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_SMS_TEXT_FIELD_ID')),
           values: [{ value: agreements.smsText }]
         });
       }
       
       // Длительность звонка (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CALL_DURATION_FIELD_ID && call.duration) {
-        const minutes = Math.floor(call.duration / 60000);
-        const seconds = Math.floor((call.duration % 60000) / 1000);
+      if (getEnv('AMOCRM_CALL_DURATION_FIELD_ID') && call.duration) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CALL_DURATION_FIELD_ID),
-          values: [{ value: `${minutes} мин ${seconds} сек` }]
+          ...parseFieldTarget(getEnv('AMOCRM_CALL_DURATION_FIELD_ID')),
+          values: [{ value: formatDuration(call.duration) }]
         });
       }
       
       // Время начала звонка (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CALL_STARTED_FIELD_ID && call.startedAt) {
-        const dateValue = Math.floor(new Date(call.startedAt).getTime() / 1000);
+      const dateValue = call.startedAt ? Math.floor(new Date(call.startedAt).getTime() / 1000) : NaN;
+      if (getEnv('AMOCRM_CALL_STARTED_FIELD_ID') && !isNaN(dateValue)) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CALL_STARTED_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CALL_STARTED_FIELD_ID')),
           values: [{ value: dateValue }]
         });
       }
       
       // Запись звонка - ссылка (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CALL_RECORD_URL_FIELD_ID && call.recordUrl) {
+      if (getEnv('AMOCRM_CALL_RECORD_URL_FIELD_ID') && call.recordUrl) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CALL_RECORD_URL_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CALL_RECORD_URL_FIELD_ID')),
           values: [{ value: call.recordUrl }]
         });
       }
       
       // История диалога (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CALL_HISTORY_FIELD_ID && agreements.historycall) {
+      if (getEnv('AMOCRM_CALL_HISTORY_FIELD_ID') && agreements.historycall) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CALL_HISTORY_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CALL_HISTORY_FIELD_ID')),
           values: [{ value: agreements.historycall }]
         });
       }
       
       // Время договоренности (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_AGREEMENTS_TIME_FIELD_ID && agreements.agreements_time) {
+      if (getEnv('AMOCRM_AGREEMENTS_TIME_FIELD_ID') && agreements.agreements_time) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_AGREEMENTS_TIME_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_AGREEMENTS_TIME_FIELD_ID')),
           values: [{ value: agreements.agreements_time }]
         });
       }
       
       // Регион (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_REGION_FIELD_ID && contact.dadataPhoneInfo?.region) {
+      if (getEnv('AMOCRM_REGION_FIELD_ID') && contact.dadataPhoneInfo?.region) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_REGION_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_REGION_FIELD_ID')),
           values: [{ value: contact.dadataPhoneInfo.region }]
         });
       }
       
       // Компания (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_COMPANY_FIELD_ID && contact.additionalFields?.company) {
+      if (getEnv('AMOCRM_COMPANY_FIELD_ID') && contact.additionalFields?.company) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_COMPANY_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_COMPANY_FIELD_ID')),
           values: [{ value: contact.additionalFields.company }]
         });
       }
@@ -160,8 +224,7 @@ const leadMapping = {
     }
   }
   
-  // Примечание: Комментарии в amoCRM создаются отдельно через API notes
-  // Для добавления комментариев можно использовать отдельный endpoint после создания сделки
+  // Примечание: Комментарии в amoCRM создаются отдельно через API notes (см. noteMapping ниже)
 };
 
 /**
@@ -193,10 +256,8 @@ const contactMapping = {
       
       // Телефон (стандартное поле PHONE)
       if (contact.phone) {
-        const phoneFormatted = contact.phone.replace(/\D/g, '');
-        if (phoneFormatted) {
-          // Форматируем телефон для amoCRM (должен начинаться с +)
-          const phoneValue = phoneFormatted.startsWith('7') ? `+${phoneFormatted}` : `+7${phoneFormatted}`;
+        const phoneValue = normalizePhone(contact.phone);
+        if (phoneValue) {
           customFields.push({
             field_code: 'PHONE',  // Стандартный код поля телефона
             values: [{
@@ -219,17 +280,17 @@ const contactMapping = {
       }
       
       // Компания (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CONTACT_COMPANY_FIELD_ID && contact.additionalFields?.company) {
+      if (getEnv('AMOCRM_CONTACT_COMPANY_FIELD_ID') && contact.additionalFields?.company) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CONTACT_COMPANY_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CONTACT_COMPANY_FIELD_ID')),
           values: [{ value: contact.additionalFields.company }]
         });
       }
       
       // Город (если есть ID поля - кастомное поле)
-      if (process.env.AMOCRM_CONTACT_CITY_FIELD_ID && contact.additionalFields?.city) {
+      if (getEnv('AMOCRM_CONTACT_CITY_FIELD_ID') && contact.additionalFields?.city) {
         customFields.push({
-          field_id: parseInt(process.env.AMOCRM_CONTACT_CITY_FIELD_ID),
+          ...parseFieldTarget(getEnv('AMOCRM_CONTACT_CITY_FIELD_ID')),
           values: [{ value: contact.additionalFields.city }]
         });
       }
@@ -239,6 +300,191 @@ const contactMapping = {
   }
 };
 
+/**
+ * Маппинг для КОМПАНИЙ в amoCRM (см. companies.js)
+ * Компания создается и привязывается к контакту и сделке, только если у нее есть название
+ */
+const companyMapping = {
+  // Название компании (обязательное поле)
+  name: {
+    source: 'contact.additionalFields.company',
+    transform: (value) => (typeof value === 'string' && value.trim() ? value.trim() : null)
+  },
+  
+  // Кастомные поля компании (custom_fields_values для API v4)
+  custom_fields_values: {
+    source: 'multiple',
+    transform: (value, data) => {
+      const customFields = [];
+      const website = data.contact?.additionalFields?.website;
+      
+      // Сайт (стандартное поле WEB)
+      if (typeof website === 'string' && website.trim()) {
+        customFields.push({
+          field_code: 'WEB',
+          values: [{ value: website.trim() }]
+        });
+      }
+      
+      return customFields.length > 0 ? customFields : null;
+    }
+  }
+};
+
+/**
+ * Шаблоны ПРИМЕЧАНИЙ к сделке в amoCRM
+ *
+ * После создания сделки добавляются два примечания:
+ * - звонок (call_in / call_out по call.type) с длительностью, телефоном, записью и статусом;
+ * - текстовое примечание (common) с договоренностями и деталями разговора.
+ *
+ * В шаблонах {путь} заменяется значением из вебхука (например, {call.agreements.agreements}).
+ * Строка шаблона пропускается целиком, если все подстановки в ней пустые.
+ */
+const noteMapping = {
+  // Отключить примечания: AMOCRM_NOTES_ENABLED=false (читается при обращении - после загрузки .env и с учетом тенанта)
+  get enabled() {
+    return getEnv('AMOCRM_NOTES_ENABLED') !== 'false';
+  },
+
+  // Примечание о звонке
+  call: {
+    // Источник звонка, отображается в карточке
+    source: 'Sasha AI',
+    // Результат звонка (поле call_result)
+    result: [
+      'Статус: {call.status}',
+      'Колл-лист: {callList.name}',
+      'Интерес клиента: {call.agreements.interest_level}'
+    ]
+  },
+
+  // Отметка звонка, дописанного в открытую сделку (AMOCRM_LEAD_DEDUP_MODE): первая строка
+  // текстового примечания или отдельное примечание, если текстового нет
+  repeatCall: '🔁 Повторный звонок',
+
+  // Текстовое примечание
+  common: [
+    '📞 Звонок AI менеджера',
+    'Договоренности: {call.agreements.agreements}',
+    'Время договоренности: {call.agreements.agreements_time}',
+    'Факты о клиенте: {call.agreements.client_facts}',
+    'SMS: {call.agreements.smsText}',
+    'История диалога:\n{call.agreements.historycall}'
+  ]
+};
+
+/**
+ * Маппинг ЗАДАЧИ по договоренности в amoCRM
+ *
+ * Если в звонке есть call.agreements.agreements_time, к сделке создается задача.
+ * Срок разбирается из текста договоренности (см. dateParser.js), при неудаче
+ * используется срок по умолчанию AMOCRM_TASK_DEFAULT_DEADLINE_HOURS.
+ */
+const taskMapping = {
+  // Отключить задачи: AMOCRM_TASKS_ENABLED=false (настройки задач читаются при обращении, как в noteMapping)
+  get enabled() {
+    return getEnv('AMOCRM_TASKS_ENABLED') !== 'false';
+  },
+
+  // Откуда берем время договоренности
+  source: 'call.agreements.agreements_time',
+
+  // Тип задачи (1 - "Связаться", 2 - "Встреча" или ID пользовательского типа)
+  get task_type_id() {
+    return parseInt(getEnv('AMOCRM_TASK_TYPE_ID')) || 1;
+  },
+
+  // Ответственный за задачу (если не указан - ответственный за сделку)
+  get responsible_user_id() {
+    return parseInt(getEnv('AMOCRM_TASK_RESPONSIBLE_USER_ID')) || null;
+  },
+
+  // Текст задачи (подстановки как в noteMapping)
+  text: [
+    'Договоренность с клиентом: {call.agreements.agreements_time}',
+    '{call.agreements.agreements}',
+    'Клиент: {call.agreements.client_name}'
+  ]
+};
+
+/**
+ * ТЕГИ сделок и контактов в amoCRM (см. tags.js)
+ *
+ * Шаблоны заполняются как в noteMapping; тег, в котором все подстановки пустые, не создается.
+ * Списки allow / deny - точные значения или шаблоны с * (например, 'interest:*'),
+ * регистр не учитывается. Пустой allow - разрешены все теги.
+ */
+const tagMapping = {
+  // Отключить теги: AMOCRM_TAGS_ENABLED=false (настройки тегов читаются при обращении, как в noteMapping)
+  get enabled() {
+    return getEnv('AMOCRM_TAGS_ENABLED') !== 'false';
+  },
+
+  // Теги из вебхука и сущности, в которые они передаются
+  source: 'contact.tags',
+  passThrough: ['contact', 'lead'],
+
+  // Теги сделки
+  lead: [
+    'AI-звонок',
+    'interest:{call.agreements.interest_level}',
+    'list:{callList.name}',
+    'call:{call.type}'
+  ],
+
+  // Теги контакта
+  contact: [
+    'AI-звонок'
+  ],
+
+  // Разрешенные и запрещенные теги
+  allow: [],
+  deny: [],
+
+  // Нормализация: пробелы по краям и повторные пробелы убираются всегда
+  normalize: {
+    get lowercase() {
+      return getEnv('AMOCRM_TAGS_LOWERCASE') === 'true';
+    },
+    maxLength: 50
+  }
+};
+
+/**
+ * Маппинг событий НЕУДАВШЕГОСЯ ЗВОНКА (не дозвонились, ошибка звонка)
+ *
+ * Сделка не создается: если контакт с таким телефоном уже есть в amoCRM,
+ * к нему добавляются теги и примечания (звонок + текст).
+ */
+const missedCallMapping = {
+  // Теги, добавляемые контакту
+  tags: ['Недозвон AI'],
+
+  // Текстовое примечание к контакту
+  note: [
+    '📵 AI менеджер не дозвонился',
+    'Статус звонка: {call.status}',
+    'Колл-лист: {callList.name}'
+  ]
+};
+
+/**
+ * Маппинг события ЗАВЕРШЕНИЯ КОЛЛ-ЛИСТА
+ *
+ * Итоговое примечание добавляется к сделке AMOCRM_CALL_LIST_SUMMARY_LEAD_ID
+ * (например, к служебной сделке "Отчеты AI менеджера").
+ */
+const callListSummaryMapping = {
+  note: [
+    '📋 Колл-лист завершен: {callList.name}',
+    'Статус: {callList.status}',
+    'Всего контактов: {callList.stats.total}',
+    'Дозвонились: {callList.stats.connected}',
+    'Договоренности: {callList.stats.commits}'
+  ]
+};
+
 /**
  * Функция для получения значения из объекта по пути (например, 'contact.phone')
  */
@@ -252,16 +498,71 @@ function getValueByPath(obj, path) {
   }, obj);
 }
 
+/**
+ * Подстановка значений вебхука в шаблон
+ * @param {String|String[]} template - Строка или массив строк с подстановками {путь}
+ * @param {Object} webhookData - Данные из вебхука
+ * @returns {String} - Текст; строки, в которых все подстановки пустые, пропускаются
+ */
+function renderTemplate(template, webhookData) {
+  const lines = Array.isArray(template) ? template : [template];
+
+  return lines
+    .map(line => {
+      const placeholders = line.match(/\{[^{}]+\}/g) || [];
+      let filled = 0;
+      const text = line.replace(/\{([^{}]+)\}/g, (match, path) => {
+        const value = getValueByPath(webhookData, path.trim());
+        if (value === null || value === undefined || value === '') {
+          return '';
+        }
+        filled++;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      });
+      return placeholders.length > 0 && filled === 0 ? null : text;
+    })
+    .filter(line => line !== null)
+    .join('\n');
+}
+
+/**
+ * Разделы файла маппинга (MAPPING_CONFIG_FILE), дополняющие маппинги этого файла
+ */
+const declarativeSections = new Map([
+  [leadMapping, 'lead'],
+  [contactMapping, 'contact'],
+  [companyMapping, 'company']
+]);
+
+/**
+ * Объединение кастомных полей: поле из файла маппинга заменяет поле с тем же field_id / field_code / field_name
+ */
+function mergeDeclarativeCustomFields(fields, declarativeFields) {
+  const key = field => {
+    if (field.field_id !== undefined) {
+      return `id:${field.field_id}`;
+    }
+    return field.field_code ? `code:${field.field_code}` : `name:${String(field.field_name).trim().toLowerCase()}`;
+  };
+  const overridden = new Set(declarativeFields.map(key));
+  const merged = [...(fields || []).filter(field => !overridden.has(key(field))), ...declarativeFields];
+  return merged.length > 0 ? merged : null;
+}
+
 /**
  * Применяет маппинг к данным вебхука
+ * Для leadMapping, contactMapping и companyMapping учитывается файл маппинга (MAPPING_CONFIG_FILE)
  * @param {Object} webhookData - Данные из вебхука
  * @param {Object} mapping - Объект маппинга (leadMapping, contactMapping и т.д.)
+ * @param {Object} options - { warnings } - массив, в который добавляются ошибки преобразования полей
  * @returns {Object} - Объект с полями для amoCRM
  */
-function applyMapping(webhookData, mapping) {
+function applyMapping(webhookData, mapping, options = {}) {
   const result = {};
+  const declarative = declarativeSections.has(mapping) ? getDeclarativeMapping(declarativeSections.get(mapping)) : null;
+  const effectiveMapping = declarative ? { ...mapping, ...declarative.fields } : mapping;
   
-  for (const [amocrmField, config] of Object.entries(mapping)) {
+  for (const [amocrmField, config] of Object.entries(effectiveMapping)) {
     try {
       let value;
       
@@ -288,7 +589,20 @@ function applyMapping(webhookData, mapping) {
         result[amocrmField] = value;
       }
     } catch (error) {
-      console.warn(`Ошибка при обработке поля ${amocrmField}:`, error.message);
+      logger.warn(`Ошибка при обработке поля ${amocrmField}: ${error.message}`);
+      options.warnings?.push({ field: amocrmField, message: error.message });
+    }
+  }
+  
+  if (declarative?.customFields) {
+    try {
+      const customFields = mergeDeclarativeCustomFields(result.custom_fields_values, declarative.customFields(webhookData));
+      if (customFields) {
+        result.custom_fields_values = customFields;
+      }
+    } catch (error) {
+      logger.warn(`Ошибка при обработке кастомных полей из файла маппинга: ${error.message}`);
+      options.warnings?.push({ field: 'custom_fields', message: error.message });
     }
   }
   
@@ -298,6 +612,18 @@ function applyMapping(webhookData, mapping) {
 module.exports = {
   leadMapping,
   contactMapping,
+  companyMapping,
+  noteMapping,
+  taskMapping,
+  tagMapping,
+  missedCallMapping,
+  callListSummaryMapping,
+  pipelineRules,
+  resolveLeadPipeline,
+  responsibleRules,
+  getResponsibleRules,
   applyMapping,
-  getValueByPath
+  renderTemplate,
+  getValueByPath,
+  normalizePhone
 };
@@ -0,0 +1,429 @@
+/**
+ * ДЕКЛАРАТИВНЫЙ МАППИНГ ИЗ ФАЙЛА (JSON / YAML)
+ *
+ * Файл MAPPING_CONFIG_FILE дополняет leadMapping, contactMapping и companyMapping из mapping.js
+ * без правки кода: поле из файла заменяет одноименное поле mapping.js, а
+ * кастомные поля из custom_fields добавляются к custom_fields_values (поле с
+ * тем же field_id / field_code / field_name заменяется). Поле можно указать
+ * названием (field_name) - ID определяется по метаданным amoCRM (customFields.js).
+ *
+ * Пример (YAML):
+ *   lead:
+ *     name:
+ *       source: call.agreements.agreements
+ *       transforms: [{ name: truncate, length: 250 }]
+ *       default: Лид от AI менеджера
+ *     custom_fields:
+ *       - field_id: 123456
+ *         source: call.duration
+ *         transforms: [duration]
+ *       - field_name: Регион
+ *         source: contact.dadataPhoneInfo.region
+ *       - field_code: PHONE
+ *         enum_code: WORK
+ *         source: contact.phone
+ *         transforms: [phone]
+ *
+ * Разделы pipeline_rules и responsible_rules заменяют правила выбора воронки
+ * и ответственного из mapping.js (формат - см. pipelineRules.js и responsible.js).
+ *
+ * Файл проверяется при запуске (ошибки - с путем к неверному месту) и
+ * перечитывается при изменении. Файл с ошибками при перезагрузке не применяется -
+ * продолжает работать предыдущая версия.
+ *
+ * У тенанта может быть свой файл (mappingFile, см. tenants.js): в контексте тенанта
+ * используется он, а не MAPPING_CONFIG_FILE. Файл тенанта перечитывается, когда
+ * меняется время его изменения.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { transforms, applyTransforms } = require('./transforms');
+const { validatePipelineRules } = require('./pipelineRules');
+const { validateResponsibleRules } = require('./responsible');
+const { getCurrentTenant } = require('./tenantContext');
+const { logger } = require('./logger');
+
+// Разделы файла и соответствующие им маппинги mapping.js
+const SECTIONS = ['lead', 'contact', 'company'];
+
+// Разделы с правилами: заменяют одноименные списки mapping.js
+const RULE_SECTIONS = {
+  pipeline_rules: validatePipelineRules,
+  responsible_rules: validateResponsibleRules
+};
+
+let current = null;
+let valueGetter = null;
+
+// Файлы маппинга тенантов: путь → { config, mtimeMs }
+const tenantMappings = new Map();
+
+/**
+ * Путь к файлу маппинга (null - декларативный маппинг не используется)
+ */
+function getMappingConfigPath() {
+  const file = process.env.MAPPING_CONFIG_FILE;
+  return file ? path.resolve(file) : null;
+}
+
+/**
+ * Чтение файла маппинга: YAML для .yaml/.yml, иначе JSON
+ */
+function readMappingFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+}
+
+/**
+ * Приведение списка преобразований к виду [{ name, ...options }]
+ */
+function normalizeTransforms(list) {
+  return (list || []).map(step => (typeof step === 'string' ? { name: step } : step));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Проверка описания одного поля (source / value, transforms, default)
+ * @returns {String[]} - Ошибки
+ */
+function validateFieldSpec(spec, where) {
+  const errors = [];
+  if (!isPlainObject(spec)) {
+    return [`${where}: ожидается объект с source или value`];
+  }
+
+  const hasSource = spec.source !== undefined;
+  const hasValue = spec.value !== undefined;
+  if (hasSource === hasValue) {
+    errors.push(`${where}: укажите ровно одно из source (путь в вебхуке) или value (статическое значение)`);
+  }
+  if (hasSource) {
+    const sources = Array.isArray(spec.source) ? spec.source : [spec.source];
+    if (sources.length === 0 || sources.some(source => typeof source !== 'string' || !source.trim())) {
+      errors.push(`${where}.source: ожидается путь (например, "contact.phone") или массив путей`);
+    }
+  }
+
+  if (spec.transforms !== undefined) {
+    if (!Array.isArray(spec.transforms)) {
+      errors.push(`${where}.transforms: ожидается массив`);
+    } else {
+      normalizeTransforms(spec.transforms).forEach((step, index) => {
+        const stepWhere = `${where}.transforms[${index}]`;
+        if (!isPlainObject(step) || typeof step.name !== 'string') {
+          errors.push(`${stepWhere}: ожидается имя преобразования или { name, ...параметры }`);
+        } else if (!transforms[step.name]) {
+          errors.push(`${stepWhere}: неизвестное преобразование "${step.name}" (доступны: ${Object.keys(transforms).join(', ')})`);
+        } else if (step.name === 'truncate' && step.length !== undefined && !(Number.isInteger(step.length) && step.length > 0)) {
+          errors.push(`${stepWhere}.length: ожидается положительное целое число`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Проверка содержимого файла маппинга
+ * @param {Object} config - Разобранный файл
+ * @returns {String[]} - Ошибки (пустой массив - файл корректен)
+ */
+function validateMappingConfig(config) {
+  if (!isPlainObject(config)) {
+    return ['Файл маппинга должен содержать объект с разделами lead, contact, pipeline_rules и/или responsible_rules'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (key !== 'version' && !SECTIONS.includes(key) && !RULE_SECTIONS[key]) {
+      errors.push(`${key}: неизвестный раздел (доступны: ${[...SECTIONS, ...Object.keys(RULE_SECTIONS)].join(', ')})`);
+    }
+  }
+
+  for (const [section, validate] of Object.entries(RULE_SECTIONS)) {
+    if (config[section] !== undefined) {
+      errors.push(...validate(config[section], section));
+    }
+  }
+
+  for (const section of SECTIONS) {
+    if (config[section] === undefined) {
+      continue;
+    }
+    if (!isPlainObject(config[section])) {
+      errors.push(`${section}: ожидается объект с полями amoCRM`);
+      continue;
+    }
+
+    for (const [field, spec] of Object.entries(config[section])) {
+      const where = `${section}.${field}`;
+      if (field === 'custom_fields_values') {
+        errors.push(`${where}: кастомные поля задаются списком custom_fields`);
+      } else if (field === 'custom_fields') {
+        if (!Array.isArray(spec)) {
+          errors.push(`${where}: ожидается массив`);
+          continue;
+        }
+        spec.forEach((fieldSpec, index) => {
+          const fieldWhere = `${where}[${index}]`;
+          errors.push(...validateFieldSpec(fieldSpec, fieldWhere));
+          if (!isPlainObject(fieldSpec)) {
+            return;
+          }
+          const hasId = fieldSpec.field_id !== undefined;
+          const hasCode = fieldSpec.field_code !== undefined;
+          const hasName = fieldSpec.field_name !== undefined;
+          if ([hasId, hasCode, hasName].filter(Boolean).length !== 1) {
+            errors.push(`${fieldWhere}: укажите ровно одно из field_id, field_code или field_name`);
+          } else if (hasName && (typeof fieldSpec.field_name !== 'string' || !fieldSpec.field_name.trim())) {
+            errors.push(`${fieldWhere}.field_name: ожидается название поля amoCRM (например, "Регион")`);
+          } else if (hasId && !(Number.isInteger(fieldSpec.field_id) && fieldSpec.field_id > 0)) {
+            errors.push(`${fieldWhere}.field_id: ожидается положительное целое число`);
+          } else if (hasCode && (typeof fieldSpec.field_code !== 'string' || !fieldSpec.field_code)) {
+            errors.push(`${fieldWhere}.field_code: ожидается строка (например, "PHONE")`);
+          }
+        });
+      } else {
+        errors.push(...validateFieldSpec(spec, where));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Вычисление значения по описанию поля
+ */
+function resolveSpecValue(spec, webhookData, getValueByPath) {
+  let value;
+  if (spec.value !== undefined) {
+    value = spec.value;
+  } else if (Array.isArray(spec.source)) {
+    value = spec.source.map(source => getValueByPath(webhookData, source));
+  } else {
+    value = getValueByPath(webhookData, spec.source);
+  }
+
+  value = applyTransforms(value, spec.transforms);
+  if (value === null || value === undefined || value === '') {
+    return spec.default ?? null;
+  }
+  return value;
+}
+
+/**
+ * Поле amoCRM из описания custom_fields: field_id, field_code или field_name
+ */
+function getFieldTarget(spec) {
+  if (spec.field_id !== undefined) {
+    return { field_id: spec.field_id };
+  }
+  return spec.field_code !== undefined ? { field_code: spec.field_code } : { field_name: spec.field_name };
+}
+
+/**
+ * Компиляция раздела файла в маппинг формата mapping.js
+ * @param {Object} section - Раздел файла (lead / contact)
+ * @param {Function} getValueByPath - Получение значения по пути
+ * @returns {{ fields: Object, customFields: Function|null, customFieldTargets: Array }}
+ *   fields - поля в формате mapping.js, customFields - (data) => custom_fields_values из файла,
+ *   customFieldTargets - поля amoCRM из custom_fields (для проверки при запуске)
+ */
+function compileSection(section, getValueByPath) {
+  const fields = {};
+  let customFields = null;
+  let customFieldTargets = [];
+
+  for (const [field, rawSpec] of Object.entries(section)) {
+    if (field === 'custom_fields') {
+      const specs = rawSpec.map(spec => ({ ...spec, transforms: normalizeTransforms(spec.transforms) }));
+      customFieldTargets = specs.map(getFieldTarget);
+      customFields = (webhookData) => specs
+        .map(spec => {
+          const value = resolveSpecValue(spec, webhookData, getValueByPath);
+          if (value === null) {
+            return null;
+          }
+          const target = getFieldTarget(spec);
+          const values = (Array.isArray(value) ? value : [value])
+            .map(item => (spec.enum_code ? { value: item, enum_code: spec.enum_code } : { value: item }));
+          return { ...target, values };
+        })
+        .filter(Boolean);
+      continue;
+    }
+
+    const spec = { ...rawSpec, transforms: normalizeTransforms(rawSpec.transforms) };
+    fields[field] = {
+      source: 'multiple',
+      transform: (value, webhookData) => resolveSpecValue(spec, webhookData, getValueByPath)
+    };
+  }
+
+  return { fields, customFields, customFieldTargets };
+}
+
+/**
+ * Загрузка и проверка файла маппинга
+ * @param {Function} getValueByPath - Получение значения по пути
+ * @param {String} filePath - Файл (по умолчанию MAPPING_CONFIG_FILE)
+ * @returns {Object|null} - Скомпилированный маппинг или null, если файл не задан
+ * @throws {Error} - Файл не читается или содержит ошибки (в error.details - список)
+ */
+function loadMappingConfig(getValueByPath, filePath = getMappingConfigPath()) {
+  if (!filePath) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = readMappingFile(filePath);
+  } catch (error) {
+    throw new Error(`Не удалось прочитать файл маппинга ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateMappingConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`Файл маппинга ${filePath} содержит ошибки:\n  - ${errors.join('\n  - ')}`);
+    error.details = errors;
+    throw error;
+  }
+
+  const compiled = { path: filePath, loadedAt: new Date().toISOString() };
+  for (const section of SECTIONS) {
+    compiled[section] = config[section] ? compileSection(config[section], getValueByPath) : null;
+  }
+  for (const section of Object.keys(RULE_SECTIONS)) {
+    compiled[section] = config[section] || null;
+  }
+  return compiled;
+}
+
+/**
+ * Загрузка файла при запуске и отслеживание изменений
+ * @param {Function} getValueByPath - Получение значения по пути
+ * @throws {Error} - Файл при запуске содержит ошибки
+ */
+function initMappingConfig(getValueByPath) {
+  valueGetter = getValueByPath;
+  current = loadMappingConfig(getValueByPath);
+  if (!current) {
+    return null;
+  }
+  logger.info(`🗺️ Декларативный маппинг загружен из ${current.path}`);
+
+  const intervalMs = parseInt(process.env.MAPPING_CONFIG_WATCH_MS) || 2000;
+  fs.watchFile(current.path, { interval: intervalMs, persistent: false }, (stat, prev) => {
+    if (stat.mtimeMs === prev.mtimeMs) {
+      return;
+    }
+    try {
+      current = loadMappingConfig(getValueByPath);
+      logger.info(`🔄 Декларативный маппинг перезагружен из ${current.path}`);
+    } catch (error) {
+      logger.error(`❌ ${error.message}`);
+      logger.error('⚠️ Продолжает действовать предыдущая версия маппинга');
+    }
+  });
+
+  return current;
+}
+
+/**
+ * Ошибки файла маппинга (например, перед сохранением тенанта)
+ * @param {String} filePath - Путь к файлу
+ * @returns {String[]} - Ошибки (пустой массив - файл корректен)
+ */
+function checkMappingFile(filePath) {
+  try {
+    loadMappingConfig(valueGetter, path.resolve(filePath));
+    return [];
+  } catch (error) {
+    return error.details || [error.message];
+  }
+}
+
+/**
+ * Задает ли файл маппинга воронку для любого звонка: поле lead.pipeline_id
+ * или правило pipeline_rules с pipeline_id без условий
+ * @param {String} filePath - Путь к файлу
+ * @returns {Boolean} - false и для файла, который не читается (ошибки - см. checkMappingFile)
+ */
+function hasDefaultPipeline(filePath) {
+  let config;
+  try {
+    config = readMappingFile(path.resolve(filePath));
+  } catch (error) {
+    return false;
+  }
+  if (!isPlainObject(config)) {
+    return false;
+  }
+  if (isPlainObject(config.lead) && config.lead.pipeline_id !== undefined) {
+    return true;
+  }
+  return Array.isArray(config.pipeline_rules) && config.pipeline_rules.some(rule =>
+    isPlainObject(rule) && rule.pipeline_id && Object.keys(rule.when || {}).length === 0
+  );
+}
+
+/**
+ * Маппинг из файла тенанта (перечитывается при изменении; файл с ошибками не применяется)
+ * @param {String} filePath - Путь к файлу
+ * @throws {Error} - Файл с ошибками, а предыдущей версии нет
+ */
+function getTenantMapping(filePath) {
+  const resolved = path.resolve(filePath);
+  const cached = tenantMappings.get(resolved);
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(resolved).mtimeMs;
+  } catch (error) {
+    // Ошибку отсутствующего файла вернет loadMappingConfig
+  }
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.config;
+  }
+
+  try {
+    const config = loadMappingConfig(valueGetter, resolved);
+    tenantMappings.set(resolved, { config, mtimeMs });
+    logger.info(`🗺️ Маппинг тенанта загружен из ${resolved}`);
+    return config;
+  } catch (error) {
+    if (!cached) {
+      throw error;
+    }
+    logger.error(`❌ ${error.message}`);
+    logger.error('⚠️ Продолжает действовать предыдущая версия маппинга тенанта');
+    tenantMappings.set(resolved, { config: cached.config, mtimeMs });
+    return cached.config;
+  }
+}
+
+/**
+ * Скомпилированный раздел текущего файла маппинга (или файла тенанта) или null
+ * @param {String} section - lead / contact / pipeline_rules / responsible_rules
+ */
+function getDeclarativeMapping(section) {
+  const tenant = getCurrentTenant();
+  const config = tenant?.mappingFile ? getTenantMapping(tenant.mappingFile) : current;
+  return config?.[section] || null;
+}
+
+module.exports = {
+  initMappingConfig,
+  loadMappingConfig,
+  validateMappingConfig,
+  getDeclarativeMapping,
+  getMappingConfigPath,
+  checkMappingFile,
+  hasDefaultPipeline
+};
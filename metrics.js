@@ -0,0 +1,224 @@
+/**
+ * МЕТРИКИ PROMETHEUS
+ *
+ * GET /metrics отдает метрики в текстовом формате Prometheus:
+ * - sasha_webhooks_received_total - вебхуки по типу события и результату;
+ * - sasha_webhook_signature_failures_total - отклоненные подписи и метки времени;
+ * - amocrm_request_duration_seconds - время запросов к amoCRM по endpoint и статусу;
+ * - amocrm_request_retries_total, amocrm_queue_retries_total, amocrm_queue_dead_letters_total -
+ *   повторы запросов и заданий очереди, задания в dead-letter;
+ * - amocrm_queue_jobs, amocrm_token_expires_at_seconds - состояние очереди и срок действия токенов
+ *   (вычисляются при каждом запросе /metrics).
+ *
+ * Значения хранятся в памяти процесса и обнуляются при перезапуске - для алертов
+ * используйте rate() / increase().
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Значения меток в порядке labelNames (отсутствующие - пустая строка)
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Создание реестра метрик
+ * @returns {Object} - { counter, gauge, histogram, render }
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Счетчик
+   * @param {String} name - Имя метрики
+   * @param {String} help - Описание
+   * @param {Array} labelNames - Имена меток
+   */
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      inc(labels, amount = 1) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const current = values.get(key) || { labels: picked, value: 0 };
+        current.value += amount;
+        values.set(key, current);
+      },
+      lines() {
+        return [...values.values()].map(item => `${name}${formatLabels(item.labels)} ${item.value}`);
+      }
+    });
+  }
+
+  /**
+   * Текущее значение (устанавливается, например, перед выдачей /metrics)
+   */
+  function gauge(name, help, labelNames = []) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      set(labels, value) {
+        const picked = pickLabels(labelNames, labels);
+        values.set(JSON.stringify(picked), { labels: picked, value });
+      },
+      reset() {
+        values.clear();
+      },
+      lines() {
+        return [...values.values()].map(item => `${name}${formatLabels(item.labels)} ${item.value}`);
+      }
+    });
+  }
+
+  /**
+   * Гистограмма (например, время запроса в секундах)
+   * @param {Array} buckets - Верхние границы корзин
+   */
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const values = new Map();
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const picked = pickLabels(labelNames, labels);
+        const key = JSON.stringify(picked);
+        const current = values.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            current.counts[index] += 1;
+          }
+        });
+        current.sum += value;
+        current.count += 1;
+        values.set(key, current);
+      },
+      lines() {
+        const lines = [];
+        for (const item of values.values()) {
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...item.labels, le: bound })} ${item.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...item.labels, le: '+Inf' })} ${item.count}`);
+          lines.push(`${name}_sum${formatLabels(item.labels)} ${item.sum}`);
+          lines.push(`${name}_count${formatLabels(item.labels)} ${item.count}`);
+        }
+        return lines;
+      }
+    });
+  }
+
+  /**
+   * Все метрики в текстовом формате Prometheus
+   * @returns {String}
+   */
+  function render() {
+    return metrics
+      .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+/**
+ * Общий реестр сервера
+ */
+const registry = createMetricsRegistry();
+
+const metrics = {
+  webhooksReceived: registry.counter(
+    'sasha_webhooks_received_total',
+    'Вебхуки Sasha AI по типу события и результату обработки',
+    ['tenant', 'type', 'outcome']
+  ),
+  signatureFailures: registry.counter(
+    'sasha_webhook_signature_failures_total',
+    'Вебхуки, отклоненные проверкой подписи или метки времени',
+    ['tenant', 'reason']
+  ),
+  amocrmRequestDuration: registry.histogram(
+    'amocrm_request_duration_seconds',
+    'Время HTTP-запросов к amoCRM API',
+    ['tenant', 'method', 'endpoint', 'status']
+  ),
+  amocrmRequestRetries: registry.counter(
+    'amocrm_request_retries_total',
+    'Повторы запросов к amoCRM после 429, 5xx и сетевых ошибок',
+    ['tenant', 'method', 'endpoint', 'status']
+  ),
+  queueRetries: registry.counter(
+    'amocrm_queue_retries_total',
+    'Задания очереди, отложенные для повторной доставки',
+    ['tenant', 'route']
+  ),
+  queueDeadLetters: registry.counter(
+    'amocrm_queue_dead_letters_total',
+    'Задания очереди, перемещенные в dead-letter',
+    ['tenant', 'route']
+  ),
+  queueDelivered: registry.counter(
+    'amocrm_queue_delivered_total',
+    'Задания очереди, доставленные в amoCRM',
+    ['tenant', 'route']
+  ),
+  queueJobs: registry.gauge(
+    'amocrm_queue_jobs',
+    'Задания в очереди по статусу',
+    ['status']
+  ),
+  tokenExpiresAt: registry.gauge(
+    'amocrm_token_expires_at_seconds',
+    'Время истечения access token amoCRM (unix-время в секундах)',
+    ['tenant', 'source']
+  )
+};
+
+/**
+ * Endpoint для меток метрик: без домена, query и ID сущностей
+ * /api/v4/leads/123/notes → /api/v4/leads/:id/notes; файловое хранилище (полный URL) → drive
+ * @param {String} path - Путь или полный URL запроса
+ * @returns {String}
+ */
+function getMetricsEndpoint(path) {
+  if (/^https?:\/\//.test(path)) {
+    return 'drive';
+  }
+  return path.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+module.exports = {
+  createMetricsRegistry,
+  registry,
+  metrics,
+  getMetricsEndpoint
+};
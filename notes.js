@@ -0,0 +1,143 @@
+/**
+ * ПРИМЕЧАНИЯ К СДЕЛКЕ В amoCRM
+ *
+ * После создания сделки добавляет примечание о звонке (call_in / call_out)
+ * и текстовое примечание с деталями разговора. Шаблоны - в noteMapping (mapping.js).
+ */
+
+const crypto = require('crypto');
+const { amocrmRequest } = require('./amocrmApi');
+const { noteMapping, renderTemplate, normalizePhone } = require('./mapping');
+
+/**
+ * Статус звонка Sasha AI → call_status amoCRM
+ * 4 - разговор состоялся, 6 - не дозвонились, 7 - занято, 5 - неверный номер
+ */
+const CALL_STATUS_MAP = {
+  completed: 4,
+  success: 4,
+  answered: 4,
+  no_answer: 6,
+  not_answered: 6,
+  failed: 6,
+  busy: 7,
+  wrong_number: 5
+};
+
+/**
+ * Примечание о звонке (входящий/исходящий)
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { recordLink } - ссылка на запись в файлах amoCRM (вместо call.recordUrl)
+ * @returns {Object|null} - Тело примечания или null, если нет телефона
+ */
+function buildCallNote(data, options = {}) {
+  const call = data.call || {};
+  const phone = normalizePhone(data.contact?.phone);
+  if (!phone) {
+    return null;
+  }
+
+  const params = {
+    uniq: call.id ? String(call.id) : crypto.randomUUID(),
+    duration: Math.round((Number(call.duration) || 0) / 1000),
+    source: noteMapping.call.source,
+    phone
+  };
+
+  if (options.recordLink || call.recordUrl) {
+    params.link = options.recordLink || call.recordUrl;
+  }
+
+  const callStatus = CALL_STATUS_MAP[String(call.status || '').toLowerCase()];
+  if (callStatus) {
+    params.call_status = callStatus;
+  }
+
+  const result = renderTemplate(noteMapping.call.result, data);
+  if (result) {
+    params.call_result = result;
+  }
+
+  return {
+    note_type: call.type === 'incoming' ? 'call_in' : 'call_out',
+    params
+  };
+}
+
+/**
+ * Текстовое примечание с договоренностями и деталями разговора
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { repeatCall } - звонок дописан в существующую сделку
+ * @returns {Object|null} - Тело примечания или null, если подставить нечего
+ */
+function buildCommonNote(data, options = {}) {
+  const template = noteMapping.common;
+  const dataLines = template.filter(line => /\{[^{}]+\}/.test(line));
+  if (!renderTemplate(dataLines, data)) {
+    return null;
+  }
+
+  const text = renderTemplate(template, data);
+  return {
+    note_type: 'common',
+    params: { text: options.repeatCall ? `${noteMapping.repeatCall}\n${text}` : text }
+  };
+}
+
+/**
+ * Примечание о повторном звонке (когда текстового примечания нет)
+ * @param {Object} data - Данные вебхука
+ * @returns {Object}
+ */
+function buildRepeatCallNote(data) {
+  const callDate = data.call?.startedAt ? new Date(data.call.startedAt) : new Date();
+  const date = isNaN(callDate.getTime()) ? '' : callDate.toLocaleString('ru-RU');
+  return {
+    note_type: 'common',
+    params: { text: `${noteMapping.repeatCall} ${date}`.trim() }
+  };
+}
+
+/**
+ * Все примечания для сделки по данным вебхука
+ * Звонок, дописанный в существующую сделку (repeatCall), отмечается всегда:
+ * первой строкой текстового примечания, а если его нет (нечего подставить или
+ * AMOCRM_NOTES_ENABLED=false) - отдельным примечанием
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { recordLink, repeatCall } - см. buildCallNote и buildCommonNote
+ * @returns {Array}
+ */
+function buildLeadNotes(data, options = {}) {
+  const notes = noteMapping.enabled
+    ? [buildCallNote(data, options), buildCommonNote(data, options)].filter(Boolean)
+    : [];
+  if (options.repeatCall && !notes.some(note => note.note_type === 'common')) {
+    notes.push(buildRepeatCallNote(data));
+  }
+  return notes;
+}
+
+/**
+ * Добавление примечаний о звонке к сделке
+ * @param {Number} leadId - ID сделки
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { recordLink, repeatCall } - см. buildLeadNotes
+ * @returns {Promise<Array>} - ID созданных примечаний
+ */
+async function addCallNotesToLead(leadId, data, options = {}) {
+  const notes = buildLeadNotes(data, options);
+  if (!leadId || notes.length === 0) {
+    return [];
+  }
+
+  const response = await amocrmRequest('post', `/api/v4/leads/${leadId}/notes`, { data: notes });
+  return (response?._embedded?.notes || []).map(note => note.id);
+}
+
+module.exports = {
+  buildCallNote,
+  buildCommonNote,
+  buildRepeatCallNote,
+  buildLeadNotes,
+  addCallNotesToLead
+};
@@ -0,0 +1,193 @@
+/**
+ * СХЕМА ДАННЫХ ВЕБХУКА SASHA AI
+ *
+ * Схема версионируется: версия берется из поля version (или schemaVersion) тела
+ * или заголовка X-Webhook-Schema-Version, по умолчанию - последняя.
+ * Для каждого пути указаны допустимые типы; отсутствующие и null-значения
+ * не проверяются (обязательные поля определяет маршрут события, см. eventRouter.js).
+ *
+ * Режим WEBHOOK_SCHEMA_MODE:
+ * - lenient (по умолчанию) - ошибки пишутся в лог, вебхук обрабатывается, как и до проверки схемы;
+ * - strict - вебхук с ошибками отклоняется (422) со списком путей;
+ * - off - проверка отключена.
+ *
+ * Типы: string, number, boolean, object, array, date (ISO-строка или миллисекунды),
+ * url (http/https), email, numeric (число или строка с числом).
+ */
+
+const { logger } = require('./logger');
+
+const SCHEMAS = {
+  1: {
+    'id': ['string', 'number'],
+    'type': 'string',
+    'timestamp': ['string', 'number'],
+
+    'contact': 'object',
+    'contact.phone': ['string', 'number'],
+    'contact.tags': ['array', 'string'],
+    'contact.additionalFields': 'object',
+    'contact.additionalFields.email': 'email',
+    'contact.additionalFields.company': 'string',
+    'contact.additionalFields.website': 'string',
+    'contact.additionalFields.city': 'string',
+    'contact.dadataPhoneInfo': 'object',
+    'contact.dadataPhoneInfo.region': 'string',
+
+    'call': 'object',
+    'call.type': 'string',
+    'call.status': 'string',
+    'call.duration': 'number',
+    'call.startedAt': 'date',
+    'call.recordUrl': 'url',
+    'call.agreements': 'object',
+    'call.agreements.agreements': 'string',
+    'call.agreements.agreements_time': 'string',
+    'call.agreements.client_name': 'string',
+    'call.agreements.client_facts': 'string',
+    'call.agreements.smsText': 'string',
+    'call.agreements.historycall': 'string',
+    'call.agreements.isCommit': 'boolean',
+    'call.agreements.interest_level': ['string', 'number'],
+    'call.agreements.price': 'numeric',
+
+    'callList': 'object',
+    'callList.id': ['string', 'number'],
+    'callList.name': 'string',
+    'callList.status': 'string',
+    'callList.stats': 'object'
+  }
+};
+
+const LATEST_VERSION = String(Math.max(...Object.keys(SCHEMAS).map(Number)));
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  date: value => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && !isNaN(Date.parse(value))),
+  url: value => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value),
+  email: value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+  numeric: value => (typeof value === 'number' && Number.isFinite(value))
+    || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))
+};
+
+const TYPE_NAMES = {
+  string: 'строка',
+  number: 'число',
+  boolean: 'true/false',
+  object: 'объект',
+  array: 'массив',
+  date: 'дата (ISO или миллисекунды)',
+  url: 'ссылка http(s)',
+  email: 'email',
+  numeric: 'число или строка с числом'
+};
+
+/**
+ * Режим проверки схемы
+ * @returns {'strict'|'lenient'|'off'}
+ */
+function getSchemaMode() {
+  const mode = (process.env.WEBHOOK_SCHEMA_MODE || 'lenient').trim().toLowerCase();
+  return ['strict', 'lenient', 'off'].includes(mode) ? mode : 'lenient';
+}
+
+/**
+ * Значение по пути без подмены отсутствующих полей (undefined - поля нет)
+ */
+function readPath(data, path) {
+  return path.split('.').reduce((current, key) => {
+    if (current === null || typeof current !== 'object') {
+      return undefined;
+    }
+    return current[key];
+  }, data);
+}
+
+/**
+ * Краткое представление значения для сообщения об ошибке
+ */
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 50 ? `${text.substring(0, 47)}...` : text;
+}
+
+/**
+ * Проверка данных вебхука по схеме
+ * @param {Object} data - Данные вебхука
+ * @param {Object} headers - Заголовки запроса
+ * @returns {{ version: String, errors: Array<{ path: String, message: String }> }}
+ */
+function validatePayload(data, headers = {}) {
+  const requested = data?.version ?? data?.schemaVersion ?? headers['x-webhook-schema-version'];
+  const version = requested !== undefined && requested !== null ? String(requested) : LATEST_VERSION;
+  const schema = SCHEMAS[version];
+  if (!schema) {
+    return {
+      version,
+      errors: [{ path: 'version', message: `неизвестная версия схемы "${version}" (поддерживаются: ${Object.keys(SCHEMAS).join(', ')})` }]
+    };
+  }
+
+  const errors = [];
+  for (const [path, rule] of Object.entries(schema)) {
+    const value = readPath(data, path);
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const types = Array.isArray(rule) ? rule : [rule];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      errors.push({
+        path,
+        message: `ожидается ${types.map(type => TYPE_NAMES[type]).join(' или ')}, получено ${describeValue(value)}`
+      });
+    }
+  }
+
+  return { version, errors };
+}
+
+/**
+ * Проверка вебхука по схеме в режиме WEBHOOK_SCHEMA_MODE
+ * Ошибки пишутся в лог; в режиме strict вебхук с ошибками отклоняется
+ * @param {Object} data - Данные вебхука
+ * @param {Object} headers - Заголовки запроса
+ * @returns {Object|null} - { statusCode, body } ответа 422 или null, если вебхук обрабатывается
+ */
+function checkWebhookPayload(data, headers = {}) {
+  const mode = getSchemaMode();
+  if (mode === 'off') {
+    return null;
+  }
+
+  const validation = validatePayload(data, headers);
+  if (validation.errors.length === 0) {
+    return null;
+  }
+
+  validation.errors.forEach(error => logger.warn(`⚠️ Схема v${validation.version}: ${error.path} - ${error.message}`));
+  if (mode === 'strict') {
+    return {
+      statusCode: 422,
+      body: {
+        success: false,
+        error: 'Данные вебхука не соответствуют схеме',
+        schemaVersion: validation.version,
+        errors: validation.errors
+      }
+    };
+  }
+  logger.warn('⚠️ WEBHOOK_SCHEMA_MODE=lenient - вебхук обрабатывается несмотря на ошибки схемы');
+  return null;
+}
+
+module.exports = {
+  SCHEMAS,
+  getSchemaMode,
+  validatePayload,
+  checkWebhookPayload
+};
@@ -0,0 +1,182 @@
+/**
+ * ПРАВИЛА ВЫБОРА ВОРОНКИ И СТАТУСА СДЕЛКИ
+ *
+ * Правило - условия на поля вебхука (when) и воронка/статус, которые оно задает:
+ *   { name: 'Входящие', when: { 'call.type': 'incoming' }, pipeline_id: 111 }
+ *   { when: { 'call.agreements.isCommit': true }, status_id: 222 }
+ *
+ * Правила проверяются по порядку:
+ * - воронка - из первого подходящего правила с pipeline_id, иначе AMOCRM_PIPELINE_ID;
+ * - статус - из первого подходящего правила с status_id, у которого pipeline_id
+ *   не указан или совпадает с выбранной воронкой; иначе AMOCRM_STATUS_ID
+ *   (только для воронки по умолчанию - в другой воронке сделка встанет в первый статус).
+ *
+ * Условие на поле:
+ * - значение - равенство (строки без учета регистра): 'callList.name': 'Холодная база'
+ * - массив - одно из значений: 'call.agreements.interest_level': ['high', 'medium']
+ * - объект с операторами: { in: [...] }, { not: значение }, { regex: '...' },
+ *   { gte: 5 }, { lte: 10 }, { exists: true }
+ */
+
+const OPERATORS = ['in', 'not', 'regex', 'gte', 'lte', 'exists'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Сравнение значения вебхука с ожидаемым (строки - без учета регистра)
+ */
+function valuesEqual(actual, expected) {
+  if (actual === null || actual === undefined) {
+    return expected === null;
+  }
+  if (typeof expected === 'string' || typeof actual === 'string') {
+    return String(actual).trim().toLowerCase() === String(expected).trim().toLowerCase();
+  }
+  return actual === expected;
+}
+
+/**
+ * Проверка одного условия
+ * @param {*} actual - Значение из вебхука
+ * @param {*} expected - Условие из правила
+ * @returns {Boolean}
+ */
+function matchesCondition(actual, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some(item => valuesEqual(actual, item));
+  }
+  if (!isPlainObject(expected)) {
+    return valuesEqual(actual, expected);
+  }
+
+  const present = actual !== null && actual !== undefined && actual !== '';
+  return Object.entries(expected).every(([operator, operand]) => {
+    switch (operator) {
+      case 'in':
+        return operand.some(item => valuesEqual(actual, item));
+      case 'not':
+        return !matchesCondition(actual, operand);
+      case 'regex':
+        return present && new RegExp(operand, 'i').test(String(actual));
+      case 'gte':
+        return present && Number(actual) >= operand;
+      case 'lte':
+        return present && Number(actual) <= operand;
+      case 'exists':
+        return present === Boolean(operand);
+      default:
+        return false;
+    }
+  });
+}
+
+/**
+ * Подходит ли правило к данным вебхука (все условия when выполнены)
+ * @param {Object} rule - Правило
+ * @param {Object} data - Данные вебхука
+ * @param {Function} getValueByPath - Получение значения по пути
+ */
+function matchesRule(rule, data, getValueByPath) {
+  return Object.entries(rule.when || {}).every(([path, expected]) =>
+    matchesCondition(getValueByPath(data, path), expected)
+  );
+}
+
+/**
+ * Выбор воронки и статуса по правилам
+ * @param {Object} data - Данные вебхука
+ * @param {Array} rules - Правила
+ * @param {Object} options - { getValueByPath, defaults: { pipeline_id, status_id } }
+ * @returns {{ pipeline_id, status_id, pipelineRule: String|null, statusRule: String|null }}
+ */
+function resolvePipelineRoute(data, rules, options) {
+  const { getValueByPath, defaults = {} } = options;
+  const matched = (rules || [])
+    .map((rule, index) => ({ rule, label: rule.name || `#${index + 1}` }))
+    .filter(({ rule }) => matchesRule(rule, data, getValueByPath));
+
+  const pipelineMatch = matched.find(({ rule }) => rule.pipeline_id);
+  const pipelineId = pipelineMatch ? pipelineMatch.rule.pipeline_id : defaults.pipeline_id || null;
+
+  const statusMatch = matched.find(({ rule }) =>
+    rule.status_id && (!rule.pipeline_id || String(rule.pipeline_id) === String(pipelineId))
+  );
+  let statusId = null;
+  if (statusMatch) {
+    statusId = statusMatch.rule.status_id;
+  } else if (String(pipelineId) === String(defaults.pipeline_id)) {
+    statusId = defaults.status_id || null;
+  }
+
+  return {
+    pipeline_id: pipelineId,
+    status_id: statusId,
+    pipelineRule: pipelineMatch ? pipelineMatch.label : null,
+    statusRule: statusMatch ? statusMatch.label : null
+  };
+}
+
+/**
+ * Проверка списка правил
+ * @param {Array} rules - Правила
+ * @param {String} where - Путь для сообщений об ошибках
+ * @returns {String[]} - Ошибки
+ */
+function validatePipelineRules(rules, where = 'pipeline_rules') {
+  if (!Array.isArray(rules)) {
+    return [`${where}: ожидается массив правил`];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const ruleWhere = `${where}[${index}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${ruleWhere}: ожидается объект { when, pipeline_id, status_id }`);
+      return;
+    }
+    if (rule.when !== undefined && !isPlainObject(rule.when)) {
+      errors.push(`${ruleWhere}.when: ожидается объект { путь: условие }`);
+    }
+    if (rule.pipeline_id === undefined && rule.status_id === undefined) {
+      errors.push(`${ruleWhere}: укажите pipeline_id и/или status_id`);
+    }
+    for (const field of ['pipeline_id', 'status_id']) {
+      if (rule[field] !== undefined && !(Number.isInteger(rule[field]) && rule[field] > 0)) {
+        errors.push(`${ruleWhere}.${field}: ожидается положительное целое число`);
+      }
+    }
+
+    for (const [path, condition] of Object.entries(isPlainObject(rule.when) ? rule.when : {})) {
+      if (!isPlainObject(condition)) {
+        continue;
+      }
+      for (const [operator, operand] of Object.entries(condition)) {
+        const conditionWhere = `${ruleWhere}.when.${path}.${operator}`;
+        if (!OPERATORS.includes(operator)) {
+          errors.push(`${conditionWhere}: неизвестный оператор (доступны: ${OPERATORS.join(', ')})`);
+        } else if (operator === 'in' && !Array.isArray(operand)) {
+          errors.push(`${conditionWhere}: ожидается массив значений`);
+        } else if ((operator === 'gte' || operator === 'lte') && typeof operand !== 'number') {
+          errors.push(`${conditionWhere}: ожидается число`);
+        } else if (operator === 'regex') {
+          try {
+            new RegExp(operand);
+          } catch (error) {
+            errors.push(`${conditionWhere}: неверное регулярное выражение (${error.message})`);
+          }
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  resolvePipelineRoute,
+  validatePipelineRules,
+  matchesCondition,
+  matchesRule
+};
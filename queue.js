@@ -0,0 +1,358 @@
+/**
+ * ОЧЕРЕДЬ ДОСТАВКИ В amoCRM
+ *
+ * Вебхук сохраняется в локальную очередь (по файлу на задание в DATA_DIR/queue)
+ * и сразу подтверждается. Обработчик доставляет задания в amoCRM в фоне:
+ * - при сетевой ошибке, 429 и 5xx - повтор с экспоненциальной задержкой
+ *   (с учетом заголовка Retry-After). Очередь - единственный владелец повторов при
+ *   недоступности amoCRM: клиент (amocrmApi.js) сам повторяет только 429;
+ * - после AMOCRM_QUEUE_MAX_ATTEMPTS попыток или при неисправимой ошибке (4xx)
+ *   задание переходит в статус dead (dead-letter) и хранится для разбора.
+ *
+ * Готовые к доставке задания выполняются волнами по AMOCRM_QUEUE_CONCURRENCY
+ * одновременно - так создание контактов и сделок из разных заданий объединяется
+ * в пакетные запросы (см. amocrmApi.js). Задания одного контакта (getLockKey)
+ * в одну волну не попадают, чтобы не создать дубликаты.
+ *
+ * Успешно доставленные задания удаляются. Задания в статусе processing,
+ * оставшиеся после аварийной остановки, при запуске возвращаются в очередь.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { logger } = require('./logger');
+
+/**
+ * Настройки очереди из переменных окружения
+ */
+function getQueueConfig() {
+  return {
+    dir: resolveDataPath(process.env.AMOCRM_QUEUE_DIR || 'queue'),
+    maxAttempts: parseInt(process.env.AMOCRM_QUEUE_MAX_ATTEMPTS) || 8,
+    retryBaseMs: parseInt(process.env.AMOCRM_QUEUE_RETRY_BASE_MS) || 5000,
+    retryMaxMs: parseInt(process.env.AMOCRM_QUEUE_RETRY_MAX_MS) || 3600000,
+    pollIntervalMs: parseInt(process.env.AMOCRM_QUEUE_POLL_MS) || 1000,
+    concurrency: parseInt(process.env.AMOCRM_QUEUE_CONCURRENCY) || 5
+  };
+}
+
+/**
+ * Можно ли повторить запрос после ошибки: сетевая ошибка, 429 или 5xx
+ * Ошибки конфигурации и данных (без ответа и без сетевого кода) не повторяются
+ */
+function isRetryableError(error) {
+  const status = error?.response?.status;
+  if (!status) {
+    return Boolean(error?.code) && error.code !== 'ERR_INVALID_URL';
+  }
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Задержка из заголовка Retry-After (секунды или HTTP-дата), в миллисекундах
+ * @returns {Number|null}
+ */
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers || {};
+  const value = headers['retry-after'] ?? headers['Retry-After'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Задержка перед следующей попыткой
+ * @param {Number} attempts - Число выполненных попыток
+ * @param {Error} error - Ошибка последней попытки
+ * @param {Object} config - Настройки очереди
+ */
+function getRetryDelay(attempts, error, config) {
+  const backoff = Math.min(config.retryBaseMs * Math.pow(2, attempts - 1), config.retryMaxMs);
+  const retryAfter = getRetryAfterMs(error);
+  return retryAfter !== null ? Math.max(backoff, retryAfter) : backoff;
+}
+
+/**
+ * Сведения об ошибке для хранения в задании
+ */
+function serializeError(error) {
+  return {
+    message: error.message,
+    status: error.response?.status || null,
+    response: error.response?.data ?? null,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Создание очереди
+ * @param {Object} options
+ * @param {Function} options.handler - async (job) => результат доставки
+ * @param {Function} options.onSuccess - (job, result) => void - задание доставлено
+ * @param {Function} options.onDead - (job, error) => void - задание перемещено в dead-letter
+ * @param {Function} options.onRetry - (job, error) => void - задание отложено для повторной попытки
+ * @param {Function} options.getGroup - (job) => String|null - группа задания (тенант): после
+ *   временной ошибки остальные задания группы откладываются до следующего прохода очереди,
+ *   чтобы недоступный аккаунт amoCRM не задерживал доставку в другие
+ * @param {Function} options.getLockKey - (job) => String|null - задания с одинаковым ключом
+ *   (например, тенант и телефон контакта) не выполняются одновременно
+ * @param {Function} options.runInContext - (job, callback) => результат callback - выполнение
+ *   задания в контексте (например, с ID корреляции вебхука для логов)
+ * @param {Object} options.config - Настройки (по умолчанию getQueueConfig())
+ * @returns {Object} - { enqueue, start, stop, getJob, listJobs, saveJob, removeJob, retryJob }
+ */
+function createQueue(options) {
+  const config = options.config || getQueueConfig();
+  const handler = options.handler;
+  const jobs = new Map();
+  let timer = null;
+  let running = false;
+  let processing = false;
+
+  function jobPath(id) {
+    return path.join(config.dir, `${id}.json`);
+  }
+
+  function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    writeJsonFile(jobPath(job.id), job);
+    jobs.set(job.id, job);
+    return job;
+  }
+
+  function removeJob(id) {
+    jobs.delete(id);
+    fs.rmSync(jobPath(id), { force: true });
+  }
+
+  function load() {
+    fs.mkdirSync(config.dir, { recursive: true });
+    for (const file of fs.readdirSync(config.dir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      const job = readJsonFile(path.join(config.dir, file), null);
+      if (!job?.id) {
+        continue;
+      }
+      if (job.status === 'processing') {
+        // Процесс остановился во время доставки - повторяем
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now();
+        saveJob(job);
+      } else {
+        jobs.set(job.id, job);
+      }
+    }
+  }
+
+  /**
+   * Добавление задания в очередь (файл записывается до возврата)
+   * @param {Object} payload - Данные вебхука
+   * @param {Object} meta - Дополнительные сведения (ID события и т.д.)
+   * @returns {Object} - Задание
+   */
+  function enqueue(payload, meta = {}) {
+    const now = new Date().toISOString();
+    const job = saveJob({
+      id: crypto.randomUUID(),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: now,
+      updatedAt: now,
+      meta,
+      payload,
+      lastError: null
+    });
+    schedule(0);
+    return job;
+  }
+
+  // Ошибка в обработчике события не должна влиять на очередь
+  function notify(callback, job, value) {
+    if (!callback) {
+      return;
+    }
+    try {
+      callback(job, value);
+    } catch (error) {
+      logger.error(`❌ Ошибка обработчика события очереди (задание ${job.id}): ${error.message}`);
+    }
+  }
+
+  async function runJob(job) {
+    job.status = 'processing';
+    job.attempts += 1;
+    saveJob(job);
+
+    try {
+      const result = await handler(job);
+      logger.info(`✅ Задание ${job.id} доставлено в amoCRM (попытка ${job.attempts})`);
+      removeJob(job.id);
+      notify(options.onSuccess, job, result);
+      return result;
+    } catch (error) {
+      job.lastError = serializeError(error);
+      if (job.result === undefined && error.partialResult) {
+        job.result = error.partialResult;
+      }
+
+      if (!isRetryableError(error) || job.attempts >= config.maxAttempts) {
+        job.status = 'dead';
+        job.deadAt = new Date().toISOString();
+        logger.error(`☠️ Задание ${job.id} перемещено в dead-letter после ${job.attempts} попыток: ${error.message}`);
+        notify(options.onDead, job, error);
+      } else {
+        const delay = getRetryDelay(job.attempts, error, config);
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now() + delay;
+        logger.warn(`⏳ Задание ${job.id}: попытка ${job.attempts} не удалась (${error.message}), повтор через ${Math.round(delay / 1000)} сек`);
+        notify(options.onRetry, job, error);
+      }
+      saveJob(job);
+      return null;
+    }
+  }
+
+  async function tick() {
+    timer = null;
+    if (!running || processing) {
+      return;
+    }
+    processing = true;
+    try {
+      const now = Date.now();
+      const due = [...jobs.values()]
+        .filter(job => job.status === 'pending' && job.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+      const failedGroups = new Set();
+      let remaining = due;
+      while (running && remaining.length > 0) {
+        // Волна: до concurrency заданий с разными ключами блокировки
+        const wave = [];
+        const locks = new Set();
+        const postponed = [];
+        for (const job of remaining) {
+          const group = options.getGroup ? options.getGroup(job) : null;
+          if (group && failedGroups.has(group)) {
+            continue;
+          }
+          const lockKey = options.getLockKey ? options.getLockKey(job) : null;
+          if (wave.length >= config.concurrency || (lockKey && locks.has(lockKey))) {
+            postponed.push(job);
+            continue;
+          }
+          if (lockKey) {
+            locks.add(lockKey);
+          }
+          wave.push(job);
+        }
+
+        await Promise.all(wave.map(job => (options.runInContext ? options.runInContext(job, () => runJob(job)) : runJob(job))));
+        for (const job of wave) {
+          const group = options.getGroup ? options.getGroup(job) : null;
+          if (group && job.status === 'pending') {
+            failedGroups.add(group);
+          }
+        }
+        remaining = postponed;
+      }
+    } catch (error) {
+      logger.error(`❌ Ошибка обработчика очереди: ${error.message}`);
+    } finally {
+      processing = false;
+      schedule(config.pollIntervalMs);
+    }
+  }
+
+  function schedule(delay) {
+    if (!running) {
+      return;
+    }
+    if (timer) {
+      if (delay > 0) {
+        return;
+      }
+      clearTimeout(timer);
+    }
+    timer = setTimeout(tick, delay);
+  }
+
+  function start() {
+    if (running) {
+      return;
+    }
+    load();
+    running = true;
+    const pending = [...jobs.values()].filter(job => job.status === 'pending').length;
+    logger.info(`📦 Очередь доставки запущена: ${pending} в ожидании, ${jobs.size - pending} в dead-letter`);
+    schedule(0);
+  }
+
+  function stop() {
+    running = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Повторная постановка задания в очередь (например, после исправления настроек)
+   * Счетчик попыток сбрасывается, последняя ошибка сохраняется до новой попытки
+   * @returns {Object|null}
+   */
+  function retryJob(id) {
+    const job = jobs.get(id);
+    if (!job || job.status === 'processing') {
+      return null;
+    }
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    job.replayCount = (job.replayCount || 0) + 1;
+    job.replayedAt = new Date().toISOString();
+    delete job.deadAt;
+    saveJob(job);
+    schedule(0);
+    return job;
+  }
+
+  function getJob(id) {
+    return jobs.get(id) || null;
+  }
+
+  function listJobs(filter = {}) {
+    return [...jobs.values()]
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  return {
+    enqueue,
+    start,
+    stop,
+    getJob,
+    listJobs,
+    saveJob,
+    removeJob,
+    retryJob,
+    wake: () => schedule(0)
+  };
+}
+
+module.exports = {
+  createQueue,
+  getQueueConfig,
+  isRetryableError,
+  getRetryAfterMs,
+  getRetryDelay
+};
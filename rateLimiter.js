@@ -0,0 +1,84 @@
+/**
+ * ОГРАНИЧЕНИЕ ЧАСТОТЫ ЗАПРОСОВ К amoCRM
+ *
+ * amoCRM допускает около 7 запросов в секунду на интеграцию; при превышении
+ * отвечает 429. Ограничитель - "ведро токенов": токены пополняются со скоростью
+ * ratePerSec (не больше burst), каждый запрос забирает один токен. Дополнительно
+ * ограничено число одновременно выполняемых запросов (concurrency).
+ * Запросы, которым не хватило токена или места, ждут в порядке поступления.
+ */
+
+/**
+ * Создание ограничителя
+ * @param {Object} options - { ratePerSec, burst, concurrency }
+ * @returns {Object} - { schedule, getStats }
+ */
+function createRateLimiter(options = {}) {
+  const ratePerSec = options.ratePerSec || 7;
+  const burst = options.burst || ratePerSec;
+  const concurrency = options.concurrency || 5;
+
+  let tokens = burst;
+  let lastRefillAt = Date.now();
+  let active = 0;
+  let timer = null;
+  const waiting = [];
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - lastRefillAt) / 1000) * ratePerSec);
+    lastRefillAt = now;
+  }
+
+  function drain() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    refill();
+
+    while (waiting.length > 0 && active < concurrency && tokens >= 1) {
+      tokens -= 1;
+      active += 1;
+      const { task, resolve, reject } = waiting.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          drain();
+        });
+    }
+
+    // Ждем следующего токена; освобождение места вызовет drain само
+    if (waiting.length > 0 && active < concurrency) {
+      timer = setTimeout(drain, Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+    }
+  }
+
+  /**
+   * Выполнение задачи с учетом ограничений
+   * @param {Function} task - async () => результат
+   * @returns {Promise<*>} - Результат задачи
+   */
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  function getStats() {
+    refill();
+    return { active, waiting: waiting.length, tokens: Math.floor(tokens) };
+  }
+
+  return {
+    schedule,
+    getStats
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,202 @@
+/**
+ * ЗАПИСИ ЗВОНКОВ В ФАЙЛОВОМ ХРАНИЛИЩЕ amoCRM
+ *
+ * Ссылки call.recordUrl на стороне Sasha AI со временем перестают работать.
+ * При AMOCRM_RECORDING_UPLOAD=true запись скачивается и загружается в файлы amoCRM
+ * (Drive API: сессия загрузки → части файла), затем прикрепляется к файлам сделки,
+ * а в примечание о звонке вместо ссылки Sasha AI попадает ссылка на файл amoCRM.
+ *
+ * Скачивание повторяется при сетевых ошибках, 429 и 5xx (AMOCRM_RECORDING_ATTEMPTS),
+ * запросы к amoCRM - общим клиентом (amocrmApi.js). Если скачать или загрузить
+ * запись не удалось, в примечании остается исходная ссылка - доставка вебхука не прерывается.
+ *
+ * Адрес файлового хранилища берется из аккаунта (GET /api/v4/account?with=drive_url);
+ * AMOCRM_DRIVE_URL задает его явно (например, для проверки на локальном mock).
+ */
+
+const path = require('path');
+const axios = require('axios');
+const { amocrmRequest } = require('./amocrmApi');
+const { isRetryableError } = require('./queue');
+const { getEnv, scopedKey } = require('./tenantContext');
+const { logger } = require('./logger');
+
+// Адрес файлового хранилища по аккаунтам (с учетом тенанта)
+const driveUrls = new Map();
+
+/**
+ * Включена ли загрузка записей звонков в amoCRM
+ */
+function isRecordingUploadEnabled() {
+  return getEnv('AMOCRM_RECORDING_UPLOAD') === 'true';
+}
+
+/**
+ * Настройки загрузки записей из переменных окружения
+ */
+function getRecordingConfig() {
+  const maxMb = parseFloat(process.env.AMOCRM_RECORDING_MAX_MB) || 50;
+  return {
+    maxMb,
+    maxBytes: Math.round(maxMb * 1024 * 1024),
+    attempts: parseInt(process.env.AMOCRM_RECORDING_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(process.env.AMOCRM_RECORDING_RETRY_MS) || 2000,
+    timeoutMs: (parseInt(process.env.AMOCRM_RECORDING_TIMEOUT_SEC) || 60) * 1000
+  };
+}
+
+/**
+ * Выполнение шага с повторами при сетевых ошибках, 429 и 5xx
+ * Используется только для скачивания записи: запросы к amoCRM повторяет amocrmRequest (только 429)
+ * @param {String} label - Название шага для лога
+ * @param {Function} step - async () => результат
+ * @param {Object} config - Настройки (attempts, retryDelayMs)
+ */
+async function withRetries(label, step, config) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await step();
+    } catch (error) {
+      if (attempt >= config.attempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = config.retryDelayMs * Math.pow(2, attempt - 1);
+      logger.warn(`⏳ ${label}: попытка ${attempt} не удалась (${error.message}), повтор через ${delay} мс`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Скачивание записи звонка
+ * @param {String} url - call.recordUrl
+ * @param {Object} config - Настройки загрузки
+ * @returns {Promise<Object>} - { buffer, contentType }
+ * @throws {Error} - Запись больше AMOCRM_RECORDING_MAX_MB или недоступна
+ */
+async function downloadRecording(url, config) {
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: config.timeoutMs,
+      maxContentLength: config.maxBytes
+    });
+    const buffer = Buffer.from(response.data);
+    if (buffer.length === 0) {
+      throw new Error('Запись звонка пустая');
+    }
+    return {
+      buffer,
+      contentType: String(response.headers['content-type'] || 'audio/mpeg').split(';')[0].trim()
+    };
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) {
+      // Повтор не поможет - запись не загружается
+      throw new Error(`Запись звонка больше ${config.maxMb} МБ (AMOCRM_RECORDING_MAX_MB)`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Адрес файлового хранилища аккаунта amoCRM
+ */
+async function getDriveUrl() {
+  const configured = getEnv('AMOCRM_DRIVE_URL');
+  if (configured) {
+    return configured.replace(/\/+$/, '');
+  }
+  const key = scopedKey('drive_url');
+  if (!driveUrls.has(key)) {
+    const account = await amocrmRequest('get', '/api/v4/account', { params: { with: 'drive_url' } });
+    if (!account?.drive_url) {
+      throw new Error('amoCRM не вернул адрес файлового хранилища (drive_url)');
+    }
+    driveUrls.set(key, account.drive_url.replace(/\/+$/, ''));
+  }
+  return driveUrls.get(key);
+}
+
+/**
+ * Загрузка файла в хранилище amoCRM: сессия загрузки и отправка частями
+ * @param {Buffer} buffer - Содержимое файла
+ * @param {String} fileName - Имя файла
+ * @param {String} contentType - MIME-тип
+ * @param {Object} config - Настройки загрузки
+ * @returns {Promise<Object>} - Файл amoCRM { uuid, version_uuid, name, size, _links }
+ */
+async function uploadToDrive(buffer, fileName, contentType, config) {
+  const driveUrl = await getDriveUrl();
+  const session = await amocrmRequest('post', `${driveUrl}/v1.0/sessions`, {
+    data: { file_name: fileName, file_size: buffer.length, content_type: contentType }
+  });
+  if (!session?.upload_url) {
+    throw new Error('amoCRM не вернул адрес загрузки файла (upload_url)');
+  }
+  if (session.max_file_size && buffer.length > session.max_file_size) {
+    throw new Error(`Запись звонка больше допустимого amoCRM размера (${session.max_file_size} байт)`);
+  }
+
+  const partSize = session.max_part_size || buffer.length;
+  let uploadUrl = session.upload_url;
+  let result = null;
+  for (let offset = 0; offset < buffer.length; offset += partSize) {
+    const part = buffer.subarray(offset, offset + partSize);
+    result = await amocrmRequest('post', uploadUrl, {
+      data: part,
+      headers: { 'Content-Type': 'application/octet-stream' },
+      timeout: config.timeoutMs
+    });
+    uploadUrl = result?.next_url || uploadUrl;
+  }
+
+  if (!result?.uuid) {
+    throw new Error('amoCRM не вернул UUID загруженного файла');
+  }
+  return result;
+}
+
+/**
+ * Имя файла записи: из ссылки или по ID звонка
+ */
+function getRecordingFileName(data, contentType) {
+  const fromUrl = path.basename(new URL(data.call.recordUrl).pathname);
+  if (/\.[a-z0-9]{2,4}$/i.test(fromUrl)) {
+    return fromUrl;
+  }
+  const extension = contentType.includes('wav') ? 'wav' : contentType.includes('ogg') ? 'ogg' : 'mp3';
+  return `call-${data.call.id || Date.now()}.${extension}`;
+}
+
+/**
+ * Загрузка записи звонка в amoCRM и прикрепление к файлам сделки
+ * @param {Number} leadId - ID сделки
+ * @param {Object} data - Данные вебхука
+ * @returns {Promise<Object|null>} - { fileUuid, link } или null, если записи нет
+ * @throws {Error} - Запись не загружена (вызывающий оставляет исходную ссылку)
+ */
+async function uploadCallRecording(leadId, data) {
+  if (!leadId || !data.call?.recordUrl) {
+    return null;
+  }
+  const config = getRecordingConfig();
+
+  const { buffer, contentType } = await withRetries('Скачивание записи звонка', () => downloadRecording(data.call.recordUrl, config), config);
+  const fileName = getRecordingFileName(data, contentType);
+  logger.info(`🎧 Запись звонка скачана: ${fileName} (${buffer.length} байт)`);
+
+  const file = await uploadToDrive(buffer, fileName, contentType, config);
+  await amocrmRequest('put', `/api/v4/leads/${leadId}/files`, {
+    data: [{ file_uuid: file.uuid }]
+  });
+
+  return {
+    fileUuid: file.uuid,
+    link: file._links?.download?.href || null
+  };
+}
+
+module.exports = {
+  isRecordingUploadEnabled,
+  uploadCallRecording
+};
@@ -0,0 +1,241 @@
+/**
+ * НАЗНАЧЕНИЕ ОТВЕТСТВЕННОГО ЗА КОНТАКТ И СДЕЛКУ
+ *
+ * Порядок выбора:
+ * 1. Правила responsibleRules (mapping.js или раздел responsible_rules файла маппинга):
+ *    по региону, колл-листу и другим полям вебхука (условия - как в pipelineRules.js).
+ *    Правило задает одного пользователя (responsible_user_id) или список
+ *    для распределения по очереди (user_ids).
+ * 2. Режим по умолчанию AMOCRM_RESPONSIBLE_MODE:
+ *    - fixed - всегда AMOCRM_RESPONSIBLE_USER_ID;
+ *    - round_robin - по очереди из AMOCRM_RESPONSIBLE_USER_IDS;
+ *    - none - ответственный не указывается (сделка достается владельцу токена).
+ *
+ * Позиция очереди хранится в DATA_DIR/responsible-rotation.json и переживает перезапуск
+ * (у каждого тенанта - свои очереди и свой список пользователей).
+ * При AMOCRM_RESPONSIBLE_VALIDATE=true пользователи проверяются по /api/v4/users:
+ * неактивные и удаленные пропускаются.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { matchesRule } = require('./pipelineRules');
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { getEnv, scopedKey } = require('./tenantContext');
+const { logger } = require('./logger');
+
+const MODES = ['none', 'fixed', 'round_robin'];
+
+/**
+ * Список ID пользователей из строки "1, 2, 3"
+ */
+function parseUserIds(value) {
+  return String(value || '')
+    .split(',')
+    .map(id => parseInt(id.trim()))
+    .filter(id => id > 0);
+}
+
+/**
+ * Настройки назначения ответственного из переменных окружения
+ */
+function getResponsibleConfig() {
+  const userId = parseInt(getEnv('AMOCRM_RESPONSIBLE_USER_ID')) || null;
+  const userIds = parseUserIds(getEnv('AMOCRM_RESPONSIBLE_USER_IDS'));
+
+  let mode = (getEnv('AMOCRM_RESPONSIBLE_MODE') || '').trim().toLowerCase();
+  if (!MODES.includes(mode)) {
+    if (mode) {
+      logger.warn(`⚠️ Неизвестный AMOCRM_RESPONSIBLE_MODE "${mode}", режим выбран по заданным пользователям`);
+    }
+    mode = userIds.length > 0 ? 'round_robin' : (userId ? 'fixed' : 'none');
+  }
+
+  return {
+    mode,
+    userId,
+    userIds,
+    validate: getEnv('AMOCRM_RESPONSIBLE_VALIDATE') === 'true',
+    usersCacheMs: (parseInt(process.env.AMOCRM_USERS_CACHE_SEC) || 600) * 1000
+  };
+}
+
+/**
+ * Проверка правил назначения ответственного
+ * @param {Array} rules - Правила
+ * @param {String} where - Путь для сообщений об ошибках
+ * @returns {String[]} - Ошибки
+ */
+function validateResponsibleRules(rules, where = 'responsible_rules') {
+  if (!Array.isArray(rules)) {
+    return [`${where}: ожидается массив правил`];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const ruleWhere = `${where}[${index}]`;
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${ruleWhere}: ожидается объект { when, responsible_user_id } или { when, user_ids }`);
+      return;
+    }
+    if (rule.when !== undefined && (rule.when === null || typeof rule.when !== 'object' || Array.isArray(rule.when))) {
+      errors.push(`${ruleWhere}.when: ожидается объект { путь: условие }`);
+    }
+    const hasUser = rule.responsible_user_id !== undefined;
+    const hasList = rule.user_ids !== undefined;
+    if (hasUser === hasList) {
+      errors.push(`${ruleWhere}: укажите ровно одно из responsible_user_id или user_ids`);
+    } else if (hasUser && !(Number.isInteger(rule.responsible_user_id) && rule.responsible_user_id > 0)) {
+      errors.push(`${ruleWhere}.responsible_user_id: ожидается положительное целое число`);
+    } else if (hasList && !(Array.isArray(rule.user_ids) && rule.user_ids.length > 0 && rule.user_ids.every(id => Number.isInteger(id) && id > 0))) {
+      errors.push(`${ruleWhere}.user_ids: ожидается непустой массив ID пользователей`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Создание сервиса назначения ответственного
+ * @param {Object} options
+ * @param {Function} options.getRules - () => правила назначения
+ * @param {Function} options.getValueByPath - Получение значения по пути
+ * @param {Function} options.getConfig - Настройки (по умолчанию getResponsibleConfig)
+ * @param {String} options.storagePath - Файл позиций очереди
+ * @returns {Object} - { resolveResponsibleUser, getActiveUserIds }
+ */
+function createResponsibleAssigner(options) {
+  const getConfig = options.getConfig || getResponsibleConfig;
+  const storagePath = options.storagePath || resolveDataPath('responsible-rotation.json');
+
+  // Кэш пользователей - по аккаунтам amoCRM (тенантам)
+  const usersCache = new Map();
+  let rotation = null;
+
+  /**
+   * ID активных пользователей аккаунта (кэшируется на AMOCRM_USERS_CACHE_SEC)
+   * @returns {Promise<Set<Number>>}
+   */
+  async function getActiveUserIds() {
+    const config = getConfig();
+    const cacheKey = scopedKey('users');
+    const cached = usersCache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < config.usersCacheMs) {
+      return cached.ids;
+    }
+
+    const ids = new Set();
+    for (let page = 1; page <= 20; page++) {
+      const response = await amocrmRequest('get', '/api/v4/users', { params: { page, limit: 250 } });
+      const users = response?._embedded?.users || [];
+      users
+        .filter(user => user.rights?.is_active !== false)
+        .forEach(user => ids.add(user.id));
+      if (!response?._links?.next) {
+        break;
+      }
+    }
+
+    usersCache.set(cacheKey, { ids, loadedAt: Date.now() });
+    logger.info(`👥 Загружен список пользователей amoCRM: ${ids.size} активных`);
+    return ids;
+  }
+
+  /**
+   * Отбор пользователей, существующих и активных в amoCRM
+   * Если список пользователей получить не удалось, проверка пропускается
+   * @param {Number[]} userIds
+   * @param {Boolean} dryRun - Без обращения к amoCRM (проверка пропускается)
+   */
+  async function filterValidUsers(userIds, dryRun) {
+    if (!getConfig().validate || dryRun) {
+      return userIds;
+    }
+    try {
+      const active = await getActiveUserIds();
+      const valid = userIds.filter(id => active.has(id));
+      const invalid = userIds.filter(id => !active.has(id));
+      if (invalid.length > 0) {
+        logger.warn(`⚠️ Пользователи amoCRM не найдены или неактивны, пропускаются: ${invalid.join(', ')}`);
+      }
+      return valid;
+    } catch (error) {
+      logger.warn(`⚠️ Не удалось проверить пользователей amoCRM, проверка пропущена: ${error.message}`);
+      return userIds;
+    }
+  }
+
+  /**
+   * Следующий пользователь очереди (позиция сохраняется в файл)
+   * @param {String} queueKey - Очередь (default или имя правила)
+   * @param {Number[]} userIds - Пользователи очереди
+   * @param {Boolean} dryRun - Не сдвигать очередь
+   */
+  async function nextInRotation(queueKey, userIds, dryRun) {
+    // У тенантов свои очереди: ключ с префиксом tenant:<id>:
+    const key = scopedKey(queueKey);
+    const valid = await filterValidUsers(userIds, dryRun);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    if (!rotation) {
+      rotation = readJsonFile(storagePath, {});
+    }
+    const index = (rotation[key] || 0) % valid.length;
+    if (!dryRun) {
+      rotation[key] = index + 1;
+      writeJsonFile(storagePath, rotation);
+    }
+    return valid[index];
+  }
+
+  async function pickFixed(userId, dryRun) {
+    const valid = await filterValidUsers([userId], dryRun);
+    return valid[0] || null;
+  }
+
+  /**
+   * Ответственный для вебхука
+   * @param {Object} data - Данные вебхука
+   * @param {Object} resolveOptions - { dryRun } - предпросмотр: очередь не сдвигается, amoCRM не запрашивается
+   * @returns {Promise<{ userId: Number|null, source: String|null }>}
+   */
+  async function resolveResponsibleUser(data, resolveOptions = {}) {
+    const dryRun = Boolean(resolveOptions.dryRun);
+    const rules = options.getRules() || [];
+    for (let index = 0; index < rules.length; index++) {
+      const rule = rules[index];
+      if (!matchesRule(rule, data, options.getValueByPath)) {
+        continue;
+      }
+      const label = rule.name || `#${index + 1}`;
+      const userId = rule.user_ids
+        ? await nextInRotation(`rule:${label}`, rule.user_ids, dryRun)
+        : await pickFixed(rule.responsible_user_id, dryRun);
+      if (userId) {
+        return { userId, source: `правило ${label}` };
+      }
+    }
+
+    const config = getConfig();
+    if (config.mode === 'round_robin') {
+      const userId = await nextInRotation('default', config.userIds, dryRun);
+      return { userId, source: userId ? 'по очереди' : null };
+    }
+    if (config.mode === 'fixed' && config.userId) {
+      const userId = await pickFixed(config.userId, dryRun);
+      return { userId, source: userId ? 'фиксированный' : null };
+    }
+    return { userId: null, source: null };
+  }
+
+  return {
+    resolveResponsibleUser,
+    getActiveUserIds
+  };
+}
+
+module.exports = {
+  createResponsibleAssigner,
+  getResponsibleConfig,
+  validateResponsibleRules
+};
@@ -1,8 +1,31 @@
+// .env загружается до подключения модулей: часть настроек читается при их загрузке
+require('dotenv').config();
+
 const express = require('express');
 const crypto = require('crypto');
-const axios = require('axios');
-const { leadMapping, contactMapping, applyMapping } = require('./mapping');
-require('dotenv').config();
+const { leadMapping, contactMapping, companyMapping, applyMapping, getValueByPath, resolveLeadPipeline, getResponsibleRules } = require('./mapping');
+const { getAmoCRMBaseUrl, tokenManager } = require('./amocrmAuth');
+const { amocrmRequest, createEntityBatched, getAmoCRMErrorMessage } = require('./amocrmApi');
+const { mergeCustomFieldsValues, createCustomFieldsResolver } = require('./customFields');
+const { findExistingContact } = require('./contacts');
+const { isCompaniesEnabled, findExistingCompany, hasLinkedCompany, linkCompany } = require('./companies');
+const { getLeadDedupPolicy, findOpenLeadForContact, appendCallToLead, isLeadComplexEnabled, buildComplexLead, parseComplexLeadResponse } = require('./leads');
+const { addCallNotesToLead, buildLeadNotes } = require('./notes');
+const { isRecordingUploadEnabled, uploadCallRecording } = require('./recordings');
+const { buildTags, getMissingTags } = require('./tags');
+const { getSchemaMode, validatePayload, checkWebhookPayload } = require('./payloadSchema');
+const { createFollowUpTask, buildLeadTask } = require('./tasks');
+const { createQueue, isRetryableError } = require('./queue');
+const { createAdminRouter, requireAdminToken } = require('./adminRoutes');
+const { createEventStore } = require('./eventStore');
+const { resolveEventRoute, createEventDispatcher, buildFailedCallRequests, buildCallListSummaryNote } = require('./eventRouter');
+const { initMappingConfig } = require('./mappingConfig');
+const { createResponsibleAssigner } = require('./responsible');
+const { createTenantRegistry } = require('./tenants');
+const { runWithTenant, getCurrentTenant, getEnv } = require('./tenantContext');
+const { logger, createCorrelationId, runWithCorrelationId, getCorrelationId } = require('./logger');
+const { registry, metrics } = require('./metrics');
+const { verifyWebhookRequest } = require('./webhookAuth');
 
 const app = express();
 // PORT используется для внешнего доступа, CONTAINER_PORT для Docker контейнера
@@ -20,19 +43,40 @@ app.use('/webhook', express.text({
 // Express автоматически пропустит /webhook, т.к. тело уже обработано express.raw()
 app.use(express.json({ limit: '10mb' }));
 
+// ID корреляции запроса: из заголовка X-Correlation-Id / X-Request-Id или новый.
+// Возвращается в заголовке X-Correlation-Id и в поле correlationId JSON-ответа,
+// попадает во все записи лога запроса и в задание очереди (доставка в amoCRM)
+app.use((req, res, next) => {
+  const incoming = String(req.headers['x-correlation-id'] || req.headers['x-request-id'] || '');
+  req.correlationId = /^[\w.:-]{1,100}$/.test(incoming) ? incoming : createCorrelationId();
+  res.setHeader('X-Correlation-Id', req.correlationId);
+  
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, correlationId: req.correlationId }
+    : body);
+  
+  runWithCorrelationId(req.correlationId, next);
+});
+
 // Middleware для логирования входящих запросов
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
+  logger.info(`${req.method} ${req.path}`, { method: req.method, path: req.path });
   
-  // Логируем тело запроса
+  // Тело запроса - только при LOG_BODIES=true, персональные данные скрываются
   if (req.body) {
     if (typeof req.body === 'string') {
       // Для /webhook (express.text())
-      console.log('Body:', req.body);
+      let body;
+      try {
+        body = JSON.parse(req.body);
+      } catch (error) {
+        body = { length: req.body.length };
+      }
+      logger.body('Тело запроса', body);
     } else if (typeof req.body === 'object' && Object.keys(req.body).length > 0) {
       // Для других роутов (express.json())
-      console.log('Body:', JSON.stringify(req.body, null, 2));
+      logger.body('Тело запроса', req.body);
     }
   }
   
@@ -40,89 +84,131 @@ app.use((req, res, next) => {
 });
 
 /**
- * 
- * @param {Object} payload 
- * @param {String} signature 
- * @param {String} secret 
- * @returns {Boolean}
+ * Middleware определения тенанта по URL /webhook/:tenant
+ * Вебхук на /webhook (без тенанта) обрабатывается с настройками из .env
  */
-function verifyWebhookSignature(payload, signature, secret) {
-  const computed = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
+function resolveWebhookTenant(req, res, next) {
+  if (!req.params.tenant) {
+    req.tenant = null;
+    return next();
+  }
+
+  const tenant = tenantRegistry.get(req.params.tenant);
+  if (!tenant) {
+    logger.warn(`⛔ Вебхук отклонен: тенант ${req.params.tenant} не найден`);
+    return res.status(404).json({
+      success: false,
+      error: `Тенант ${req.params.tenant} не найден`
+    });
+  }
+  if (tenant.enabled === false) {
+    logger.warn(`⛔ Вебхук отклонен: тенант ${tenant.id} отключен`);
+    return res.status(403).json({
+      success: false,
+      error: `Тенант ${tenant.id} отключен`
+    });
+  }
 
-  return crypto.timingSafeEqual(
-    Buffer.from(computed, 'hex'),
-    Buffer.from(signature, 'hex')
-  );
+  req.tenant = tenant;
+  next();
 }
 
 /**
- * Получение базового URL для amoCRM API
+ * Обновление найденного контакта amoCRM
+ * Кастомные поля объединяются с существующими (телефоны и email добавляются, а не заменяются),
+ * имя меняется только если в вебхуке есть имя клиента
+ * @param {Object} existingContact - Контакт из ответа amoCRM
+ * @param {Object} contactFields - Поля контакта после маппинга
+ * @param {Object} data - Данные вебхука
+ * @returns {Promise<Object>}
  */
-function getAmoCRMBaseUrl() {
-  const subdomain = process.env.AMOCRM_SUBDOMAIN;
-  
-  if (!subdomain || subdomain.trim() === '') {
-    throw new Error('Ошибка при отправке вебхука: Invalid URL - AMOCRM_SUBDOMAIN не установлен в переменных окружения. Проверьте файл .env');
+async function updateExistingContact(existingContact, contactFields, data) {
+  const update = {};
+
+  const clientName = getValueByPath(data, contactMapping.name.source);
+  if (clientName && contactFields.name !== existingContact.name) {
+    update.name = contactFields.name;
   }
-  
-  // Очищаем subdomain от лишних символов (пробелы, слэши и т.д.)
-  const cleanSubdomain = subdomain.trim().replace(/[^a-zA-Z0-9-]/g, '');
-  
-  if (!cleanSubdomain || cleanSubdomain.length === 0) {
-    throw new Error('Ошибка при отправке вебхука: Invalid URL - AMOCRM_SUBDOMAIN содержит недопустимые символы или пустой. Укажите поддомен вашего аккаунта amoCRM (например: mycompany для mycompany.amocrm.ru)');
+
+  const mergedFields = mergeCustomFieldsValues(existingContact.custom_fields_values, contactFields.custom_fields_values);
+  if (mergedFields.length > 0) {
+    update.custom_fields_values = mergedFields;
   }
-  
-  const baseUrl = `https://${cleanSubdomain}.amocrm.ru`;
-  
-  // Валидация URL
-  try {
-    const url = new URL(baseUrl);
-    if (!url.hostname || !url.hostname.includes('amocrm.ru')) {
-      throw new Error('Некорректный домен');
-    }
-  } catch (error) {
-    throw new Error(`Ошибка при отправке вебхука: Invalid URL - некорректный формат URL для amoCRM: ${baseUrl}. Проверьте значение AMOCRM_SUBDOMAIN в файле .env`);
+
+  // Теги добавляются к существующим, а не заменяют их
+  const newTags = getMissingTags(existingContact, contactFields._embedded?.tags);
+  if (newTags.length > 0) {
+    update.tags_to_add = newTags;
   }
-  
-  return baseUrl;
+
+  if (Object.keys(update).length === 0) {
+    logger.info(`Контакт ${existingContact.id} не требует обновления`);
+    return {
+      success: true,
+      contactId: existingContact.id,
+      action: 'updated',
+      data: existingContact
+    };
+  }
+
+  logger.body(`Обновление контакта ${existingContact.id}`, update);
+  const response = await amocrmRequest('patch', `/api/v4/contacts/${existingContact.id}`, { data: update });
+
+  return {
+    success: true,
+    contactId: existingContact.id,
+    action: 'updated',
+    data: response
+  };
 }
 
 /**
- * Получение токена авторизации для amoCRM
+ * Метаданные кастомных полей amoCRM: поиск полей по названию и приведение значений к типу поля
  */
-function getAmoCRMToken() {
-  const token = process.env.AMOCRM_ACCESS_TOKEN;
-  if (!token) {
-    throw new Error('AMOCRM_ACCESS_TOKEN не установлен в переменных окружения');
-  }
-  return token;
-}
+const customFieldsResolver = createCustomFieldsResolver();
 
 /**
- * Создание или обновление контакта в amoCRM
+ * Поля контакта для amoCRM: маппинг и теги
  * @param {Object} data - Данные в формате вебхука от Sasha AI
- * @returns {Promise<Object>} - Результат создания/обновления контакта
+ * @param {Object} options - { warnings } - массив для ошибок преобразования полей
+ * @returns {Object}
  */
-async function createOrUpdateContactInAmoCRM(data) {
-  const baseUrl = getAmoCRMBaseUrl();
-  const token = getAmoCRMToken();
-  
+function buildContactFields(data, options = {}) {
   // Применяем маппинг для преобразования данных вебхука в поля amoCRM
-  const contactFields = applyMapping(data, contactMapping);
+  const contactFields = applyMapping(data, contactMapping, { warnings: options.warnings });
+  const contactTags = buildTags(data, 'contact');
+  if (contactTags.length > 0) {
+    contactFields._embedded = { ...contactFields._embedded, tags: contactTags };
+  }
   
   // Валидация обязательных полей контакта
   if (!contactFields.name) {
     throw new Error('Не удалось создать название контакта. Проверьте данные вебхука.');
   }
   
+  return contactFields;
+}
+
+/**
+ * Создание или обновление контакта в amoCRM
+ * Сначала ищет существующий контакт по телефону и email; если найден - обновляет его
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {Object} options - { responsibleUserId, deferCreate }
+ *   responsibleUserId - ответственный за новый контакт;
+ *   deferCreate - новый контакт не создается, а возвращается в contactFields (для leads/complex);
+ *   companyId - компания, к которой привязывается контакт
+ * @returns {Promise<Object>} - Результат создания/обновления контакта (action: 'created' | 'updated' | 'deferred')
+ */
+async function createOrUpdateContactInAmoCRM(data, options = {}) {
+  const baseUrl = getAmoCRMBaseUrl();
+  const contactFields = buildContactFields(data);
+  contactFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('contacts', contactFields.custom_fields_values);
+  
   // Формируем данные для отправки в amoCRM
   const contactData = [contactFields];
   
   // Логируем данные перед отправкой (для отладки)
-  console.log('Данные контакта для отправки в amoCRM:', JSON.stringify(contactData, null, 2));
+  logger.body('Данные контакта для отправки в amoCRM', contactData);
   
   try {
     const url = `${baseUrl}/api/v4/contacts`;
@@ -131,87 +217,88 @@ async function createOrUpdateContactInAmoCRM(data) {
     try {
       new URL(url);
     } catch (urlError) {
-      console.error('Некорректный URL:', url);
+      logger.error(`Некорректный URL: ${url}`);
       throw new Error(`Invalid URL: ${url}`);
     }
     
-    console.log(`Отправка запроса на создание контакта: ${url}`);
-    
-    const response = await axios.post(
-      url,
-      contactData,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
+    // Ищем существующий контакт по телефону/email, чтобы не создавать дубликаты
+    const existingContact = await findExistingContact(contactFields);
+    if (existingContact) {
+      const result = await updateExistingContact(existingContact, contactFields, data);
+      // Компания привязывается, только если у контакта ее еще нет
+      if (options.companyId && !hasLinkedCompany(existingContact)) {
+        await linkCompany('contacts', existingContact.id, options.companyId);
+        logger.info(`🏢 Контакт ${existingContact.id} привязан к компании ${options.companyId}`);
       }
-    );
+      return result;
+    }
+    
+    // Ответственный назначается только новому контакту - у существующего он не меняется
+    if (options.responsibleUserId) {
+      contactFields.responsible_user_id = options.responsibleUserId;
+    }
     
-    // amoCRM возвращает объект с _embedded.contacts[0].id
-    const contactId = response.data?._embedded?.contacts?.[0]?.id;
+    // Контакт будет создан вместе со сделкой
+    if (options.deferCreate) {
+      return {
+        success: true,
+        contactId: null,
+        action: 'deferred',
+        contactFields: contactFields
+      };
+    }
+    
+    if (options.companyId) {
+      contactFields._embedded = { ...contactFields._embedded, companies: [{ id: options.companyId }] };
+    }
+    
+    logger.info(`Отправка запроса на создание контакта: ${url}`);
+    
+    // Общий клиент amoCRM: ограничение частоты, повторы и объединение одновременных созданий в пакет
+    const createdContact = await createEntityBatched('/api/v4/contacts', 'contacts', contactFields);
     
     return {
       success: true,
-      contactId: contactId,
-      data: response.data
+      contactId: createdContact?.id,
+      action: 'created',
+      data: { _embedded: { contacts: [createdContact] } }
     };
   } catch (error) {
-    console.error('❌ Ошибка при создании/обновлении контакта в amoCRM:');
-    console.error('URL:', `${baseUrl}/api/v4/contacts`);
-    console.error('Ошибка:', error.message);
-    console.error('Код ошибки:', error.code);
+    logger.error('❌ Ошибка при создании/обновлении контакта в amoCRM:');
+    logger.error(`URL: ${baseUrl}/api/v4/contacts`);
+    logger.error(`Ошибка: ${error.message}`);
+    logger.error(`Код ошибки: ${error.code}`);
     
     if (error.response) {
-      console.error('Статус ответа:', error.response.status);
-      console.error('Данные ответа:', JSON.stringify(error.response.data, null, 2));
-      console.error('Заголовки ответа:', JSON.stringify(error.response.headers, null, 2));
-    } else if (error.request) {
-      console.error('Запрос был отправлен, но ответ не получен');
-      console.error('Детали запроса:', error.request);
-    } else {
-      console.error('Детали ошибки:', error.message);
+      logger.error('Ответ amoCRM с ошибкой', { status: error.response.status, response: error.response.data });
     }
     
     if (error.message.includes('Invalid URL') || error.code === 'ERR_INVALID_URL') {
       throw new Error(`Ошибка при отправке вебхука: Invalid URL - проверьте AMOCRM_SUBDOMAIN в .env`);
     }
     
-    // Формируем понятное сообщение об ошибке
-    let errorMessage = 'Ошибка при создании/обновлении контакта в amoCRM';
-    if (error.response?.data) {
-      if (error.response.data.error) {
-        errorMessage = error.response.data.error;
-      } else if (error.response.data.detail) {
-        errorMessage = error.response.data.detail;
-      } else if (error.response.data.title) {
-        errorMessage = error.response.data.title;
-      } else if (typeof error.response.data === 'string') {
-        errorMessage = error.response.data;
-      } else {
-        errorMessage = `Ошибка API: ${JSON.stringify(error.response.data)}`;
-      }
-    } else {
-      errorMessage = error.message;
-    }
-    
-    throw new Error(errorMessage);
+    // Сохраняем код и ответ, чтобы очередь могла решить, повторять ли запрос
+    const wrappedError = new Error(getAmoCRMErrorMessage(error, 'Ошибка при создании/обновлении контакта в amoCRM'));
+    wrappedError.code = error.code;
+    wrappedError.response = error.response;
+    throw wrappedError;
   }
 }
 
 /**
- * Функция для создания сделки в amoCRM
- * Использует маппинг из mapping.js для преобразования данных
+ * Поля сделки для amoCRM: маппинг, теги, воронка, контакт, компания и ответственный
  * @param {Object} data - Данные в формате вебхука от Sasha AI
  * @param {String} contactId - ID контакта для связи
- * @returns {Promise<Object>} - Результат создания сделки в amoCRM
+ * @param {Object} options - { responsibleUserId, companyId, warnings }
+ * @returns {Object}
  */
-async function createLeadInAmoCRM(data, contactId) {
-  const baseUrl = getAmoCRMBaseUrl();
-  const token = getAmoCRMToken();
-  
+function buildLeadFields(data, contactId, options = {}) {
   // Применяем маппинг для преобразования данных вебхука в поля amoCRM
-  const leadFields = applyMapping(data, leadMapping);
+  const leadFields = applyMapping(data, leadMapping, { warnings: options.warnings });
+  const leadTags = buildTags(data, 'lead');
+  if (leadTags.length > 0) {
+    leadFields._embedded = { ...leadFields._embedded, tags: leadTags };
+  }
   
   // Валидация обязательных полей
   if (!leadFields.name) {
@@ -222,18 +309,23 @@ async function createLeadInAmoCRM(data, contactId) {
     throw new Error('AMOCRM_PIPELINE_ID не установлен в переменных окружения. Это обязательное поле для создания сделки.');
   }
   
+  const pipelineRoute = resolveLeadPipeline(data);
+  if (pipelineRoute.pipelineRule || pipelineRoute.statusRule) {
+    logger.info(`🧭 Воронка ${leadFields.pipeline_id} (правило: ${pipelineRoute.pipelineRule || 'по умолчанию'}), статус ${leadFields.status_id || 'первый'} (правило: ${pipelineRoute.statusRule || 'по умолчанию'})`);
+  }
+  
   // Преобразуем pipeline_id и status_id в числа, если они строки
   if (leadFields.pipeline_id) {
     leadFields.pipeline_id = parseInt(leadFields.pipeline_id);
     if (isNaN(leadFields.pipeline_id)) {
-      throw new Error(`Некорректный формат AMOCRM_PIPELINE_ID: "${process.env.AMOCRM_PIPELINE_ID}". Должно быть число.`);
+      throw new Error(`Некорректный формат AMOCRM_PIPELINE_ID: "${getEnv('AMOCRM_PIPELINE_ID')}". Должно быть число.`);
     }
   }
   
   if (leadFields.status_id) {
     leadFields.status_id = parseInt(leadFields.status_id);
     if (isNaN(leadFields.status_id)) {
-      throw new Error(`Некорректный формат AMOCRM_STATUS_ID: "${process.env.AMOCRM_STATUS_ID}". Должно быть число.`);
+      throw new Error(`Некорректный формат AMOCRM_STATUS_ID: "${getEnv('AMOCRM_STATUS_ID')}". Должно быть число.`);
     }
   }
   
@@ -256,11 +348,35 @@ async function createLeadInAmoCRM(data, contactId) {
     }
   }
   
+  if (options.companyId) {
+    leadFields._embedded = { ...leadFields._embedded, companies: [{ id: options.companyId }] };
+  }
+  
+  if (options.responsibleUserId) {
+    leadFields.responsible_user_id = options.responsibleUserId;
+  }
+  
+  return leadFields;
+}
+
+/**
+ * Функция для создания сделки в amoCRM
+ * Использует маппинг из mapping.js для преобразования данных
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {String} contactId - ID контакта для связи
+ * @param {Object} options - { responsibleUserId, companyId } - ответственный за новую сделку и компания
+ * @returns {Promise<Object>} - Результат создания сделки в amoCRM (action: 'created' | 'updated')
+ */
+async function createLeadInAmoCRM(data, contactId, options = {}) {
+  const baseUrl = getAmoCRMBaseUrl();
+  const leadFields = buildLeadFields(data, contactId, options);
+  leadFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('leads', leadFields.custom_fields_values);
+  
   // Формируем данные для отправки в amoCRM (требуется массив)
   const leadData = [leadFields];
   
   // Логируем данные перед отправкой (для отладки)
-  console.log('Данные для отправки в amoCRM:', JSON.stringify(leadData, null, 2));
+  logger.body('Данные для отправки в amoCRM', leadData);
   
   try {
     const url = `${baseUrl}/api/v4/leads`;
@@ -269,108 +385,506 @@ async function createLeadInAmoCRM(data, contactId) {
     try {
       new URL(url);
     } catch (urlError) {
-      console.error('Некорректный URL:', url);
+      logger.error(`Некорректный URL: ${url}`);
       throw new Error(`Invalid URL: ${url}`);
     }
     
-    console.log(`Отправка запроса на создание сделки: ${url}`);
-    
-    const response = await axios.post(
-      url,
-      leadData,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        }
+    // Повторный звонок может дополнить открытую сделку контакта (AMOCRM_LEAD_DEDUP_MODE)
+    const existingLead = await findOpenLeadForContact(leadFields._embedded?.contacts?.[0]?.id, leadFields.pipeline_id, getLeadDedupPolicy());
+    if (existingLead) {
+      logger.info(`🔁 Найдена открытая сделка контакта ${existingLead.id}, дополняем ее данными звонка`);
+      const result = await appendCallToLead(existingLead, leadFields, data);
+      if (options.companyId && !hasLinkedCompany(existingLead)) {
+        await linkCompany('leads', existingLead.id, options.companyId);
+        logger.info(`🏢 Сделка ${existingLead.id} привязана к компании ${options.companyId}`);
       }
-    );
+      return result;
+    }
     
-    // amoCRM возвращает объект с _embedded.leads[0].id
-    const leadId = response.data?._embedded?.leads?.[0]?.id;
+    logger.info(`Отправка запроса на создание сделки: ${url}`);
+    
+    // Общий клиент amoCRM: ограничение частоты, повторы и объединение одновременных созданий в пакет
+    const createdLead = await createEntityBatched('/api/v4/leads', 'leads', leadFields);
     
     return {
       success: true,
-      leadId: leadId,
-      data: response.data
+      leadId: createdLead?.id,
+      action: 'created',
+      data: { _embedded: { leads: [createdLead] } }
     };
   } catch (error) {
-    console.error('❌ Ошибка при создании сделки в amoCRM:');
-    console.error('URL:', `${baseUrl}/api/v4/leads`);
-    console.error('Ошибка:', error.message);
-    console.error('Код ошибки:', error.code);
+    logger.error('❌ Ошибка при создании сделки в amoCRM:');
+    logger.error(`URL: ${baseUrl}/api/v4/leads`);
+    logger.error(`Ошибка: ${error.message}`);
+    logger.error(`Код ошибки: ${error.code}`);
     
     if (error.response) {
-      console.error('Статус ответа:', error.response.status);
-      console.error('Данные ответа:', JSON.stringify(error.response.data, null, 2));
-      console.error('Заголовки ответа:', JSON.stringify(error.response.headers, null, 2));
-    } else if (error.request) {
-      console.error('Запрос был отправлен, но ответ не получен');
-      console.error('Детали запроса:', error.request);
-    } else {
-      console.error('Детали ошибки:', error.message);
+      logger.error('Ответ amoCRM с ошибкой', { status: error.response.status, response: error.response.data });
     }
     
     if (error.message.includes('Invalid URL') || error.code === 'ERR_INVALID_URL') {
       throw new Error(`Ошибка при отправке вебхука: Invalid URL - проверьте AMOCRM_SUBDOMAIN в .env`);
     }
     
-    // Формируем понятное сообщение об ошибке
-    let errorMessage = 'Ошибка при создании сделки в amoCRM';
-    if (error.response?.data) {
-      if (error.response.data.error) {
-        errorMessage = error.response.data.error;
-      } else if (error.response.data.detail) {
-        errorMessage = error.response.data.detail;
-      } else if (error.response.data.title) {
-        errorMessage = error.response.data.title;
-      } else if (typeof error.response.data === 'string') {
-        errorMessage = error.response.data;
-      } else {
-        errorMessage = `Ошибка API: ${JSON.stringify(error.response.data)}`;
-      }
-    } else {
-      errorMessage = error.message;
-    }
-    
-    throw new Error(errorMessage);
+    // Сохраняем код и ответ, чтобы очередь могла решить, повторять ли запрос
+    const wrappedError = new Error(getAmoCRMErrorMessage(error, 'Ошибка при создании сделки в amoCRM'));
+    wrappedError.code = error.code;
+    wrappedError.response = error.response;
+    throw wrappedError;
   }
 }
 
 /**
- * Обработчик вебхука от Sasha AI
+ * Поля компании для amoCRM
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {Object} options - { warnings } - массив для ошибок преобразования полей
+ * @returns {Object|null} - null, если в вебхуке нет названия компании
  */
-app.post('/webhook', async (req, res) => {
-  console.log('📥 Получен вебхук от Sasha AI');
+function buildCompanyFields(data, options = {}) {
+  const companyFields = applyMapping(data, companyMapping, { warnings: options.warnings });
+  return companyFields.name ? companyFields : null;
+}
+
+/**
+ * Поиск компании по названию и сайту или создание новой (см. companies.js)
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {Object} options - { responsibleUserId } - ответственный за новую компанию
+ * @returns {Promise<Object|null>} - { companyId, action: 'found' | 'created' } или null, если компании нет
+ */
+async function findOrCreateCompanyInAmoCRM(data, options = {}) {
+  if (!isCompaniesEnabled()) {
+    return null;
+  }
+  const companyFields = buildCompanyFields(data);
+  if (!companyFields) {
+    return null;
+  }
+  companyFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('companies', companyFields.custom_fields_values);
   
-  const signature = req.headers['x-webhook-signature'];
-  const payload = req.body; // Теперь это строка благодаря express.text()
-  const secret = process.env.WEBHOOK_SECRET;
+  const existingCompany = await findExistingCompany(companyFields);
+  if (existingCompany) {
+    return { companyId: existingCompany.id, action: 'found' };
+  }
+  
+  if (options.responsibleUserId) {
+    companyFields.responsible_user_id = options.responsibleUserId;
+  }
+  
+  logger.body('Данные компании для отправки в amoCRM', [companyFields]);
+  const response = await amocrmRequest('post', '/api/v4/companies', { data: [companyFields] });
+  const companyId = response?._embedded?.companies?.[0]?.id;
+  if (!companyId) {
+    throw new Error('amoCRM не вернул ID созданной компании');
+  }
+  return { companyId, action: 'created' };
+}
+
+/**
+ * Создание сделки вместе с новым контактом одним запросом POST /api/v4/leads/complex
+ * Используется при AMOCRM_LEAD_COMPLEX=true, если контакт не найден: при ошибке
+ * не остается контакта без сделки
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @param {Object} contactFields - Поля нового контакта (createOrUpdateContactInAmoCRM с deferCreate)
+ * @param {Object} options - { responsibleUserId, companyId } - ответственный за новую сделку и компания
+ *   (в leads/complex компания сделки привязывается и к контакту)
+ * @returns {Promise<Object>} - { leadId, contactId, contactAction: 'created' | 'merged', action: 'created' }
+ */
+async function createLeadWithContactInAmoCRM(data, contactFields, options = {}) {
+  const leadFields = buildLeadFields(data, null, options);
+  leadFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('leads', leadFields.custom_fields_values);
+  const leadData = [buildComplexLead(leadFields, contactFields)];
+  
+  logger.body('Данные сделки с контактом для отправки в amoCRM (leads/complex)', leadData);
+  const response = await amocrmRequest('post', '/api/v4/leads/complex', { data: leadData });
+  const created = parseComplexLeadResponse(response);
+  
+  if (created.merged) {
+    logger.info(`🔗 Контроль дублей amoCRM: контакт объединен с существующим ${created.contactId}`);
+  }
+  
+  return {
+    success: true,
+    leadId: created.leadId,
+    contactId: created.contactId,
+    contactAction: created.merged ? 'merged' : 'created',
+    action: 'created',
+    data: response
+  };
+}
+
+/**
+ * Вывод в лог настроек amoCRM (без секретов) для разбора ошибок доставки
+ */
+function logAmoCRMConfigDiagnostics() {
+  const tenant = getCurrentTenant();
+  if (tenant) {
+    logger.error(`Проверка настроек тенанта ${tenant.id}:`);
+    logger.error(`subdomain / baseUrl: ${tenant.subdomain || tenant.baseUrl ? '✅ установлен' : '❌ не установлен'}`);
+    logger.error(`accessToken: ${tenant.accessToken ? '✅ установлен' : '❌ не установлен'}`);
+  } else {
+    logger.error('Проверка переменных окружения:');
+    logger.error(`AMOCRM_SUBDOMAIN: ${process.env.AMOCRM_SUBDOMAIN ? '✅ установлен' : '❌ не установлен'}`);
+    logger.error(`AMOCRM_ACCESS_TOKEN: ${process.env.AMOCRM_ACCESS_TOKEN ? '✅ установлен' : '❌ не установлен'}`);
+  }
+  logger.error(`Токены OAuth amoCRM: ${tokenManager.getTokenInfo().source === 'oauth' ? '✅ получены' : '❌ не получены'}`);
+  const pipelineId = getEnv('AMOCRM_PIPELINE_ID');
+  logger.error(`AMOCRM_PIPELINE_ID: ${pipelineId ? `✅ установлен (${pipelineId})` : '❌ не установлен'}`);
+}
+
+/**
+ * Назначение ответственного: правила responsibleRules, очередь или фиксированный пользователь
+ */
+const responsibleAssigner = createResponsibleAssigner({
+  getRules: getResponsibleRules,
+  getValueByPath
+});
+
+/**
+ * Обработка данных вебхука: компания → контакт → сделка → запись звонка → примечания → задача
+ * Используется очередью доставки и тестовым endpoint
+ * @param {Object} data - Данные в формате вебхука от Sasha AI
+ * @returns {Promise<Object>} - ID и действия по созданным сущностям amoCRM
+ */
+async function processWebhookData(data) {
+  // Ответственный за контакт и сделку (responsible.js)
+  let responsibleUserId = null;
+  try {
+    const responsible = await responsibleAssigner.resolveResponsibleUser(data);
+    responsibleUserId = responsible.userId;
+    if (responsibleUserId) {
+      logger.info(`👤 Ответственный: ${responsibleUserId} (${responsible.source})`);
+    }
+  } catch (error) {
+    logger.error(`❌ Не удалось выбрать ответственного, используется владелец токена: ${error.message}`);
+  }
   
-  // Проверка наличия необходимых данных
-  if (!signature) {
-    return res.status(401).send('Отсутствует заголовок X-Webhook-Signature');
+  // Компания из contact.additionalFields.company привязывается к контакту и сделке
+  let companyId = null;
+  let companyAction = null;
+  try {
+    const companyResult = await findOrCreateCompanyInAmoCRM(data, { responsibleUserId });
+    if (companyResult) {
+      companyId = companyResult.companyId;
+      companyAction = companyResult.action;
+      logger.info(`✅ Компания ${companyAction === 'found' ? 'найдена' : 'создана'} в amoCRM: ${companyId}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Не удалось найти/создать компанию: ${error.message}`);
+    // Временные ошибки amoCRM прерывают обработку (задание будет повторено)
+    if (isRetryableError(error)) {
+      throw error;
+    }
+    logger.warn('⚠️ Продолжаем без компании');
   }
   
-  if (!secret) {
-    return res.status(500).send('WEBHOOK_SECRET не настроен');
+  logger.info('📋 Начинаем создание/обновление контакта в amoCRM');
+  
+  // Создание/обновление контакта в amoCRM
+  // В режиме leads/complex новый контакт создается вместе со сделкой
+  let contactId = null;
+  let contactAction = null;
+  let deferredContact = null;
+  try {
+    const contactResult = await createOrUpdateContactInAmoCRM(data, { responsibleUserId, companyId, deferCreate: isLeadComplexEnabled() });
+    if (contactResult.action === 'deferred') {
+      deferredContact = contactResult.contactFields;
+      logger.info('ℹ️ Контакт не найден - будет создан вместе со сделкой (leads/complex)');
+    } else {
+      contactId = contactResult.contactId;
+      contactAction = contactResult.action;
+      logger.info(`✅ Контакт ${contactAction === 'updated' ? 'обновлен' : 'создан'} в amoCRM: ${contactId}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Не удалось создать/обновить контакт: ${error.message}`);
+    // Ошибки настройки и временные ошибки amoCRM прерывают обработку (задание будет повторено)
+    if (error.message.includes('Invalid URL') || error.message.includes('не установлен') || isRetryableError(error)) {
+      throw error;
+    }
+    // Продолжаем создание сделки даже если контакт не создан
+    logger.warn('⚠️ Продолжаем создание сделки без контакта');
+  }
+  
+  logger.info('📋 Начинаем создание сделки в amoCRM');
+  
+  let result;
+  try {
+    if (deferredContact) {
+      result = await createLeadWithContactInAmoCRM(data, deferredContact, { responsibleUserId, companyId });
+      contactId = result.contactId;
+      contactAction = result.contactAction;
+      logger.info(`✅ Контакт ${contactAction === 'merged' ? 'объединен с существующим' : 'создан'} в amoCRM: ${contactId}`);
+    } else {
+      result = await createLeadInAmoCRM(data, contactId, { responsibleUserId, companyId });
+    }
+  } catch (error) {
+    // Контакт уже создан - сохраняем это в задании для разбора
+    error.partialResult = { contactId, contactAction, companyId, companyAction };
+    throw error;
+  }
+  logger.info(`✅ Сделка успешно ${result.action === 'updated' ? 'дополнена' : 'создана'} в amoCRM: ${result.leadId}`);
+  
+  // Запись звонка в файлах amoCRM вместо ссылки Sasha AI (AMOCRM_RECORDING_UPLOAD)
+  // Ошибка загрузки не ломает обработку - в примечании остается исходная ссылка
+  let recording = null;
+  if (isRecordingUploadEnabled()) {
+    try {
+      recording = await uploadCallRecording(result.leadId, data);
+      if (recording) {
+        logger.info(`✅ Запись звонка загружена в amoCRM и прикреплена к сделке: ${recording.fileUuid}`);
+      }
+    } catch (error) {
+      logger.error(`❌ Не удалось загрузить запись звонка в amoCRM, в примечании остается ссылка: ${error.message}`);
+    }
   }
   
-  if (!payload) {
-    return res.status(400).send('Тело запроса пустое');
+  // Примечания о звонке не должны ломать обработку - сделка уже создана
+  let noteIds = [];
+  try {
+    noteIds = await addCallNotesToLead(result.leadId, data, {
+      recordLink: recording?.link,
+      repeatCall: result.action === 'updated'
+    });
+    logger.info(`✅ Примечания к сделке добавлены: ${noteIds.length}`);
+  } catch (error) {
+    logger.error(`❌ Не удалось добавить примечания к сделке: ${error.message}`);
   }
   
+  // Задача по договоренности (call.agreements.agreements_time)
+  let taskId = null;
+  try {
+    // Ответственный за задачу по умолчанию - ответственный за сделку (у дополненной сделки - ее текущий)
+    taskId = await createFollowUpTask(result.leadId, data, {
+      responsibleUserId: result.responsibleUserId || responsibleUserId
+    });
+    if (taskId) {
+      logger.info(`✅ Задача по договоренности создана: ${taskId}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Не удалось создать задачу по договоренности: ${error.message}`);
+  }
   
+  return {
+    leadId: result.leadId,
+    leadAction: result.action,
+    contactId: contactId,
+    contactAction: contactAction,
+    companyId: companyId,
+    companyAction: companyAction,
+    responsibleUserId: responsibleUserId,
+    noteIds: noteIds,
+    recordingFileUuid: recording ? recording.fileUuid : null,
+    taskId: taskId,
+    data: result.data
+  };
+}
+
+/**
+ * Обработчики событий Sasha AI по маршрутам (см. eventRouter.js)
+ */
+const dispatchEvent = createEventDispatcher({
+  call_result: processWebhookData
+});
+
+/**
+ * Обработанные события Sasha AI (идемпотентность по ID события)
+ */
+const eventStore = createEventStore();
+
+/**
+ * Ключ события в eventStore: ID событий разных тенантов не пересекаются
+ * @param {String} eventId - ID события Sasha AI
+ * @param {String|null} tenantId - ID тенанта
+ */
+function getEventKey(eventId, tenantId) {
+  return tenantId ? `${tenantId}:${eventId}` : eventId;
+}
+
+/**
+ * Тенанты: аккаунты amoCRM со своими вебхуками (см. tenants.js)
+ * С ошибками в файле тенантов сервер не запускается - как и с ошибками в файле маппинга
+ */
+let tenantRegistry;
+try {
+  tenantRegistry = createTenantRegistry();
+} catch (error) {
+  logger.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * Метки метрик задания очереди
+ */
+function getJobMetricLabels(job) {
+  return { tenant: job.meta?.tenant || 'default', route: job.meta?.route || 'call_result' };
+}
+
+/**
+ * Очередь доставки вебхуков в amoCRM
+ * Задания тенанта, аккаунт которого отвечает ошибками, не задерживают задания других тенантов
+ */
+const deliveryQueue = createQueue({
+  getGroup: job => job.meta?.tenant || null,
+  // Записи лога доставки содержат ID корреляции вебхука (или ID задания для старых заданий)
+  runInContext: (job, callback) => runWithCorrelationId(job.meta?.correlationId || job.id, callback),
+  // Звонки одного контакта доставляются по очереди - иначе параллельные задания создадут дубликаты
+  getLockKey: job => {
+    const contact = job.payload?.contact || {};
+    const phone = String(contact.phone || '').replace(/\D/g, '').slice(-10);
+    const email = String(contact.additionalFields?.email || '').trim().toLowerCase();
+    const key = phone || email;
+    return key ? `${job.meta?.tenant || ''}:${key}` : null;
+  },
+  onSuccess: (job, result) => {
+    metrics.queueDelivered.inc(getJobMetricLabels(job));
+    if (job.meta?.eventId) {
+      eventStore.markDone(getEventKey(job.meta.eventId, job.meta.tenant), result);
+    }
+  },
+  onRetry: (job) => {
+    metrics.queueRetries.inc(getJobMetricLabels(job));
+  },
+  onDead: (job, error) => {
+    metrics.queueDeadLetters.inc(getJobMetricLabels(job));
+    if (job.meta?.eventId) {
+      eventStore.markFailed(getEventKey(job.meta.eventId, job.meta.tenant), error);
+    }
+  },
+  handler: async (job) => {
+    const route = job.meta?.route || 'call_result';
+    const tenant = job.meta?.tenant ? tenantRegistry.get(job.meta.tenant) : null;
+    if (job.meta?.tenant && !tenant) {
+      throw new Error(`Тенант ${job.meta.tenant} не найден - задание не может быть доставлено`);
+    }
+    logger.info(`📤 Доставка задания ${job.id} (${route}${tenant ? `, тенант ${tenant.id}` : ''}) в amoCRM (попытка ${job.attempts})`);
+    try {
+      return await runWithTenant(tenant, () => dispatchEvent(route, job.payload));
+    } catch (error) {
+      if (error.response) {
+        logger.error('Ответ amoCRM с ошибкой', { status: error.response.status, response: error.response.data });
+      }
+      runWithTenant(tenant, logAmoCRMConfigDiagnostics);
+      throw error;
+    }
+  }
+});
+
+/**
+ * Проверка повторной доставки события
+ * @param {String} eventId - ID события Sasha AI
+ * @param {String|null} tenantId - ID тенанта вебхука
+ * @returns {Object|null} - { statusCode, body } ответа для дубликата или null, если событие новое
+ */
+function handleDuplicateEvent(eventId, tenantId = null) {
+  const eventKey = getEventKey(eventId, tenantId);
+  const record = eventStore.get(eventKey);
+  if (!record) {
+    return null;
+  }
+
+  if (record.status === 'done') {
+    logger.info(`♻️ Событие ${eventId} уже обработано: сделка ${record.leadId}, контакт ${record.contactId}`);
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        duplicate: true,
+        message: 'Событие уже обработано',
+        eventId: eventId,
+        leadId: record.leadId,
+        contactId: record.contactId,
+        leadAction: record.leadAction
+      }
+    };
+  }
+
+  const job = record.jobId ? deliveryQueue.getJob(record.jobId) : null;
+  if (!job) {
+    // Задание удалено (например, через /admin) - обрабатываем событие заново
+    return null;
+  }
+
+  if (record.status === 'failed' && job.status === 'dead') {
+    deliveryQueue.retryJob(job.id);
+    eventStore.markInFlight(eventKey, job.id);
+    logger.info(`🔁 Повторная доставка события ${eventId}: задание ${job.id} возвращено в очередь`);
+  } else {
+    logger.info(`🔒 Событие ${eventId} уже в обработке (задание ${job.id})`);
+  }
+
+  return {
+    statusCode: 200,
+    body: {
+      success: true,
+      duplicate: true,
+      message: 'Событие уже принято и находится в очереди доставки',
+      eventId: eventId,
+      queued: true,
+      jobId: job.id
+    }
+  };
+}
+
+/**
+ * Результат вебхука по HTTP-статусу ответа (если обработчик не указал его явно)
+ */
+const WEBHOOK_OUTCOMES_BY_STATUS = {
+  200: 'accepted',
+  400: 'invalid',
+  401: 'unauthorized',
+  403: 'tenant_disabled',
+  404: 'unknown_tenant',
+  422: 'schema_rejected'
+};
+
+/**
+ * Метка тенанта для метрик: только зарегистрированные тенанты,
+ * произвольный путь /webhook/<id> не создает новых рядов метрики
+ */
+function getWebhookTenantLabel(req) {
+  if (req.tenant) {
+    return req.tenant.id;
+  }
+  if (!req.params.tenant) {
+    return 'default';
+  }
+  return tenantRegistry.get(req.params.tenant)?.id || 'unknown';
+}
+
+/**
+ * Middleware учета вебхуков в метрике sasha_webhooks_received_total
+ * Тип события и результат обработчик записывает в res.locals (webhookEventType, webhookOutcome)
+ */
+function trackWebhookMetrics(req, res, next) {
+  res.on('finish', () => {
+    metrics.webhooksReceived.inc({
+      tenant: getWebhookTenantLabel(req),
+      type: res.locals.webhookEventType || 'unknown',
+      outcome: res.locals.webhookOutcome || WEBHOOK_OUTCOMES_BY_STATUS[res.statusCode] || (res.statusCode >= 500 ? 'error' : String(res.statusCode))
+    });
+  });
+  next();
+}
+
+/**
+ * Обработчик вебхука от Sasha AI
+ * Вебхук сохраняется в очередь и сразу подтверждается, доставка в amoCRM - в фоне
+ * /webhook/:tenant - вебхук тенанта (подписывается секретом тенанта, доставляется в его аккаунт)
+ */
+app.post(['/webhook', '/webhook/:tenant'], trackWebhookMetrics, resolveWebhookTenant, verifyWebhookRequest, async (req, res) => {
+  const tenantId = req.tenant ? req.tenant.id : null;
+  logger.info(`📥 Получен вебхук от Sasha AI${tenantId ? ` (тенант ${tenantId})` : ''} (подпись проверена)`);
+  
+  const payload = req.body; // Теперь это строка благодаря express.text()
 
   try {
     let data;
     try {
-      console.log('🔍 Начинаем парсинг JSON...');
+      logger.info('🔍 Начинаем парсинг JSON...');
       data = JSON.parse(payload);
-      console.log('✅ JSON успешно распарсен');
+      logger.info('✅ JSON успешно распарсен');
     } catch (parseError) {
-      console.error('❌ Ошибка парсинга JSON:', parseError.message);
-      console.error('Первые 500 символов payload:', payload?.substring(0, 500));
+      logger.error(`❌ Ошибка парсинга JSON: ${parseError.message}`);
+      logger.body('Первые 500 символов payload', payload?.substring(0, 500));
       return res.status(400).json({
         success: false,
         error: 'Ошибка парсинга JSON',
@@ -379,138 +893,104 @@ app.post('/webhook', async (req, res) => {
     }
     
     // Валидация наличия данных
-    console.log('🔍 Проверка наличия данных...');
+    logger.info('🔍 Проверка наличия данных...');
     if (!data || Object.keys(data).length === 0) {
-      console.error('❌ Данные не предоставлены или пусты');
+      logger.error('❌ Данные не предоставлены или пусты');
       return res.status(400).json({
         success: false,
         error: 'Данные не предоставлены. Отправьте JSON в теле запроса'
       });
     }
-    console.log('✅ Данные присутствуют, ключи:', Object.keys(data).join(', '));
+    logger.info(`✅ Данные присутствуют, ключи: ${Object.keys(data).join(', ')}`);
     
-    // Валидация обязательных полей
-    console.log('🔍 Проверка обязательных полей (contact, call)...');
-    if (!data.contact || !data.call) {
-      console.error('❌ Отсутствуют обязательные поля: contact или call');
-      console.error('   contact:', data.contact ? '✅ присутствует' : '❌ отсутствует');
-      console.error('   call:', data.call ? '✅ присутствует' : '❌ отсутствует');
-      return res.status(400).json({
-        success: false,
-        error: 'Отсутствуют обязательные поля: contact или call'
+    // Маршрут по типу события
+    const { route, eventType, missing } = resolveEventRoute(data, req.headers);
+    // Неизвестный тип не попадает в метку метрики - иначе произвольные значения раздуют число серий
+    res.locals.webhookEventType = route ? (eventType || route) : 'unknown';
+    if (!route) {
+      res.locals.webhookOutcome = 'unknown_type';
+      logger.warn(`⚠️ Неизвестный тип события "${eventType}" - вебхук подтвержден без обработки`);
+      return res.json({
+        success: true,
+        ignored: true,
+        eventType: eventType,
+        message: `Тип события "${eventType}" не обрабатывается`
       });
     }
-    console.log('✅ Обязательные поля присутствуют');
-    console.log('📋 Начинаем создание/обновление контакта в amoCRM');
-    
-    // Создание/обновление контакта в amoCRM
-    let contactId = null;
-    try {
-      const contactResult = await createOrUpdateContactInAmoCRM(data);
-      contactId = contactResult.contactId;
-      console.log(`✅ Контакт создан/обновлен в amoCRM: ${contactId}`);
-    } catch (error) {
-      console.error('❌ Не удалось создать/обновить контакт:', error.message);
-      // Если ошибка связана с URL или обязательными полями, прерываем выполнение
-      if (error.message.includes('Invalid URL') || error.message.includes('не установлен')) {
-        return res.status(400).json({
-          success: false,
-          message: error.message
-        });
-      }
-      // Продолжаем создание сделки даже если контакт не создан
-      console.warn('⚠️ Продолжаем создание сделки без контакта');
-    }
-    
-    console.log('📋 Начинаем создание сделки в amoCRM');
-    
-    // Создание сделки в amoCRM
-    try {
-      const result = await createLeadInAmoCRM(data, contactId);
-      console.log(`✅ Сделка успешно создана в amoCRM: ${result.leadId}`);
-      
-      res.json({
+    if (route === 'ignored') {
+      res.locals.webhookOutcome = 'ignored';
+      logger.info(`ℹ️ Служебное событие "${eventType}" - обработка не требуется`);
+      return res.json({
         success: true,
-        message: 'Сделка успешно создана в amoCRM',
-        leadId: result.leadId,
-        contactId: contactId,
-        data: result.data
+        ignored: true,
+        eventType: eventType,
+        message: `Событие "${eventType}" не требует обработки`
       });
-    } catch (error) {
-      // Если ошибка связана с URL, возвращаем понятное сообщение
-      if (error.message.includes('Invalid URL')) {
-        return res.status(400).json({
-          success: false,
-          message: error.message
-        });
-      }
-      throw error; // Пробрасываем другие ошибки дальше
     }
-  } catch (error) {
-    console.error('❌❌❌ КРИТИЧЕСКАЯ ОШИБКА при обработке запроса:');
-    console.error('Тип ошибки:', error.constructor.name);
-    console.error('Сообщение:', error.message);
-    console.error('Stack:', error.stack);
+    logger.info(`🧭 Тип события: ${eventType || 'не указан'} → маршрут ${route}`);
     
-    // Если ошибка при парсинге JSON
-    if (error instanceof SyntaxError) {
-      console.error('❌ Ошибка парсинга JSON:', error.message);
-      if (payload) {
-        console.error('Попытка распарсить:', payload.substring(0, 200));
-      }
+    // Валидация обязательных полей маршрута
+    if (missing.length > 0) {
+      logger.error(`❌ Отсутствуют обязательные поля: ${missing.join(', ')}`);
+      return res.status(400).json({
+        success: false,
+        error: `Отсутствуют обязательные поля: ${missing.join(', ')}`
+      });
     }
+    logger.info('✅ Обязательные поля присутствуют');
     
-    // Логируем детали ошибки от amoCRM, если есть
-    if (error.response) {
-      console.error('Статус ответа:', error.response.status);
-      console.error('Данные ответа:', JSON.stringify(error.response.data, null, 2));
-      console.error('Заголовки ответа:', JSON.stringify(error.response.headers, null, 2));
-    } else if (error.request) {
-      console.error('Запрос был отправлен, но ответ не получен');
-      console.error('Детали запроса:', error.request);
+    // Проверка типов полей по схеме данных Sasha AI (payloadSchema.js)
+    const schemaRejection = checkWebhookPayload(data, req.headers);
+    if (schemaRejection) {
+      return res.status(schemaRejection.statusCode).json(schemaRejection.body);
     }
     
-    // Логируем переменные окружения (без секретов)
-    console.error('Проверка переменных окружения:');
-    console.error('AMOCRM_SUBDOMAIN:', process.env.AMOCRM_SUBDOMAIN ? '✅ установлен' : '❌ не установлен');
-    console.error('AMOCRM_ACCESS_TOKEN:', process.env.AMOCRM_ACCESS_TOKEN ? '✅ установлен' : '❌ не установлен');
-    console.error('AMOCRM_PIPELINE_ID:', process.env.AMOCRM_PIPELINE_ID ? `✅ установлен (${process.env.AMOCRM_PIPELINE_ID})` : '❌ не установлен');
+    // Повторная доставка события: возвращаем исходный результат без обращения к amoCRM
+    // (ID из подписанного тела, без id - хеш тела, см. webhookAuth.js)
+    const eventId = req.webhookEventId;
+    const duplicate = handleDuplicateEvent(eventId, tenantId);
+    if (duplicate) {
+      res.locals.webhookOutcome = 'duplicate';
+      return res.status(duplicate.statusCode).json(duplicate.body);
+    }
     
-    // Определяем статус код на основе типа ошибки
-    let statusCode = 500;
-    let errorMessage = error.message || 'Внутренняя ошибка сервера';
+    // Сохраняем в очередь - после записи на диск вебхук не потеряется
+    // Между проверкой и постановкой в очередь нет await, поэтому параллельный дубликат не пройдет
+    const job = deliveryQueue.enqueue(data, {
+      eventId: eventId,
+      eventType: eventType,
+      route: route,
+      callListId: req.headers['x-call-list-id'] || null,
+      tenant: tenantId,
+      correlationId: getCorrelationId()
+    });
+    eventStore.markInFlight(getEventKey(eventId, tenantId), job.id);
+    logger.info(`📦 Вебхук поставлен в очередь доставки: ${job.id}`);
     
-    if (error.message.includes('Invalid URL')) {
-      statusCode = 400;
-    } else if (error.message.includes('не установлен')) {
-      statusCode = 500;
-    } else if (error.response) {
-      // Если есть ответ от API, используем его статус
-      statusCode = error.response.status || 500;
-      // Формируем понятное сообщение об ошибке
-      if (error.response.data) {
-        if (error.response.data.error) {
-          errorMessage = error.response.data.error;
-        } else if (error.response.data.detail) {
-          errorMessage = error.response.data.detail;
-        } else if (typeof error.response.data === 'string') {
-          errorMessage = error.response.data;
-        } else {
-          errorMessage = `Ошибка API: ${JSON.stringify(error.response.data)}`;
-        }
-      }
-    }
+    res.locals.webhookOutcome = 'queued';
+    res.json({
+      success: true,
+      message: 'Вебхук принят и поставлен в очередь доставки в amoCRM',
+      queued: true,
+      route: route,
+      jobId: job.id
+    });
+  } catch (error) {
+    logger.error('❌❌❌ КРИТИЧЕСКАЯ ОШИБКА при постановке вебхука в очередь:');
+    logger.error(`Тип ошибки: ${error.constructor.name}`);
+    logger.error(`Сообщение: ${error.message}`);
+    logger.error(`Stack: ${error.stack}`);
     
-    res.status(statusCode).json({
+    // 5xx - Sasha AI повторит доставку
+    res.status(500).json({
       success: false,
-      message: `Ошибка при отправке вебхука: ${errorMessage}`,
-      error: errorMessage,
-      statusCode: statusCode,
+      message: `Ошибка при сохранении вебхука: ${error.message}`,
+      error: error.message,
+      statusCode: 500,
       ...(process.env.NODE_ENV === 'development' && {
         details: {
           type: error.constructor.name,
-          stack: error.stack,
-          response: error.response?.data
+          stack: error.stack
         }
       })
     });
@@ -546,27 +1026,16 @@ app.post('/test/amocrm/lead', async (req, res) => {
       });
     }
 
-    // Создание/обновление контакта в amoCRM
-    let contactId = null;
-    try {
-      const contactResult = await createOrUpdateContactInAmoCRM(data);
-      contactId = contactResult.contactId;
-      console.log(`Тестовый контакт создан/обновлен в amoCRM: ${contactId}`);
-    } catch (error) {
-      console.warn('Не удалось создать/обновить тестовый контакт:', error.message);
-    }
-
-    const result = await createLeadInAmoCRM(data, contactId);
+    // Доставка без очереди - результат возвращается сразу
+    const result = await processWebhookData(data);
 
     return res.json({
       success: true,
-      message: 'Тестовая сделка успешно создана в amoCRM',
-      leadId: result.leadId,
-      contactId: contactId,
-      data: result.data
+      message: result.leadAction === 'updated' ? 'Звонок добавлен в открытую тестовую сделку amoCRM' : 'Тестовая сделка успешно создана в amoCRM',
+      ...result
     });
   } catch (error) {
-    console.error('Ошибка при тестовой отправке в amoCRM:', error);
+    logger.error('Ошибка при тестовой отправке в amoCRM', { error });
     return res.status(500).json({
       success: false,
       error: error.message || 'Внутренняя ошибка сервера'
@@ -574,6 +1043,196 @@ app.post('/test/amocrm/lead', async (req, res) => {
   }
 });
 
+/**
+ * Предпросмотр запросов к amoCRM по данным вебхука
+ * Повторяет решения processWebhookData и обработчиков событий, но ничего не отправляет:
+ * ID, которые станут известны только после ответа amoCRM, заменены на {contactId} / {leadId}
+ * @param {Object} data - Данные вебхука
+ * @param {Object} headers - Заголовки запроса
+ * @returns {Promise<Object>} - { decisions, requests, warnings }
+ */
+async function buildWebhookPreview(data, headers = {}) {
+  const warnings = [];
+  const requests = {};
+  const { route, eventType, missing } = resolveEventRoute(data, headers);
+  const schema = validatePayload(data, headers);
+  const decisions = {
+    eventType,
+    route: route || 'unknown',
+    missingFields: missing,
+    schema: { mode: getSchemaMode(), version: schema.version, errors: schema.errors }
+  };
+
+  if (!route || route === 'ignored' || missing.length > 0) {
+    return { decisions, requests, warnings };
+  }
+
+  if (route === 'call_failed') {
+    decisions.contactLookup = 'Контакт ищется по телефону/email; если не найден - событие пропускается';
+    const { update, notes } = buildFailedCallRequests(data);
+    if (update) {
+      requests.contactUpdate = { method: 'PATCH', path: '/api/v4/contacts/{contactId}', body: update };
+    }
+    requests.notes = { method: 'POST', path: '/api/v4/contacts/{contactId}/notes', body: notes };
+    return { decisions, requests, warnings };
+  }
+
+  if (route === 'call_list_finished') {
+    const summaryLeadId = parseInt(getEnv('AMOCRM_CALL_LIST_SUMMARY_LEAD_ID')) || null;
+    decisions.summaryLeadId = summaryLeadId;
+    if (summaryLeadId) {
+      requests.notes = { method: 'POST', path: `/api/v4/leads/${summaryLeadId}/notes`, body: [buildCallListSummaryNote(data)] };
+    }
+    return { decisions, requests, warnings };
+  }
+
+  const responsible = await responsibleAssigner.resolveResponsibleUser(data, { dryRun: true });
+  decisions.responsible = responsible;
+  decisions.pipeline = resolveLeadPipeline(data);
+  decisions.leadDedup = getLeadDedupPolicy();
+  decisions.recordingUpload = isRecordingUploadEnabled() && Boolean(data.call?.recordUrl);
+  decisions.contactLookup = isLeadComplexEnabled()
+    ? 'Контакт ищется по телефону/email: найденный обновляется (PATCH), иначе создается вместе со сделкой (leads/complex)'
+    : 'Контакт ищется по телефону/email: найденный обновляется (PATCH), иначе создается новый';
+
+  const companyFields = isCompaniesEnabled() ? buildCompanyFields(data, { warnings }) : null;
+  const companyId = companyFields ? '{companyId}' : null;
+  if (companyFields) {
+    decisions.companyLookup = 'Компания ищется по названию, затем по сайту: найденная привязывается к контакту и сделке, иначе создается новая';
+    companyFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('companies', companyFields.custom_fields_values, { cachedOnly: true, warnings });
+    if (responsible.userId) {
+      companyFields.responsible_user_id = responsible.userId;
+    }
+    requests.company = { method: 'POST', path: '/api/v4/companies', body: [companyFields] };
+  }
+
+  const contactFields = buildContactFields(data, { warnings });
+  contactFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('contacts', contactFields.custom_fields_values, { cachedOnly: true, warnings });
+  if (responsible.userId) {
+    contactFields.responsible_user_id = responsible.userId;
+  }
+  // В leads/complex компания передается в сделке, а не в контакте
+  const contactBody = companyId
+    ? { ...contactFields, _embedded: { ...contactFields._embedded, companies: [{ id: companyId }] } }
+    : contactFields;
+  requests.contact = { method: 'POST', path: '/api/v4/contacts', body: [contactBody] };
+
+  const leadFields = buildLeadFields(data, null, { responsibleUserId: responsible.userId, companyId, warnings });
+  leadFields.custom_fields_values = await customFieldsResolver.resolveCustomFieldsValues('leads', leadFields.custom_fields_values, { cachedOnly: true, warnings });
+  leadFields._embedded = { ...leadFields._embedded, contacts: [{ id: '{contactId}', is_main: true }] };
+  requests.lead = { method: 'POST', path: '/api/v4/leads', body: [leadFields] };
+  
+  // Новый контакт и сделка одним запросом вместо requests.contact и requests.lead
+  decisions.leadComplex = isLeadComplexEnabled();
+  if (decisions.leadComplex) {
+    const { contacts, ...embedded } = leadFields._embedded;
+    requests.leadComplex = {
+      method: 'POST',
+      path: '/api/v4/leads/complex',
+      body: [buildComplexLead({ ...leadFields, _embedded: embedded }, contactFields)]
+    };
+  }
+
+  const notes = buildLeadNotes(data);
+  if (notes.length > 0) {
+    requests.notes = { method: 'POST', path: '/api/v4/leads/{leadId}/notes', body: notes };
+  }
+
+  const task = buildLeadTask('{leadId}', data, { responsibleUserId: responsible.userId });
+  if (task) {
+    requests.task = { method: 'POST', path: '/api/v4/tasks', body: [task] };
+  }
+
+  requests.tags = {
+    contact: contactFields._embedded?.tags || [],
+    lead: leadFields._embedded?.tags || []
+  };
+
+  return { decisions, requests, warnings };
+}
+
+/**
+ * Тестовый endpoint: предпросмотр запросов к amoCRM без отправки.
+ *
+ * Использование:
+ * - POST /test/amocrm/preview
+ * - Authorization: Bearer <ADMIN_TOKEN> (ответ раскрывает настройки маппинга, ID полей и ответственных)
+ * - Content-Type: application/json
+ * - Body: JSON в формате вебхука Sasha AI (тип события и X-Webhook-Event учитываются)
+ *
+ * Возвращает тела запросов компании, контакта, сделки, примечаний, задачи и теги, принятые решения
+ * (маршрут, воронка, ответственный, схема) и предупреждения маппинга. amoCRM не вызывается.
+ */
+app.post('/test/amocrm/preview', requireAdminToken, async (req, res) => {
+  const data = req.body;
+  if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Данные не предоставлены. Отправьте JSON в теле запроса'
+    });
+  }
+
+  try {
+    const preview = await buildWebhookPreview(data, req.headers);
+    res.json({ success: true, dryRun: true, ...preview });
+  } catch (error) {
+    // Ошибка маппинга (например, нет названия сделки) - вебхук не был бы доставлен
+    res.status(422).json({ success: false, dryRun: true, error: error.message });
+  }
+});
+
+/**
+ * Административные endpoints: недоставленные вебхуки и тенанты
+ */
+app.use('/admin', createAdminRouter({ queue: deliveryQueue, tenants: tenantRegistry }));
+
+/**
+ * Callback OAuth 2.0 amoCRM (указывается как AMOCRM_REDIRECT_URI в настройках интеграции)
+ * amoCRM перенаправляет сюда с параметром code, который обменивается на токены
+ */
+app.get(['/oauth/amocrm/callback', '/oauth/amocrm/callback/:tenant'], async (req, res) => {
+  const { code, state } = req.query;
+
+  // Callback интеграции тенанта: токены сохраняются в его аккаунт (DATA_DIR/tenants/<id>)
+  const tenant = req.params.tenant ? tenantRegistry.get(req.params.tenant) : null;
+  if (req.params.tenant && !tenant) {
+    return res.status(404).json({
+      success: false,
+      error: `Тенант ${req.params.tenant} не найден`
+    });
+  }
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: 'Отсутствует параметр code'
+    });
+  }
+
+  if (process.env.AMOCRM_OAUTH_STATE && state !== process.env.AMOCRM_OAUTH_STATE) {
+    return res.status(401).json({
+      success: false,
+      error: 'Некорректный параметр state'
+    });
+  }
+
+  try {
+    const tokens = await runWithTenant(tenant, () => tokenManager.exchangeAuthorizationCode(String(code)));
+    logger.info(`✅ Авторизация amoCRM выполнена${tenant ? ` (тенант ${tenant.id})` : ''}, токены сохранены`);
+    res.json({
+      success: true,
+      message: 'Авторизация amoCRM выполнена',
+      expiresAt: new Date(tokens.expires_at).toISOString()
+    });
+  } catch (error) {
+    logger.error(`❌ Ошибка авторизации amoCRM: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Health check endpoint
  */
@@ -581,10 +1240,50 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    service: 'sasha-webhook-to-amocrm'
+    service: 'sasha-webhook-to-amocrm',
+    tenants: tenantRegistry.list().length
   });
 });
 
+/**
+ * Метрики Prometheus (см. metrics.js)
+ * При заданном METRICS_TOKEN требуется заголовок Authorization: Bearer <METRICS_TOKEN>
+ */
+app.get('/metrics', (req, res) => {
+  const metricsToken = process.env.METRICS_TOKEN;
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (metricsToken && !crypto.timingSafeEqual(digest(token), digest(metricsToken))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Неверный или отсутствующий токен метрик'
+    });
+  }
+  
+  // Состояние очереди и токенов вычисляется на момент запроса
+  metrics.queueJobs.reset();
+  const jobCounts = { pending: 0, processing: 0, dead: 0 };
+  deliveryQueue.listJobs().forEach(job => {
+    jobCounts[job.status] = (jobCounts[job.status] || 0) + 1;
+  });
+  Object.entries(jobCounts).forEach(([status, count]) => metrics.queueJobs.set({ status }, count));
+  
+  metrics.tokenExpiresAt.reset();
+  [null, ...tenantRegistry.list()].forEach(tenant => {
+    const tokenInfo = runWithTenant(tenant, () => tokenManager.getTokenInfo());
+    if (tokenInfo.expiresAt) {
+      metrics.tokenExpiresAt.set(
+        { tenant: tenant ? tenant.id : 'default', source: tokenInfo.source },
+        Math.floor(tokenInfo.expiresAt / 1000)
+      );
+    }
+  });
+  
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+});
+
 /**
  * Обработчик корневого пути
  */
@@ -594,8 +1293,14 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       webhook: 'POST /webhook - Прием вебхуков от Sasha AI',
+      tenantWebhook: 'POST /webhook/:tenant - Прием вебхуков тенанта',
       test: 'POST /test/amocrm/lead - Тестовый endpoint для отправки сделки',
-      health: 'GET /health - Проверка работоспособности сервера'
+      preview: 'POST /test/amocrm/preview - Предпросмотр запросов к amoCRM без отправки',
+      oauth: 'GET /oauth/amocrm/callback - Callback OAuth 2.0 amoCRM',
+      admin: 'GET /admin/deliveries - Недоставленные вебхуки (требуется ADMIN_TOKEN)',
+      tenants: 'GET /admin/tenants - Тенанты (требуется ADMIN_TOKEN)',
+      health: 'GET /health - Проверка работоспособности сервера',
+      metrics: 'GET /metrics - Метрики Prometheus'
     },
     message: 'Для отправки вебхуков используйте POST /webhook'
   });
@@ -611,8 +1316,14 @@ app.use((req, res) => {
     message: `Путь ${req.method} ${req.path} не существует`,
     availableEndpoints: {
       webhook: 'POST /webhook',
+      tenantWebhook: 'POST /webhook/:tenant',
       test: 'POST /test/amocrm/lead',
-      health: 'GET /health'
+      preview: 'POST /test/amocrm/preview',
+      oauth: 'GET /oauth/amocrm/callback',
+      admin: 'GET /admin/deliveries',
+      tenants: 'GET /admin/tenants',
+      health: 'GET /health',
+      metrics: 'GET /metrics'
     }
   });
 });
@@ -621,8 +1332,7 @@ app.use((req, res) => {
  * Глобальный обработчик ошибок
  */
 app.use((err, req, res, next) => {
-  console.error('Глобальная ошибка:', err);
-  console.error('Stack:', err.stack);
+  logger.error('Глобальная ошибка', { error: err });
   
   res.status(err.status || 500).json({
     success: false,
@@ -632,18 +1342,49 @@ app.use((err, req, res, next) => {
 });
 
 // Запуск сервера
+// Файл декларативного маппинга проверяется до запуска: с ошибками в маппинге вебхуки обрабатывать нельзя
+try {
+  initMappingConfig(getValueByPath);
+} catch (error) {
+  logger.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
-  console.log(`🚀 Сервер запущен на порту ${PORT}`);
+  logger.info(`🚀 Сервер запущен на порту ${PORT}`);
+  
+  deliveryQueue.start();
+  
+  const tenants = tenantRegistry.list();
+  if (tenants.length > 0) {
+    logger.info(`🏢 Тенанты: ${tenants.map(tenant => `${tenant.id}${tenant.enabled === false ? ' (отключен)' : ''}`).join(', ')}`);
+  }
   
   if (!process.env.WEBHOOK_SECRET) {
-    console.warn('⚠️  ВНИМАНИЕ: WEBHOOK_SECRET не установлен. Проверка подписи отключена!');
+    logger.warn('⚠️  ВНИМАНИЕ: WEBHOOK_SECRET не установлен. Все вебхуки будут отклонены!');
+  }
+  
+  if (!process.env.AMOCRM_SUBDOMAIN && !process.env.AMOCRM_BASE_URL) {
+    logger.warn('⚠️  ВНИМАНИЕ: AMOCRM_SUBDOMAIN не установлен. Отправка в amoCRM не будет работать!');
   }
   
-  if (!process.env.AMOCRM_SUBDOMAIN) {
-    console.warn('⚠️  ВНИМАНИЕ: AMOCRM_SUBDOMAIN не установлен. Отправка в amoCRM не будет работать!');
+  const tokenInfo = tokenManager.getTokenInfo();
+  if (tokenInfo.source === 'oauth') {
+    logger.info(`🔑 Используются OAuth-токены amoCRM (access token до ${new Date(tokenInfo.expiresAt).toISOString()})`);
+  } else if (tokenManager.isOAuthConfigured() && process.env.AMOCRM_AUTH_CODE) {
+    // Код авторизации живет 20 минут - обмениваем его сразу при запуске
+    tokenManager.getAccessToken()
+      .then(() => logger.info('✅ AMOCRM_AUTH_CODE обменян на токены amoCRM'))
+      .catch(error => logger.error(`❌ Не удалось обменять AMOCRM_AUTH_CODE: ${error.message}`));
+  } else if (!process.env.AMOCRM_ACCESS_TOKEN) {
+    logger.warn('⚠️  ВНИМАНИЕ: AMOCRM_ACCESS_TOKEN не установлен и OAuth-авторизация не выполнена. Отправка в amoCRM не будет работать!');
+  } else {
+    logger.warn('⚠️  ВНИМАНИЕ: используется статический AMOCRM_ACCESS_TOKEN без автоматического обновления');
   }
   
-  if (!process.env.AMOCRM_ACCESS_TOKEN) {
-    console.warn('⚠️  ВНИМАНИЕ: AMOCRM_ACCESS_TOKEN не установлен. Отправка в amoCRM не будет работать!');
+  // Отчет о кастомных полях: отсутствующие в amoCRM и неподходящего типа
+  if ((process.env.AMOCRM_SUBDOMAIN || process.env.AMOCRM_BASE_URL) && process.env.AMOCRM_FIELDS_CHECK !== 'false') {
+    customFieldsResolver.checkConfiguredFields()
+      .catch(error => logger.warn(`⚠️ Не удалось проверить кастомные поля amoCRM: ${error.message}`));
   }
 });
@@ -0,0 +1,62 @@
+/**
+ * ЛОКАЛЬНОЕ ХРАНИЛИЩЕ: JSON-файлы в каталоге данных
+ *
+ * Используется для состояния, которое должно переживать перезапуск сервера
+ * (токены amoCRM и т.д.). Каталог задается переменной DATA_DIR (по умолчанию ./data).
+ * Запись атомарная: сначала во временный файл, затем rename.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Путь к каталогу данных
+ */
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+}
+
+/**
+ * Абсолютный путь к файлу в каталоге данных
+ * @param {String} fileName - Имя файла или абсолютный путь
+ */
+function resolveDataPath(fileName) {
+  return path.isAbsolute(fileName) ? fileName : path.join(getDataDir(), fileName);
+}
+
+/**
+ * Чтение JSON-файла
+ * @param {String} filePath - Путь к файлу
+ * @param {*} fallback - Значение, если файла нет
+ * @returns {*}
+ */
+function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Не удалось прочитать файл ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Атомарная запись JSON-файла
+ * @param {String} filePath - Путь к файлу
+ * @param {*} data - Данные для записи
+ * @param {Object} options - { mode } - права доступа к файлу (например, 0o600 для секретов)
+ */
+function writeJsonFile(filePath, data, options = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: options.mode || 0o644 });
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  getDataDir,
+  resolveDataPath,
+  readJsonFile,
+  writeJsonFile
+};
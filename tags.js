@@ -0,0 +1,112 @@
+/**
+ * ТЕГИ СДЕЛОК И КОНТАКТОВ
+ *
+ * Теги собираются по tagMapping (mapping.js):
+ * - теги контакта из вебхука (contact.tags) передаются как есть;
+ * - шаблоны ('AI-звонок', 'interest:{call.agreements.interest_level}') заполняются данными
+ *   вебхука, шаблон без данных пропускается;
+ * - затем теги нормализуются (пробелы, регистр, длина), повторы удаляются,
+ *   применяются списки allow / deny.
+ */
+
+const { tagMapping, renderTemplate, getValueByPath } = require('./mapping');
+
+/**
+ * Теги из вебхука: массив строк или объектов { name }, либо строка через запятую
+ */
+function readSourceTags(value) {
+  if (!value) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items
+    .map(item => (item && typeof item === 'object' ? item.name : item))
+    .filter(item => item !== null && item !== undefined)
+    .map(String);
+}
+
+/**
+ * Приведение тега к единому виду
+ * @param {String} tag
+ * @param {Object} rules - { lowercase, maxLength }
+ * @returns {String|null}
+ */
+function normalizeTag(tag, rules = {}) {
+  let name = String(tag).replace(/\s+/g, ' ').trim();
+  if (rules.lowercase) {
+    name = name.toLowerCase();
+  }
+  if (rules.maxLength && name.length > rules.maxLength) {
+    name = name.substring(0, rules.maxLength).trim();
+  }
+  return name || null;
+}
+
+/**
+ * Совпадение тега с шаблоном списка (без учета регистра, * - любые символы)
+ */
+function matchesTagPattern(tag, pattern) {
+  const escaped = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`, 'i').test(tag);
+}
+
+/**
+ * Теги для сущности amoCRM
+ * @param {Object} data - Данные вебхука
+ * @param {String} target - 'lead' или 'contact'
+ * @param {Object} mapping - Настройки (по умолчанию tagMapping)
+ * @returns {Array<{ name: String }>}
+ */
+function buildTags(data, target, mapping = tagMapping) {
+  if (!mapping.enabled) {
+    return [];
+  }
+
+  const sourceTags = mapping.passThrough?.includes(target)
+    ? readSourceTags(getValueByPath(data, mapping.source))
+    : [];
+  const templateTags = (mapping[target] || []).map(template => renderTemplate(template, data));
+
+  const allow = mapping.allow || [];
+  const deny = mapping.deny || [];
+  const seen = new Set();
+
+  return [...sourceTags, ...templateTags]
+    .map(tag => normalizeTag(tag, mapping.normalize))
+    .filter(tag => {
+      if (!tag) {
+        return false;
+      }
+      const key = tag.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      if (allow.length > 0 && !allow.some(pattern => matchesTagPattern(tag, pattern))) {
+        return false;
+      }
+      return !deny.some(pattern => matchesTagPattern(tag, pattern));
+    })
+    .map(name => ({ name }));
+}
+
+/**
+ * Теги, которых еще нет у сущности amoCRM
+ * @param {Object} entity - Контакт или сделка из ответа amoCRM
+ * @param {Array} tags - [{ name }]
+ * @returns {Array<{ name: String }>}
+ */
+function getMissingTags(entity, tags) {
+  const existing = new Set((entity?._embedded?.tags || []).map(tag => String(tag.name).toLowerCase()));
+  return (tags || []).filter(tag => !existing.has(tag.name.toLowerCase()));
+}
+
+module.exports = {
+  buildTags,
+  getMissingTags,
+  normalizeTag,
+  matchesTagPattern
+};
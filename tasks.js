@@ -0,0 +1,107 @@
+/**
+ * ЗАДАЧИ ПО ДОГОВОРЕННОСТЯМ В amoCRM
+ *
+ * AI менеджер записывает договоренность о следующем контакте в
+ * call.agreements.agreements_time ("перезвонить завтра в 15:00").
+ * По ней к сделке создается задача (POST /api/v4/tasks) со сроком,
+ * разобранным в часовом поясе AMOCRM_TASK_TIMEZONE.
+ */
+
+const { amocrmRequest } = require('./amocrmApi');
+const { taskMapping, renderTemplate, getValueByPath } = require('./mapping');
+const { parseAgreementTime } = require('./dateParser');
+const { logger } = require('./logger');
+const { getEnv } = require('./tenantContext');
+
+/**
+ * Настройки срока задачи из переменных окружения (с учетом env тенанта)
+ */
+function getTaskDeadlineOptions() {
+  const defaultHour = parseInt(getEnv('AMOCRM_TASK_DEFAULT_HOUR'));
+  return {
+    timeZone: getEnv('AMOCRM_TASK_TIMEZONE') || 'Europe/Moscow',
+    defaultHour: isNaN(defaultHour) ? 10 : defaultHour,
+    defaultDeadlineHours: parseFloat(getEnv('AMOCRM_TASK_DEFAULT_DEADLINE_HOURS')) || 24
+  };
+}
+
+/**
+ * Срок задачи по тексту договоренности
+ * @param {String} agreementTime - Текст договоренности
+ * @param {Number} now - Текущий момент (мс)
+ * @returns {{ completeTill: Number, parsed: Boolean }} - Срок (unix-время) и признак успешного разбора
+ */
+function resolveTaskDeadline(agreementTime, now = Date.now()) {
+  const options = getTaskDeadlineOptions();
+  const parsed = parseAgreementTime(agreementTime, { ...options, now });
+
+  if (parsed && parsed.getTime() > now) {
+    return { completeTill: Math.floor(parsed.getTime() / 1000), parsed: true };
+  }
+
+  if (parsed) {
+    logger.warn(`⚠️ Время договоренности "${agreementTime}" уже прошло, используем срок по умолчанию`);
+  } else {
+    logger.warn(`⚠️ Не удалось разобрать время договоренности "${agreementTime}", используем срок по умолчанию`);
+  }
+
+  return {
+    completeTill: Math.floor((now + options.defaultDeadlineHours * 3600000) / 1000),
+    parsed: false
+  };
+}
+
+/**
+ * Тело задачи для сделки
+ * @param {Number} leadId - ID сделки
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { responsibleUserId } - ответственный за сделку,
+ *   назначается на задачу, если не задан AMOCRM_TASK_RESPONSIBLE_USER_ID
+ * @returns {Object|null} - Задача или null, если договоренности о времени нет
+ */
+function buildLeadTask(leadId, data, options = {}) {
+  const agreementTime = getValueByPath(data, taskMapping.source);
+  if (!taskMapping.enabled || !agreementTime) {
+    return null;
+  }
+
+  const { completeTill } = resolveTaskDeadline(String(agreementTime));
+  const task = {
+    text: renderTemplate(taskMapping.text, data),
+    complete_till: completeTill,
+    task_type_id: taskMapping.task_type_id,
+    entity_id: leadId,
+    entity_type: 'leads'
+  };
+
+  const responsibleUserId = taskMapping.responsible_user_id || options.responsibleUserId;
+  if (responsibleUserId) {
+    task.responsible_user_id = responsibleUserId;
+  }
+
+  return task;
+}
+
+/**
+ * Создание задачи по договоренности для сделки
+ * @param {Number} leadId - ID сделки
+ * @param {Object} data - Данные вебхука
+ * @param {Object} options - { responsibleUserId } - ответственный за сделку (см. buildLeadTask)
+ * @returns {Promise<Number|null>} - ID созданной задачи или null
+ */
+async function createFollowUpTask(leadId, data, options = {}) {
+  const task = leadId ? buildLeadTask(leadId, data, options) : null;
+  if (!task) {
+    return null;
+  }
+
+  logger.body('Создание задачи по договоренности', task);
+  const response = await amocrmRequest('post', '/api/v4/tasks', { data: [task] });
+  return response?._embedded?.tasks?.[0]?.id || null;
+}
+
+module.exports = {
+  resolveTaskDeadline,
+  buildLeadTask,
+  createFollowUpTask
+};
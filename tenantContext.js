@@ -0,0 +1,88 @@
+/**
+ * КОНТЕКСТ ТЕНАНТА (аккаунта amoCRM), в котором обрабатывается вебхук
+ *
+ * Доставка вебхука тенанта выполняется внутри runWithTenant: модули, которые
+ * обращаются к amoCRM и читают настройки маппинга, берут тенанта из контекста
+ * (AsyncLocalStorage переживает await) и не требуют передачи его в параметрах.
+ * Вне контекста используются настройки из переменных окружения, как без тенантов.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Выполнение функции в контексте тенанта
+ * @param {Object|null} tenant - Тенант (null - настройки из переменных окружения)
+ * @param {Function} callback
+ * @returns {*} - Результат callback
+ */
+function runWithTenant(tenant, callback) {
+  return storage.run(tenant || null, callback);
+}
+
+/**
+ * Текущий тенант или null
+ */
+function getCurrentTenant() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Ключ для кэшей и состояния, которые ведутся отдельно по тенантам
+ * @param {String} key - Ключ без тенанта
+ * @returns {String} - Для тенанта - с префиксом tenant:<id>:, без тенанта - key
+ */
+function scopedKey(key) {
+  const tenant = getCurrentTenant();
+  return tenant ? `tenant:${tenant.id}:${key}` : key;
+}
+
+// ID сущностей конкретного аккаунта amoCRM: для тенанта значения из .env не используются -
+// в чужом аккаунте воронки, поля и пользователи с этими ID не существуют (или это другие сущности)
+const ACCOUNT_SCOPED_ENV = [
+  'AMOCRM_PIPELINE_ID',
+  'AMOCRM_STATUS_ID',
+  'AMOCRM_RESPONSIBLE_USER_ID',
+  'AMOCRM_RESPONSIBLE_USER_IDS',
+  'AMOCRM_TASK_TYPE_ID',
+  'AMOCRM_TASK_RESPONSIBLE_USER_ID',
+  'AMOCRM_CALL_LIST_SUMMARY_LEAD_ID',
+  'AMOCRM_DRIVE_URL'
+];
+
+/**
+ * Относится ли переменная к конкретному аккаунту amoCRM (ID воронок, полей, пользователей)
+ * @param {String} name - Имя переменной
+ * @returns {Boolean}
+ */
+function isAccountScopedEnv(name) {
+  return ACCOUNT_SCOPED_ENV.includes(name) || /^AMOCRM_\w+_FIELD_ID$/.test(name);
+}
+
+/**
+ * Переменная окружения с учетом настроек тенанта (раздел env тенанта важнее .env)
+ * Переменные аккаунта (isAccountScopedEnv) тенант берет только из своего раздела env:
+ * не заданная там воронка, поле или ответственный не передаются в amoCRM
+ * @param {String} name - Имя переменной, например AMOCRM_PIPELINE_ID
+ * @returns {String|undefined}
+ */
+function getEnv(name) {
+  const tenant = getCurrentTenant();
+  const value = tenant?.env?.[name];
+  if (value !== undefined && value !== null) {
+    return String(value);
+  }
+  if (tenant && isAccountScopedEnv(name)) {
+    return undefined;
+  }
+  return process.env[name];
+}
+
+module.exports = {
+  runWithTenant,
+  getCurrentTenant,
+  scopedKey,
+  isAccountScopedEnv,
+  getEnv
+};
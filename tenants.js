@@ -0,0 +1,238 @@
+/**
+ * ТЕНАНТЫ: несколько аккаунтов amoCRM на одном сервере
+ *
+ * Тенант - клиент со своим аккаунтом amoCRM. Вебхуки тенанта принимаются на
+ * /webhook/<id> и подписываются его секретом, а доставляются в его аккаунт
+ * (контекст тенанта - см. tenantContext.js).
+ *
+ * Тенанты хранятся в TENANTS_FILE (по умолчанию DATA_DIR/tenants.json) и
+ * управляются через /admin/tenants. Пример тенанта:
+ *   {
+ *     "id": "acme",
+ *     "name": "ACME",
+ *     "webhookSecret": "...",
+ *     "subdomain": "acme",
+ *     "accessToken": "...",
+ *     "mappingFile": "mappings/acme.yaml",
+ *     "env": { "AMOCRM_PIPELINE_ID": "123", "AMOCRM_REGION_FIELD_ID": "Регион" }
+ *   }
+ *
+ * Поля:
+ * - id - латиница, цифры, "-" и "_" (часть URL вебхука);
+ * - webhookSecret (обязательно), webhookSecretPrevious - секреты подписи Sasha AI;
+ * - subdomain или baseUrl - аккаунт amoCRM;
+ * - accessToken или clientId / clientSecret / redirectUri (+ authCode) - авторизация;
+ *   OAuth callback тенанта: /oauth/amocrm/callback/<id>;
+ * - mappingFile - файл декларативного маппинга (иначе MAPPING_CONFIG_FILE);
+ * - env - переменные маппинга тенанта поверх .env: воронка и статус, ID полей,
+ *   ответственные, тип, часовой пояс и сроки задач, дедупликация сделок, сделка для итогов колл-листа;
+ *   воронка обязательна - в env.AMOCRM_PIPELINE_ID или в mappingFile;
+ *   ID воронок, полей и пользователей из .env тенанту не передаются - только из его env;
+ * - enabled - false отключает прием вебхуков тенанта.
+ *
+ * Без тенантов сервер работает как раньше: /webhook с настройками из .env.
+ */
+
+const { resolveDataPath, readJsonFile, writeJsonFile } = require('./storage');
+const { checkMappingFile, hasDefaultPipeline } = require('./mappingConfig');
+
+const TENANT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const STRING_FIELDS = [
+  'name', 'webhookSecret', 'webhookSecretPrevious', 'subdomain', 'baseUrl',
+  'accessToken', 'clientId', 'clientSecret', 'redirectUri', 'authCode', 'mappingFile'
+];
+
+// Поля, которые не возвращаются через /admin
+const SECRET_FIELDS = ['webhookSecret', 'webhookSecretPrevious', 'accessToken', 'clientSecret', 'authCode'];
+
+// Переменные маппинга, которые тенант может переопределить (читаются через getEnv)
+const TENANT_ENV = [
+  'AMOCRM_PIPELINE_ID',
+  'AMOCRM_STATUS_ID',
+  'AMOCRM_LEAD_DEDUP_MODE',
+  'AMOCRM_LEAD_DEDUP_DAYS',
+  'AMOCRM_LEAD_COMPLEX',
+  'AMOCRM_LEAD_COMPLEX_DUPLICATE_CONTROL',
+  'AMOCRM_COMPANIES_ENABLED',
+  'AMOCRM_RECORDING_UPLOAD',
+  'AMOCRM_DRIVE_URL',
+  'AMOCRM_RESPONSIBLE_MODE',
+  'AMOCRM_RESPONSIBLE_USER_ID',
+  'AMOCRM_RESPONSIBLE_USER_IDS',
+  'AMOCRM_RESPONSIBLE_VALIDATE',
+  'AMOCRM_TASK_TYPE_ID',
+  'AMOCRM_TASK_RESPONSIBLE_USER_ID',
+  'AMOCRM_TASK_TIMEZONE',
+  'AMOCRM_TASK_DEFAULT_HOUR',
+  'AMOCRM_TASK_DEFAULT_DEADLINE_HOURS',
+  'AMOCRM_CALL_LIST_SUMMARY_LEAD_ID'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Проверка настроек тенанта
+ * @param {Object} tenant - Тенант
+ * @returns {String[]} - Ошибки (пустой массив - тенант корректен)
+ */
+function validateTenant(tenant) {
+  if (!isPlainObject(tenant)) {
+    return ['Ожидается объект с настройками тенанта'];
+  }
+
+  const errors = [];
+  if (typeof tenant.id !== 'string' || !TENANT_ID_PATTERN.test(tenant.id)) {
+    errors.push('id: ожидаются латинские буквы, цифры, "-" и "_" (до 64 символов)');
+  }
+  for (const field of STRING_FIELDS) {
+    if (tenant[field] !== undefined && tenant[field] !== null && typeof tenant[field] !== 'string') {
+      errors.push(`${field}: ожидается строка`);
+    }
+  }
+  if (tenant.enabled !== undefined && typeof tenant.enabled !== 'boolean') {
+    errors.push('enabled: ожидается true или false');
+  }
+
+  if (!tenant.webhookSecret) {
+    errors.push('webhookSecret: обязательное поле');
+  }
+  if (!tenant.subdomain && !tenant.baseUrl) {
+    errors.push('subdomain: укажите поддомен аккаунта amoCRM (или baseUrl)');
+  }
+  if (tenant.baseUrl) {
+    try {
+      new URL(tenant.baseUrl);
+    } catch (error) {
+      errors.push('baseUrl: ожидается адрес вида https://mycompany.amocrm.ru');
+    }
+  }
+  const hasOAuth = Boolean(tenant.clientId && tenant.clientSecret && tenant.redirectUri);
+  if (!tenant.accessToken && !hasOAuth) {
+    errors.push('accessToken: укажите токен или clientId, clientSecret и redirectUri интеграции');
+  }
+
+  if (tenant.env !== undefined) {
+    if (!isPlainObject(tenant.env)) {
+      errors.push('env: ожидается объект { ПЕРЕМЕННАЯ: значение }');
+    } else {
+      for (const [name, value] of Object.entries(tenant.env)) {
+        if (!TENANT_ENV.includes(name) && !/^AMOCRM_\w+_FIELD_ID$/.test(name)) {
+          errors.push(`env.${name}: переменная не настраивается для тенанта (доступны: ${TENANT_ENV.join(', ')}, AMOCRM_*_FIELD_ID)`);
+        } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          errors.push(`env.${name}: ожидается строка или число`);
+        }
+      }
+    }
+  }
+
+  const hasMappingFile = typeof tenant.mappingFile === 'string' && tenant.mappingFile;
+  if (hasMappingFile) {
+    errors.push(...checkMappingFile(tenant.mappingFile).map(error => `mappingFile: ${error}`));
+  }
+
+  // Воронка из .env относится к другому аккаунту (см. isAccountScopedEnv) - без своей
+  // воронки ни одна сделка тенанта не будет создана
+  const envPipeline = isPlainObject(tenant.env) ? tenant.env.AMOCRM_PIPELINE_ID : undefined;
+  const hasEnvPipeline = envPipeline !== undefined && envPipeline !== null && envPipeline !== '';
+  if (!hasEnvPipeline && !(hasMappingFile && hasDefaultPipeline(tenant.mappingFile))) {
+    errors.push('env.AMOCRM_PIPELINE_ID: укажите воронку тенанта (или lead.pipeline_id / правило pipeline_rules без условий в mappingFile)');
+  }
+
+  return errors;
+}
+
+/**
+ * Тенант без секретов - для ответов /admin
+ */
+function describeTenant(tenant) {
+  const result = { ...tenant };
+  for (const field of SECRET_FIELDS) {
+    if (result[field]) {
+      result[field] = '***';
+    }
+  }
+  return result;
+}
+
+/**
+ * Ошибка проверки тенанта со списком ошибок в error.details
+ */
+function createValidationError(id, errors) {
+  const error = new Error(`Тенант ${id || '(без id)'} содержит ошибки:\n  - ${errors.join('\n  - ')}`);
+  error.details = errors;
+  return error;
+}
+
+/**
+ * Создание реестра тенантов
+ * @param {Object} options - { storagePath } - файл тенантов (по умолчанию TENANTS_FILE)
+ * @returns {Object} - { list, get, save, remove }
+ * @throws {Error} - Файл тенантов содержит ошибки
+ */
+function createTenantRegistry(options = {}) {
+  const storagePath = options.storagePath || resolveDataPath(process.env.TENANTS_FILE || 'tenants.json');
+  const tenants = new Map();
+
+  const stored = readJsonFile(storagePath, { tenants: [] });
+  for (const tenant of stored.tenants || []) {
+    const errors = validateTenant(tenant);
+    if (errors.length > 0) {
+      throw createValidationError(tenant?.id, errors);
+    }
+    tenants.set(tenant.id, tenant);
+  }
+
+  function persist() {
+    // Файл содержит секреты и токены тенантов
+    writeJsonFile(storagePath, { tenants: [...tenants.values()] }, { mode: 0o600 });
+  }
+
+  function list() {
+    return [...tenants.values()];
+  }
+
+  function get(id) {
+    return tenants.get(String(id)) || null;
+  }
+
+  /**
+   * Создание или замена тенанта
+   * @param {Object} tenant - Настройки тенанта
+   * @returns {Object} - Сохраненный тенант
+   * @throws {Error} - Настройки с ошибками (в error.details - список)
+   */
+  function save(tenant) {
+    const errors = validateTenant(tenant);
+    if (errors.length > 0) {
+      throw createValidationError(tenant?.id, errors);
+    }
+    const saved = { enabled: true, ...tenant, updatedAt: new Date().toISOString() };
+    tenants.set(saved.id, saved);
+    persist();
+    return saved;
+  }
+
+  function remove(id) {
+    const existed = tenants.delete(String(id));
+    if (existed) {
+      persist();
+    }
+    return existed;
+  }
+
+  return {
+    list,
+    get,
+    save,
+    remove
+  };
+}
+
+module.exports = {
+  createTenantRegistry,
+  validateTenant,
+  describeTenant
+};
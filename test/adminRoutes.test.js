@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.ADMIN_TOKEN = 'admin-secret';
+process.env.LOG_LEVEL = 'error';
+
+const { createAdminRouter } = require('../adminRoutes');
+
+/**
+ * Очередь с заданиями в памяти (listJobs / removeJob, как у createQueue)
+ */
+function createFakeQueue() {
+  const jobs = [
+    { id: 'dead-1', status: 'dead', createdAt: '2024-05-01T10:00:00.000Z', meta: {} },
+    { id: 'dead-2', status: 'dead', createdAt: '2024-05-02T10:00:00.000Z', meta: {} },
+    { id: 'pending-1', status: 'pending', createdAt: '2024-05-02T10:00:00.000Z', meta: {} }
+  ];
+  return {
+    jobs,
+    listJobs: () => [...jobs],
+    removeJob: id => jobs.splice(jobs.findIndex(job => job.id === id), 1)
+  };
+}
+
+async function startAdmin(t) {
+  const queue = createFakeQueue();
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', createAdminRouter({ queue, tenants: { get: () => null, list: () => [] } }));
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  t.after(() => server.close());
+
+  const discard = async body => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/admin/deliveries/discard`, {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer admin-secret', 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { queue, discard };
+}
+
+test('discard: без ids и all: true задания не удаляются', async t => {
+  const { queue, discard } = await startAdmin(t);
+
+  for (const body of [undefined, {}, { ids: [] }, { status: 'dead' }, { all: 'true' }]) {
+    const result = await discard(body);
+    assert.strictEqual(result.status, 400, JSON.stringify(body));
+    assert.strictEqual(result.body.success, false);
+  }
+  assert.strictEqual(queue.jobs.length, 3);
+});
+
+test('discard: ids удаляет только перечисленные задания', async t => {
+  const { queue, discard } = await startAdmin(t);
+
+  const result = await discard({ ids: ['dead-2'] });
+
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(result.body.discarded, ['dead-2']);
+  assert.deepStrictEqual(queue.jobs.map(job => job.id), ['dead-1', 'pending-1']);
+});
+
+test('discard: all: true удаляет задания, подходящие под фильтр', async t => {
+  const { queue, discard } = await startAdmin(t);
+
+  const result = await discard({ all: true, since: '2024-05-02T00:00:00.000Z' });
+
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(result.body.discarded, ['dead-2']);
+  assert.deepStrictEqual(queue.jobs.map(job => job.id), ['dead-1', 'pending-1']);
+});
+
+test('discard: ids удаляет задания в любом статусе, неудаленные ID возвращаются в notDiscarded', async t => {
+  const { queue, discard } = await startAdmin(t);
+
+  const result = await discard({ ids: ['pending-1', 'missing-1'] });
+
+  assert.strictEqual(result.status, 200);
+  assert.deepStrictEqual(result.body.discarded, ['pending-1']);
+  assert.deepStrictEqual(result.body.notDiscarded, ['missing-1']);
+  assert.deepStrictEqual(queue.jobs.map(job => job.id), ['dead-1', 'dead-2']);
+});
+
+test('discard: ids с явным status - задания в другом статусе не удаляются и попадают в notDiscarded', async t => {
+  const { queue, discard } = await startAdmin(t);
+
+  const result = await discard({ ids: ['dead-1', 'pending-1'], status: 'dead' });
+
+  assert.deepStrictEqual(result.body.discarded, ['dead-1']);
+  assert.deepStrictEqual(result.body.notDiscarded, ['pending-1']);
+  assert.deepStrictEqual(queue.jobs.map(job => job.id), ['dead-2', 'pending-1']);
+});
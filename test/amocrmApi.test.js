@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amocrm-api-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  AMOCRM_ACCESS_TOKEN: 'test-token',
+  AMOCRM_RATE_LIMIT_RPS: '100',
+  AMOCRM_HTTP_RETRIES: '2',
+  AMOCRM_HTTP_RETRY_BASE_MS: '10',
+  AMOCRM_BATCH_WINDOW_MS: '30',
+  LOG_LEVEL: 'error'
+});
+
+const { amocrmRequest, createEntityBatched } = require('../amocrmApi');
+
+/**
+ * Заглушка amoCRM: ответ на запрос определяет respond(request) → { status, body, headers }
+ */
+function startStubAmoCRM(t, respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, path: new URL(req.url, 'http://localhost').pathname, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const { status = 200, data = {}, headers = {} } = respond(request, requests.length);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(data));
+    });
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      process.env.AMOCRM_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+      resolve(requests);
+    });
+  });
+}
+
+/**
+ * Ответ amoCRM на создание: сущности в обратном порядке, с request_id и ID
+ */
+function createdResponse(entityKey, entities, firstId = 100) {
+  const created = entities.map((entity, index) => ({ id: firstId + index, request_id: entity.request_id, name: entity.name }));
+  return { data: { _embedded: { [entityKey]: created.reverse() } } };
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('amocrmRequest: 429 повторяется с учетом Retry-After, 5xx - нет (повторяет очередь)', async t => {
+  const requests = await startStubAmoCRM(t, (request, count) => {
+    if (request.path === '/api/v4/leads/1') {
+      return count === 1 ? { status: 429, headers: { 'Retry-After': '0' } } : { data: { id: 1 } };
+    }
+    return { status: 503, data: { title: 'Service Unavailable' } };
+  });
+
+  assert.deepStrictEqual(await amocrmRequest('get', '/api/v4/leads/1'), { id: 1 });
+  assert.strictEqual(requests.length, 2);
+
+  requests.length = 0;
+  await assert.rejects(amocrmRequest('get', '/api/v4/leads/2'), error => {
+    assert.strictEqual(error.message, 'Service Unavailable');
+    assert.strictEqual(error.response.status, 503);
+    return true;
+  });
+  assert.strictEqual(requests.length, 1);
+});
+
+test('amocrmRequest: повторы 429 ограничены AMOCRM_HTTP_RETRIES', async t => {
+  const requests = await startStubAmoCRM(t, () => ({ status: 429, data: { title: 'Too Many Requests' } }));
+
+  await assert.rejects(amocrmRequest('post', '/api/v4/leads', { data: [{}] }), /Too Many Requests/);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('createEntityBatched: одновременные создания - один POST, результаты сопоставляются по request_id', async t => {
+  const requests = await startStubAmoCRM(t, request => createdResponse('leads', request.body));
+
+  const results = await Promise.all(['Первая', 'Вторая', 'Третья'].map(name =>
+    createEntityBatched('/api/v4/leads', 'leads', { name })
+  ));
+
+  assert.strictEqual(requests.length, 1);
+  assert.deepStrictEqual(requests[0].body.map(entity => entity.request_id), ['0', '1', '2']);
+  // amoCRM вернул сущности в обратном порядке - каждый вызов получает свою
+  assert.deepStrictEqual(results.map(lead => [lead.name, lead.id]), [['Первая', 100], ['Вторая', 101], ['Третья', 102]]);
+});
+
+test('createEntityBatched: после 400 на пакет сущности отправляются по одной', async t => {
+  const requests = await startStubAmoCRM(t, request => {
+    if (request.body.some(entity => entity.name === 'Ошибка')) {
+      return { status: 400, data: { title: 'Bad Request' } };
+    }
+    return createdResponse('contacts', request.body, 200 + requests.length);
+  });
+
+  const results = await Promise.allSettled(['Анна', 'Ошибка', 'Борис'].map(name =>
+    createEntityBatched('/api/v4/contacts', 'contacts', { name })
+  ));
+
+  assert.strictEqual(results[0].status, 'fulfilled');
+  assert.strictEqual(results[0].value.name, 'Анна');
+  assert.strictEqual(results[1].status, 'rejected');
+  assert.match(results[1].reason.message, /Bad Request/);
+  assert.strictEqual(results[2].value.name, 'Борис');
+
+  // Пакет из трех, затем три запроса по одной сущности
+  assert.deepStrictEqual(requests.map(request => request.body.length), [3, 1, 1, 1]);
+});
+
+test('createEntityBatched: AMOCRM_BATCH_WINDOW_MS=0 отключает объединение', async t => {
+  process.env.AMOCRM_BATCH_WINDOW_MS = '0';
+  t.after(() => { process.env.AMOCRM_BATCH_WINDOW_MS = '30'; });
+  const requests = await startStubAmoCRM(t, request => createdResponse('leads', request.body));
+
+  await Promise.all(['Первая', 'Вторая'].map(name => createEntityBatched('/api/v4/leads', 'leads', { name })));
+
+  assert.deepStrictEqual(requests.map(request => request.body.length), [1, 1]);
+});
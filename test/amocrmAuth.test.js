@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amocrm-auth-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  LOG_LEVEL: 'error'
+});
+
+const { createTokenManager, tokenManager } = require('../amocrmAuth');
+const { runWithTenant } = require('../tenantContext');
+
+const OAUTH_CONFIG = { clientId: 'client', clientSecret: 'secret', redirectUri: 'https://example.com/oauth', refreshMarginSec: 300 };
+
+/**
+ * Заглушка /oauth2/access_token: выдает пары access-N / refresh-N, ответ - через delayMs
+ */
+function startStubOAuth(t, { delayMs = 0 } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = JSON.parse(body);
+      requests.push(params);
+      const number = requests.length;
+      setTimeout(() => {
+        if (params.grant_type === 'refresh_token' && params.refresh_token === 'revoked') {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ hint: 'Token has been revoked' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ access_token: `access-${number}`, refresh_token: `refresh-${number}`, expires_in: 86400 }));
+      }, delayMs);
+    });
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ requests, baseUrl: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+/**
+ * Менеджер токенов с файлом в отдельном каталоге; initialTokens - содержимое файла до запуска
+ */
+function createManager(stub, name, initialTokens = null, config = {}) {
+  const storagePath = path.join(dataDir, `${name}.json`);
+  if (initialTokens) {
+    fs.writeFileSync(storagePath, JSON.stringify(initialTokens));
+  }
+  const manager = createTokenManager({
+    getBaseUrl: () => stub.baseUrl,
+    getConfig: () => ({ ...OAUTH_CONFIG, ...config }),
+    storagePath
+  });
+  return { manager, storagePath };
+}
+
+function unauthorized() {
+  const error = new Error('Unauthorized');
+  error.response = { status: 401 };
+  return error;
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('getAccessToken: истекающий токен обновляется один раз для одновременных запросов и сохраняется', async t => {
+  const stub = await startStubOAuth(t, { delayMs: 20 });
+  const { manager, storagePath } = createManager(stub, 'expiring', {
+    access_token: 'old-access',
+    refresh_token: 'old-refresh',
+    expires_at: Date.now() + 60 * 1000
+  });
+
+  const tokens = await Promise.all([1, 2, 3].map(() => manager.getAccessToken()));
+
+  assert.deepStrictEqual(tokens, ['access-1', 'access-1', 'access-1']);
+  assert.strictEqual(stub.requests.length, 1);
+  assert.deepStrictEqual(
+    { grant_type: stub.requests[0].grant_type, refresh_token: stub.requests[0].refresh_token },
+    { grant_type: 'refresh_token', refresh_token: 'old-refresh' }
+  );
+  const saved = JSON.parse(fs.readFileSync(storagePath, 'utf8'));
+  assert.strictEqual(saved.refresh_token, 'refresh-1');
+  assert.ok(saved.expires_at > Date.now() + 23 * 3600 * 1000);
+});
+
+test('withTokenRetry: после 401 токен обновляется, запрос повторяется один раз с новым токеном', async t => {
+  const stub = await startStubOAuth(t);
+  const { manager } = createManager(stub, 'unauthorized', {
+    access_token: 'revoked-access',
+    refresh_token: 'old-refresh',
+    expires_at: Date.now() + 3600 * 1000
+  });
+
+  const usedTokens = [];
+  const result = await manager.withTokenRetry(async token => {
+    usedTokens.push(token);
+    if (token === 'revoked-access') {
+      throw unauthorized();
+    }
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(usedTokens, ['revoked-access', 'access-1']);
+
+  // Повторный 401 с новым токеном возвращается вызывающему
+  await assert.rejects(manager.withTokenRetry(async () => { throw unauthorized(); }), /Unauthorized/);
+  assert.strictEqual(stub.requests.length, 2);
+});
+
+test('withTokenRetry: без refresh token 401 не обновляет токен', async t => {
+  const stub = await startStubOAuth(t);
+  const { manager } = createManager(stub, 'static', null, { clientId: null, staticToken: 'static-token' });
+
+  await assert.rejects(manager.withTokenRetry(async () => { throw unauthorized(); }), /Unauthorized/);
+  assert.strictEqual(stub.requests.length, 0);
+});
+
+test('обмен кода во время обновления выполняется после него и получает свои токены', async t => {
+  const stub = await startStubOAuth(t, { delayMs: 30 });
+  const { manager } = createManager(stub, 'chained', {
+    access_token: 'old-access',
+    refresh_token: 'old-refresh',
+    expires_at: Date.now() + 3600 * 1000
+  });
+
+  const refresh = manager.refreshAccessToken('old-access');
+  const exchange = manager.exchangeAuthorizationCode('new-code');
+
+  assert.strictEqual((await refresh).access_token, 'access-1');
+  assert.strictEqual((await exchange).access_token, 'access-2');
+  assert.deepStrictEqual(stub.requests.map(request => request.grant_type), ['refresh_token', 'authorization_code']);
+  assert.strictEqual(stub.requests[1].code, 'new-code');
+  assert.strictEqual(await manager.getAccessToken(), 'access-2');
+});
+
+test('ошибка обновления не мешает следующей операции в очереди', async t => {
+  const stub = await startStubOAuth(t);
+  const { manager } = createManager(stub, 'revoked', {
+    access_token: 'old-access',
+    refresh_token: 'revoked',
+    expires_at: Date.now() + 3600 * 1000
+  });
+
+  const refresh = manager.refreshAccessToken('old-access');
+  const exchange = manager.exchangeAuthorizationCode('new-code');
+
+  await assert.rejects(refresh, /Ошибка получения токена amoCRM \(refresh_token\): Token has been revoked/);
+  assert.strictEqual((await exchange).access_token, 'access-2');
+});
+
+test('токены тенантов хранятся раздельно в DATA_DIR/tenants/<id>/amocrm-tokens.json', async t => {
+  const stub = await startStubOAuth(t);
+  const tenant = id => ({ id, baseUrl: stub.baseUrl, clientId: 'client', clientSecret: 'secret', redirectUri: 'https://example.com/oauth' });
+
+  const acme = await runWithTenant(tenant('acme'), () => tokenManager.exchangeAuthorizationCode('acme-code'));
+  const globex = await runWithTenant(tenant('globex'), () => tokenManager.exchangeAuthorizationCode('globex-code'));
+
+  assert.notStrictEqual(acme.access_token, globex.access_token);
+  const readTokens = id => JSON.parse(fs.readFileSync(path.join(dataDir, 'tenants', id, 'amocrm-tokens.json'), 'utf8'));
+  assert.strictEqual(readTokens('acme').access_token, acme.access_token);
+  assert.strictEqual(readTokens('globex').access_token, globex.access_token);
+  assert.strictEqual(fs.existsSync(path.join(dataDir, 'amocrm-tokens.json')), false);
+
+  assert.strictEqual(await runWithTenant(tenant('acme'), () => tokenManager.getAccessToken()), acme.access_token);
+  assert.strictEqual(await runWithTenant(tenant('globex'), () => tokenManager.getAccessToken()), globex.access_token);
+  assert.strictEqual(runWithTenant(tenant('acme'), () => tokenManager.getTokenInfo()).source, 'oauth');
+});
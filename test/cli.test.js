@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Заглушка amoCRM: воронки, пользователи и кастомные поля; созданные поля получают новые ID
+ */
+function startStubAmoCRM() {
+  const requests = [];
+  const fields = {
+    leads: [{ id: 501, name: 'Регион', type: 'text' }],
+    contacts: [{ id: 601, name: 'Город', type: 'text' }],
+    companies: []
+  };
+  let nextFieldId = 1000;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization, body });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname === '/api/v4/leads/pipelines') {
+        return send(200, {
+          _embedded: {
+            pipelines: [
+              { id: 10, name: 'Продажи', is_main: true, _embedded: { statuses: [{ id: 142, name: 'Успешно реализовано' }] } },
+              { id: 20, name: 'Партнеры', is_main: false, _embedded: { statuses: [] } }
+            ]
+          }
+        });
+      }
+      if (req.method === 'GET' && url.pathname === '/api/v4/users') {
+        return send(200, { _embedded: { users: [{ id: 7, name: 'Анна', rights: { is_active: true } }] } });
+      }
+      const match = url.pathname.match(/^\/api\/v4\/(leads|contacts|companies)\/custom_fields$/);
+      if (match && req.method === 'GET') {
+        return send(200, { _embedded: { custom_fields: fields[match[1]] } });
+      }
+      if (match && req.method === 'POST') {
+        const created = JSON.parse(body).map(field => ({ ...field, id: nextFieldId++ }));
+        fields[match[1]].push(...created);
+        return send(200, { _embedded: { custom_fields: created } });
+      }
+      send(404, { title: 'Not Found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+/**
+ * Запуск cli.js в отдельном процессе (асинхронно - заглушка работает в этом же процессе)
+ */
+function runCli(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI_PATH, ...args], { env, timeout: 20000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function setup(t, envFileContent = '') {
+  const stub = await startStubAmoCRM();
+  t.after(() => stub.server.close());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const envFile = path.join(dir, '.env');
+  fs.writeFileSync(envFile, envFileContent);
+  const env = {
+    PATH: process.env.PATH,
+    AMOCRM_BASE_URL: stub.baseUrl,
+    AMOCRM_ACCESS_TOKEN: 'test-token',
+    AMOCRM_RATE_LIMIT_RPS: '100',
+    DATA_DIR: dir
+  };
+  return { ...stub, dir, envFile, env };
+}
+
+test('cli pipelines: воронки и статусы из amoCRM с токеном из окружения', async t => {
+  const { env, envFile, requests } = await setup(t);
+
+  const result = await runCli(['pipelines', '--env-file', envFile], env);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /10 {2}Продажи \(основная\)/);
+  assert.match(result.stdout, /142 {2}Успешно реализовано/);
+  assert.match(result.stdout, /20 {2}Партнеры/);
+  assert.strictEqual(requests[0].authorization, 'Bearer test-token');
+});
+
+test('cli bootstrap: создаются только поля заданных переменных, заданные переменные не меняются', async t => {
+  const { env, envFile, requests } = await setup(t, [
+    '# настройки',
+    'AMOCRM_SUBDOMAIN=example',
+    'AMOCRM_AGREEMENTS_FIELD_ID=Договоренности',
+    'AMOCRM_CALL_STARTED_FIELD_ID=Начало звонка',
+    'AMOCRM_REGION_FIELD_ID=501',
+    'AMOCRM_CONTACT_CITY_FIELD_ID=Город',
+    'AMOCRM_SMS_TEXT_FIELD_ID=999',
+    ''
+  ].join('\n'));
+
+  const result = await runCli(['bootstrap', '--env-file', envFile], env);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  const created = requests.filter(request => request.method === 'POST').map(request => JSON.parse(request.body)[0]);
+  // Найденные "Регион" и "Город" не создаются, незаданные переменные пропускаются
+  assert.deepStrictEqual(created, [
+    { name: 'Договоренности', type: 'textarea' },
+    { name: 'Начало звонка', type: 'date_time' }
+  ]);
+  assert.match(result.stderr, /AMOCRM_SMS_TEXT_FIELD_ID: поле 999 не найдено в amoCRM/);
+  assert.match(result.stdout, /Не заданы .*AMOCRM_CLIENT_FACTS_FIELD_ID \("Факты о клиенте"\)/);
+
+  // Заданные переменные не перезаписываются, дописывается только воронка
+  const written = fs.readFileSync(envFile, 'utf8');
+  assert.match(written, /^# настройки\nAMOCRM_SUBDOMAIN=example\nAMOCRM_AGREEMENTS_FIELD_ID=Договоренности\n/);
+  assert.match(written, /^AMOCRM_REGION_FIELD_ID=501$/m);
+  assert.match(written, /^AMOCRM_SMS_TEXT_FIELD_ID=999$/m);
+  assert.match(written, /\nAMOCRM_PIPELINE_ID=10\n$/);
+});
+
+test('cli bootstrap: без заданных переменных поля не создаются и файл окружения не меняется', async t => {
+  const { env, envFile, requests } = await setup(t, 'AMOCRM_PIPELINE_ID=20\n');
+
+  const result = await runCli(['bootstrap', '--env-file', envFile], env);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.strictEqual(requests.filter(request => request.method === 'POST').length, 0);
+  assert.strictEqual(fs.readFileSync(envFile, 'utf8'), 'AMOCRM_PIPELINE_ID=20\n');
+});
+
+test('cli bootstrap --dry-run: поля не создаются, файл окружения не меняется', async t => {
+  const { env, envFile, requests } = await setup(t, 'AMOCRM_AGREEMENTS_FIELD_ID=Договоренности\n');
+
+  const result = await runCli(['bootstrap', '--env-file', envFile, '--dry-run'], env);
+
+  assert.strictEqual(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Будет создано поле "Договоренности" \[textarea\] \(leads\)/);
+  assert.match(result.stdout, /AMOCRM_PIPELINE_ID=10/);
+  assert.strictEqual(requests.filter(request => request.method === 'POST').length, 0);
+  assert.strictEqual(fs.readFileSync(envFile, 'utf8'), 'AMOCRM_AGREEMENTS_FIELD_ID=Договоренности\n');
+});
+
+test('cli fields: неизвестная сущность - ошибка и ненулевой код выхода', async t => {
+  const { env, envFile } = await setup(t);
+
+  const result = await runCli(['fields', 'deals', '--env-file', envFile], env);
+
+  assert.strictEqual(result.code, 1);
+  assert.match(result.stderr, /Неизвестная сущность "deals"/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAgreementTime, getZonedParts, zonedTimeToTimestamp } = require('../dateParser');
+
+// Понедельник 19.10.2026, 12:00 по Москве
+const NOW = Date.parse('2026-10-19T09:00:00.000Z');
+
+function parse(value, options = {}) {
+  const parsed = parseAgreementTime(value, { timeZone: 'Europe/Moscow', now: NOW, ...options });
+  return parsed ? parsed.toISOString() : null;
+}
+
+test('относительные фразы: сегодня, завтра, послезавтра, через N', () => {
+  assert.strictEqual(parse('перезвонить завтра в 15:00'), '2026-10-20T12:00:00.000Z');
+  assert.strictEqual(parse('Послезавтра'), '2026-10-21T07:00:00.000Z');
+  assert.strictEqual(parse('сегодня вечером'), '2026-10-19T15:00:00.000Z');
+  assert.strictEqual(parse('через 2 часа'), '2026-10-19T11:00:00.000Z');
+  assert.strictEqual(parse('через полчаса'), '2026-10-19T09:30:00.000Z');
+  assert.strictEqual(parse('через 3 дня в 11:00'), '2026-10-22T08:00:00.000Z');
+  assert.strictEqual(parse('через неделю'), '2026-10-26T07:00:00.000Z');
+});
+
+test('дни недели: ближайший следующий, сегодняшний день недели - через неделю', () => {
+  assert.strictEqual(parse('в пятницу'), '2026-10-23T07:00:00.000Z');
+  assert.strictEqual(parse('в среду утром'), '2026-10-21T07:00:00.000Z');
+  assert.strictEqual(parse('в понедельник в 16:00'), '2026-10-26T13:00:00.000Z');
+  assert.strictEqual(parse('на следующей неделе'), '2026-10-26T07:00:00.000Z');
+});
+
+test('время без даты: сегодня, а если уже прошло - завтра', () => {
+  assert.strictEqual(parse('в 3 часа дня'), '2026-10-19T12:00:00.000Z');
+  assert.strictEqual(parse('в 10:30'), '2026-10-20T07:30:00.000Z');
+  // "в 10.30" - время, а не 10 число 30 месяца
+  assert.strictEqual(parse('в 10.30'), '2026-10-20T07:30:00.000Z');
+});
+
+test('даты: dd.mm, dd.mm.yyyy, "20 октября"; прошедшая дата без года - в следующем году', () => {
+  assert.strictEqual(parse('20.10'), '2026-10-20T07:00:00.000Z');
+  assert.strictEqual(parse('20.10 в 15:00'), '2026-10-20T12:00:00.000Z');
+  assert.strictEqual(parse('15.10'), '2027-10-15T07:00:00.000Z');
+  assert.strictEqual(parse('05.11.2026 14:30'), '2026-11-05T11:30:00.000Z');
+  assert.strictEqual(parse('25 октября'), '2026-10-25T07:00:00.000Z');
+  assert.strictEqual(parse('завтра', { defaultHour: 9 }), '2026-10-20T06:00:00.000Z');
+});
+
+test('ISO 8601: со смещением - как есть, без смещения - в часовом поясе', () => {
+  assert.strictEqual(parse('2026-10-20T15:00:00+05:00'), '2026-10-20T10:00:00.000Z');
+  assert.strictEqual(parse('2026-10-20T15:00:00Z'), '2026-10-20T15:00:00.000Z');
+  assert.strictEqual(parse('2026-10-20 15:00'), '2026-10-20T12:00:00.000Z');
+});
+
+test('часовой пояс: время договоренности - местное время часового пояса, с учетом перехода на зимнее время', () => {
+  assert.strictEqual(parse('завтра в 15:00', { timeZone: 'Asia/Yekaterinburg' }), '2026-10-20T10:00:00.000Z');
+  // Берлин: до 25.10.2026 - UTC+2, после - UTC+1
+  assert.strictEqual(parse('20.10 в 15:00', { timeZone: 'Europe/Berlin' }), '2026-10-20T13:00:00.000Z');
+  assert.strictEqual(parse('27.10 в 15:00', { timeZone: 'Europe/Berlin' }), '2026-10-27T14:00:00.000Z');
+
+  assert.deepStrictEqual(getZonedParts(NOW, 'Asia/Vladivostok'), { year: 2026, month: 10, day: 19, hour: 19, minute: 0, weekday: 1 });
+  assert.strictEqual(zonedTimeToTimestamp(2026, 10, 19, 12, 0, 'Europe/Moscow'), NOW);
+});
+
+test('нераспознанный текст - null', () => {
+  assert.strictEqual(parse('когда-нибудь потом'), null);
+  assert.strictEqual(parse(''), null);
+  assert.strictEqual(parseAgreementTime(null), null);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  AMOCRM_ACCESS_TOKEN: 'test-token',
+  AMOCRM_RATE_LIMIT_RPS: '100',
+  LOG_LEVEL: 'error'
+});
+
+const { getLeadDedupPolicy, findOpenLeadForContact, appendCallToLead } = require('../leads');
+
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 86400;
+
+// Сделки контакта 7: открытые, закрытые и в другой воронке
+const LEADS = [
+  { id: 1, pipeline_id: 10, status_id: 100, created_at: NOW - 40 * DAY },
+  { id: 2, pipeline_id: 10, status_id: 100, created_at: NOW - 3 * DAY },
+  { id: 3, pipeline_id: 10, status_id: 142, created_at: NOW - DAY },
+  { id: 4, pipeline_id: 10, status_id: 100, created_at: NOW - DAY, closed_at: NOW },
+  { id: 5, pipeline_id: 20, status_id: 100, created_at: NOW }
+];
+
+function startStubAmoCRM(t, leads = LEADS) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.search, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      if (url.pathname === '/api/v4/contacts/7') {
+        return res.end(JSON.stringify({ id: 7, _embedded: { leads: leads.map(lead => ({ id: lead.id })) } }));
+      }
+      if (url.pathname === '/api/v4/leads') {
+        return res.end(JSON.stringify({ _embedded: { leads } }));
+      }
+      res.end(body || '{}');
+    });
+  });
+  t.after(() => server.close());
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      process.env.AMOCRM_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+      resolve(requests);
+    });
+  });
+}
+
+function withEnv(t, values) {
+  for (const [name, value] of Object.entries(values)) {
+    process.env[name] = value;
+    t.after(() => delete process.env[name]);
+  }
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('getLeadDedupPolicy: режим по умолчанию, reuse_recent требует число дней, неизвестный режим - ошибка', t => {
+  assert.deepStrictEqual(getLeadDedupPolicy(), { mode: 'always_create', days: null });
+
+  withEnv(t, { AMOCRM_LEAD_DEDUP_MODE: 'reuse_recent' });
+  assert.throws(() => getLeadDedupPolicy(), /AMOCRM_LEAD_DEDUP_DAYS/);
+  process.env.AMOCRM_LEAD_DEDUP_DAYS = '7';
+  t.after(() => delete process.env.AMOCRM_LEAD_DEDUP_DAYS);
+  assert.deepStrictEqual(getLeadDedupPolicy(), { mode: 'reuse_recent', days: 7 });
+
+  process.env.AMOCRM_LEAD_DEDUP_MODE = 'sometimes';
+  assert.throws(() => getLeadDedupPolicy(), /Некорректное значение AMOCRM_LEAD_DEDUP_MODE/);
+});
+
+test('findOpenLeadForContact: always_create не обращается к amoCRM', async t => {
+  const requests = await startStubAmoCRM(t);
+
+  assert.strictEqual(await findOpenLeadForContact(7, 10, { mode: 'always_create', days: null }), null);
+  assert.strictEqual(await findOpenLeadForContact(null, 10, { mode: 'reuse_open', days: null }), null);
+  assert.strictEqual(requests.length, 0);
+});
+
+test('findOpenLeadForContact: reuse_open - самая новая открытая сделка в воронке', async t => {
+  const requests = await startStubAmoCRM(t);
+
+  const lead = await findOpenLeadForContact(7, 10, { mode: 'reuse_open', days: null });
+
+  // Сделка 3 закрыта статусом 142, 4 - closed_at, 5 - в другой воронке
+  assert.strictEqual(lead.id, 2);
+  assert.deepStrictEqual(requests.map(request => request.path), ['/api/v4/contacts/7', '/api/v4/leads']);
+});
+
+test('findOpenLeadForContact: reuse_recent - только сделки не старше AMOCRM_LEAD_DEDUP_DAYS', async t => {
+  await startStubAmoCRM(t, LEADS.filter(lead => lead.id !== 2));
+
+  // Единственная открытая сделка воронки создана 40 дней назад
+  assert.strictEqual(await findOpenLeadForContact(7, 10, { mode: 'reuse_recent', days: 30 }), null);
+  assert.strictEqual((await findOpenLeadForContact(7, 10, { mode: 'reuse_recent', days: 60 })).id, 1);
+  assert.strictEqual((await findOpenLeadForContact(7, 10, { mode: 'reuse_open', days: null })).id, 1);
+});
+
+test('findOpenLeadForContact: у контакта нет сделок', async t => {
+  const requests = await startStubAmoCRM(t, []);
+
+  assert.strictEqual(await findOpenLeadForContact(7, 10, { mode: 'reuse_open', days: null }), null);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('appendCallToLead: договоренности дописываются, отдельное примечание не отправляется', async t => {
+  const requests = await startStubAmoCRM(t);
+  withEnv(t, { AMOCRM_AGREEMENTS_FIELD_ID: '900' });
+
+  const lead = { id: 2, responsible_user_id: 333, custom_fields_values: [{ field_id: 900, values: [{ value: 'Первый звонок' }] }] };
+  const leadFields = { custom_fields_values: [{ field_id: 900, values: [{ value: 'Второй звонок' }] }] };
+  const result = await appendCallToLead(lead, leadFields, { call: { agreements: { agreements: 'Второй звонок' } } });
+
+  assert.strictEqual(result.action, 'updated');
+  // Задача по договоренности назначается текущему ответственному за сделку
+  assert.strictEqual(result.responsibleUserId, 333);
+  assert.deepStrictEqual(requests.map(request => `${request.method} ${request.path}`), ['PATCH /api/v4/leads/2']);
+  const update = JSON.parse(requests[0].body);
+  assert.deepStrictEqual(update.custom_fields_values, [{ field_id: 900, values: [{ value: 'Первый звонок\n\nВторой звонок' }] }]);
+});
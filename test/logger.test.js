@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const axios = require('axios');
+const { logger, redact, createLogger, runWithCorrelationId } = require('../logger');
+
+/**
+ * Записи лога, выведенные во время callback (stdout и stderr)
+ */
+async function captureLog(callback) {
+  const lines = [];
+  const original = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const capture = chunk => {
+    lines.push(...String(chunk).split('\n').filter(Boolean));
+    return true;
+  };
+  process.stdout.write = capture;
+  process.stderr.write = capture;
+  try {
+    await callback();
+  } finally {
+    process.stdout.write = original.stdout;
+    process.stderr.write = original.stderr;
+  }
+  return lines;
+}
+
+/**
+ * Реальная ошибка axios (ответ 400), обернутая так же, как ошибки запросов к amoCRM
+ */
+async function makeAmoCRMError() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(400, { 'Content-Type': 'application/json', 'X-Secret-Header': 'header-value' });
+    res.end(JSON.stringify({ title: 'Bad Request', detail: 'Телефон 79001234567 уже занят' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await axios.post(`http://127.0.0.1:${server.address().port}/api/v4/contacts`, [{ name: 'x' }], {
+      headers: { Authorization: 'Bearer SUPERSECRET123' }
+    });
+  } catch (error) {
+    const wrapped = new Error(error.response.data.title);
+    wrapped.code = error.code;
+    wrapped.response = error.response;
+    return wrapped;
+  } finally {
+    server.close();
+  }
+  throw new Error('Ожидалась ошибка 400');
+}
+
+test('ошибка axios через logger.error: без заголовков, запроса и токена', async () => {
+  const error = await makeAmoCRMError();
+  const lines = await captureLog(() => runWithCorrelationId('cid-1', () => {
+    logger.error('Ошибка при тестовой отправке в amoCRM', { error });
+  }));
+
+  assert.strictEqual(lines.length, 1);
+  const line = lines[0];
+  const entry = JSON.parse(line);
+  assert.strictEqual(entry.level, 'error');
+  assert.strictEqual(entry.correlationId, 'cid-1');
+  assert.ok(!line.includes('SUPERSECRET123'), line);
+  assert.ok(!line.includes('X-Secret-Header') && !line.includes('x-secret-header'), line);
+  assert.ok(!line.includes('_header'), line);
+  assert.ok(!line.includes('79001234567'), line);
+  assert.ok(line.includes('Bad Request'), line);
+  const fields = entry.error;
+  assert.strictEqual(fields.status, 400);
+  assert.deepStrictEqual(fields.response, { title: 'Bad Request', detail: 'Телефон ***4567 уже занят' });
+});
+
+test('redact: поля по путям и телефоны / email внутри строк', () => {
+  const result = redact({
+    body: { contact: { phone: '79001234567', additionalFields: { email: 'ivan@mail.ru' } } },
+    tenant: { accessToken: 'secret' },
+    note: 'Контакт +79001234567, ivan@mail.ru',
+    created_at: 1697000000
+  });
+  assert.strictEqual(result.body.contact.phone, '[REDACTED]');
+  assert.strictEqual(result.body.contact.additionalFields.email, '[REDACTED]');
+  assert.strictEqual(result.tenant.accessToken, '[REDACTED]');
+  assert.strictEqual(result.note, 'Контакт ***4567, ***@mail.ru');
+  assert.strictEqual(result.created_at, 1697000000);
+});
+
+test('logger.body пишет тело только при LOG_BODIES=true', async t => {
+  const previous = process.env.LOG_BODIES;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.LOG_BODIES;
+    } else {
+      process.env.LOG_BODIES = previous;
+    }
+  });
+
+  delete process.env.LOG_BODIES;
+  const withoutBodies = createLogger();
+  assert.deepStrictEqual(await captureLog(() => withoutBodies.body('Тело запроса', { a: 1 })), []);
+
+  process.env.LOG_BODIES = 'true';
+  const withBodies = createLogger();
+  const lines = await captureLog(() => withBodies.body('Тело запроса', { contact: { phone: '79001234567' } }));
+  assert.deepStrictEqual(JSON.parse(lines[0]).body, { contact: { phone: '[REDACTED]' } });
+});
+
+test('createLogger: настройки читаются один раз при создании', async t => {
+  const previous = process.env.LOG_LEVEL;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = previous;
+    }
+  });
+
+  process.env.LOG_LEVEL = 'warn';
+  const log = createLogger();
+  process.env.LOG_LEVEL = 'debug';
+
+  const lines = await captureLog(() => {
+    log.info('Не пишется: уровень warn задан при создании');
+    log.warn('Пишется');
+  });
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line).msg), ['Пишется']);
+  assert.strictEqual(log.config.level, 'warn');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildLeadNotes } = require('../notes');
+
+const data = {
+  contact: { phone: '+79001234567' },
+  call: { id: 'call-1', type: 'outgoing', agreements: { agreements: 'Перезвонить в пятницу' } }
+};
+
+test('buildLeadNotes: повторный звонок отмечается в текстовом примечании, отдельного примечания нет', () => {
+  const notes = buildLeadNotes(data, { repeatCall: true });
+
+  assert.deepStrictEqual(notes.map(note => note.note_type), ['call_out', 'common']);
+  assert.match(notes[1].params.text, /^🔁 Повторный звонок\n📞 Звонок AI менеджера\nДоговоренности: Перезвонить в пятницу$/);
+});
+
+test('buildLeadNotes: для новой сделки отметки о повторном звонке нет', () => {
+  const notes = buildLeadNotes(data);
+
+  assert.doesNotMatch(notes[1].params.text, /Повторный звонок/);
+});
+
+test('buildLeadNotes: повторный звонок без данных для текстового примечания - отдельное примечание', () => {
+  const notes = buildLeadNotes({ contact: { phone: '+79001234567' }, call: { id: 'call-2', startedAt: '2024-05-01T10:00:00.000Z' } }, { repeatCall: true });
+
+  assert.deepStrictEqual(notes.map(note => note.note_type), ['call_out', 'common']);
+  assert.match(notes[1].params.text, /^🔁 Повторный звонок \d{2}\.\d{2}\.\d{4}/);
+});
+
+test('buildLeadNotes: при AMOCRM_NOTES_ENABLED=false повторный звонок все равно отмечается', t => {
+  process.env.AMOCRM_NOTES_ENABLED = 'false';
+  t.after(() => delete process.env.AMOCRM_NOTES_ENABLED);
+
+  assert.deepStrictEqual(buildLeadNotes(data), []);
+  const notes = buildLeadNotes(data, { repeatCall: true });
+  assert.strictEqual(notes.length, 1);
+  assert.match(notes[0].params.text, /^🔁 Повторный звонок/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+
+const { getSchemaMode, validatePayload, checkWebhookPayload } = require('../payloadSchema');
+
+const VALID = {
+  id: 'evt-1',
+  type: 'call.finished',
+  timestamp: '2026-10-19T09:00:00.000Z',
+  contact: { phone: '+79001234567', tags: ['VIP'], additionalFields: { email: 'ivan@mail.ru' } },
+  call: {
+    type: 'incoming',
+    duration: 95,
+    startedAt: 1797670800000,
+    recordUrl: 'https://sasha.ai/records/1.mp3',
+    agreements: { isCommit: true, interest_level: 'high', price: '15000' }
+  },
+  callList: { id: 7, name: 'Холодная база' }
+};
+
+// Ошибки, которые раньше не мешали приему вебхука
+const INVALID = {
+  ...VALID,
+  call: { ...VALID.call, duration: '95000', startedAt: 'вчера', agreements: { isCommit: 'да', price: 'дорого' } }
+};
+
+function withSchemaMode(t, mode) {
+  const previous = process.env.WEBHOOK_SCHEMA_MODE;
+  if (mode === undefined) {
+    delete process.env.WEBHOOK_SCHEMA_MODE;
+  } else {
+    process.env.WEBHOOK_SCHEMA_MODE = mode;
+  }
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.WEBHOOK_SCHEMA_MODE;
+    } else {
+      process.env.WEBHOOK_SCHEMA_MODE = previous;
+    }
+  });
+}
+
+test('validatePayload: корректные данные, отсутствующие и null-поля не проверяются', () => {
+  assert.deepStrictEqual(validatePayload(VALID), { version: '1', errors: [] });
+  assert.deepStrictEqual(validatePayload({ contact: { phone: null }, call: {} }).errors, []);
+});
+
+test('validatePayload: ошибки типов с путями', () => {
+  const { errors } = validatePayload(INVALID);
+
+  assert.deepStrictEqual(errors.map(error => error.path), [
+    'call.duration',
+    'call.startedAt',
+    'call.agreements.isCommit',
+    'call.agreements.price'
+  ]);
+  assert.strictEqual(errors[0].message, 'ожидается число, получено "95000"');
+  assert.strictEqual(errors[1].message, 'ожидается дата (ISO или миллисекунды), получено "вчера"');
+
+  const other = validatePayload({ contact: { tags: 5, additionalFields: { email: 'нет' } }, call: { recordUrl: 'ftp://x' } });
+  assert.deepStrictEqual(other.errors.map(error => error.message), [
+    'ожидается массив или строка, получено 5',
+    'ожидается email, получено "нет"',
+    'ожидается ссылка http(s), получено "ftp://x"'
+  ]);
+});
+
+test('validatePayload: версия из тела или заголовка, неизвестная версия - ошибка', () => {
+  assert.strictEqual(validatePayload({ ...VALID, version: 1 }).version, '1');
+  assert.strictEqual(validatePayload(VALID, { 'x-webhook-schema-version': '1' }).version, '1');
+
+  assert.deepStrictEqual(validatePayload({ ...VALID, schemaVersion: '2' }), {
+    version: '2',
+    errors: [{ path: 'version', message: 'неизвестная версия схемы "2" (поддерживаются: 1)' }]
+  });
+  assert.strictEqual(validatePayload(VALID, { 'x-webhook-schema-version': '9' }).errors[0].path, 'version');
+});
+
+test('getSchemaMode: по умолчанию и для неизвестного значения - lenient', t => {
+  withSchemaMode(t, undefined);
+  assert.strictEqual(getSchemaMode(), 'lenient');
+  process.env.WEBHOOK_SCHEMA_MODE = ' STRICT ';
+  assert.strictEqual(getSchemaMode(), 'strict');
+  process.env.WEBHOOK_SCHEMA_MODE = 'strong';
+  assert.strictEqual(getSchemaMode(), 'lenient');
+});
+
+test('checkWebhookPayload: lenient (по умолчанию) - вебхук с ошибками обрабатывается', t => {
+  withSchemaMode(t, undefined);
+  assert.strictEqual(checkWebhookPayload(INVALID), null);
+  assert.strictEqual(checkWebhookPayload({ ...VALID, version: '2' }), null);
+});
+
+test('checkWebhookPayload: strict - 422 со списком неверных полей', t => {
+  withSchemaMode(t, 'strict');
+  assert.strictEqual(checkWebhookPayload(VALID), null);
+
+  const rejection = checkWebhookPayload(INVALID);
+  assert.strictEqual(rejection.statusCode, 422);
+  assert.strictEqual(rejection.body.success, false);
+  assert.strictEqual(rejection.body.error, 'Данные вебхука не соответствуют схеме');
+  assert.strictEqual(rejection.body.schemaVersion, '1');
+  assert.deepStrictEqual(rejection.body.errors, validatePayload(INVALID).errors);
+
+  const unknownVersion = checkWebhookPayload(VALID, { 'x-webhook-schema-version': '2' });
+  assert.strictEqual(unknownVersion.statusCode, 422);
+  assert.strictEqual(unknownVersion.body.errors[0].path, 'version');
+});
+
+test('checkWebhookPayload: off - проверка отключена', t => {
+  withSchemaMode(t, 'off');
+  assert.strictEqual(checkWebhookPayload(INVALID), null);
+  assert.strictEqual(checkWebhookPayload({ ...VALID, version: '2' }), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolvePipelineRoute, validatePipelineRules, matchesCondition } = require('../pipelineRules');
+const { getValueByPath } = require('../mapping');
+
+// Правила из примера README
+const RULES = [
+  { name: 'Холодная база', when: { 'callList.name': 'Холодная база' }, pipeline_id: 1234567 },
+  { name: 'Входящие', when: { 'call.type': 'incoming' }, pipeline_id: 2345678 },
+  { name: 'Договоренность', when: { 'call.agreements.isCommit': true }, status_id: 3456789 },
+  { when: { 'call.agreements.interest_level': { in: ['high', 'высокий'] } }, status_id: 4567890 }
+];
+const DEFAULTS = { pipeline_id: 1000, status_id: 2000 };
+
+function route(data) {
+  return resolvePipelineRoute(data, RULES, { getValueByPath, defaults: DEFAULTS });
+}
+
+test('resolvePipelineRoute: входящий звонок Sasha AI (call.type: incoming) - воронка входящих', () => {
+  const result = route({ call: { type: 'incoming', agreements: { isCommit: true } } });
+
+  assert.deepStrictEqual(result, {
+    pipeline_id: 2345678,
+    status_id: 3456789,
+    pipelineRule: 'Входящие',
+    statusRule: 'Договоренность'
+  });
+  assert.strictEqual(route({ call: { type: 'outgoing' } }).pipeline_id, DEFAULTS.pipeline_id);
+});
+
+test('resolvePipelineRoute: первое подходящее правило, статус по умолчанию только в воронке по умолчанию', () => {
+  // Колл-лист проверяется раньше типа звонка, строки - без учета регистра
+  const coldBase = route({ callList: { name: 'холодная база ' }, call: { type: 'incoming' } });
+  assert.strictEqual(coldBase.pipeline_id, 1234567);
+  assert.strictEqual(coldBase.pipelineRule, 'Холодная база');
+  assert.strictEqual(coldBase.status_id, null);
+
+  const fallback = route({ call: { type: 'outgoing', agreements: { interest_level: 'High' } } });
+  assert.deepStrictEqual(fallback, { pipeline_id: 1000, status_id: 4567890, pipelineRule: null, statusRule: '#4' });
+
+  assert.deepStrictEqual(route({}), { pipeline_id: 1000, status_id: 2000, pipelineRule: null, statusRule: null });
+});
+
+test('matchesCondition: операторы not, regex, gte, lte, exists', () => {
+  assert.strictEqual(matchesCondition('incoming', { not: 'outgoing' }), true);
+  assert.strictEqual(matchesCondition('Москва и МО', { regex: '^москва' }), true);
+  assert.strictEqual(matchesCondition(90, { gte: 60, lte: 120 }), true);
+  assert.strictEqual(matchesCondition(undefined, { gte: 0 }), false);
+  assert.strictEqual(matchesCondition('', { exists: false }), true);
+});
+
+test('validatePipelineRules: ошибки в правилах', () => {
+  assert.deepStrictEqual(validatePipelineRules(RULES), []);
+  assert.deepStrictEqual(validatePipelineRules({}), ['pipeline_rules: ожидается массив правил']);
+  assert.deepStrictEqual(validatePipelineRules([
+    { when: { 'call.type': 'incoming' } },
+    { when: { 'call.duration': { gt: 5 } }, pipeline_id: '12' }
+  ]), [
+    'pipeline_rules[0]: укажите pipeline_id и/или status_id',
+    'pipeline_rules[1].pipeline_id: ожидается положительное целое число',
+    'pipeline_rules[1].when.call.duration.gt: неизвестный оператор (доступны: in, not, regex, gte, lte, exists)'
+  ]);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createQueue, isRetryableError, getRetryAfterMs, getRetryDelay } = require('../queue');
+
+function makeConfig(overrides = {}) {
+  return {
+    dir: fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-')),
+    maxAttempts: 3,
+    retryBaseMs: 1000,
+    retryMaxMs: 60000,
+    pollIntervalMs: 10,
+    concurrency: 5,
+    ...overrides
+  };
+}
+
+function httpError(status, headers = {}) {
+  const error = new Error(`status ${status}`);
+  error.response = { status, headers, data: null };
+  return error;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error('Условие не выполнено за отведенное время');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('isRetryableError: сетевые ошибки, 429 и 5xx повторяются, 4xx и ошибки настройки - нет', () => {
+  assert.strictEqual(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.strictEqual(isRetryableError(httpError(429)), true);
+  assert.strictEqual(isRetryableError(httpError(502)), true);
+  assert.strictEqual(isRetryableError(httpError(400)), false);
+  assert.strictEqual(isRetryableError(httpError(401)), false);
+  assert.strictEqual(isRetryableError(Object.assign(new Error('bad url'), { code: 'ERR_INVALID_URL' })), false);
+  assert.strictEqual(isRetryableError(new Error('Не установлен AMOCRM_PIPELINE_ID')), false);
+});
+
+test('getRetryDelay: экспонента с ограничением и учет Retry-After', () => {
+  const config = { retryBaseMs: 1000, retryMaxMs: 5000 };
+  assert.strictEqual(getRetryDelay(1, httpError(503), config), 1000);
+  assert.strictEqual(getRetryDelay(3, httpError(503), config), 4000);
+  assert.strictEqual(getRetryDelay(10, httpError(503), config), 5000);
+  assert.strictEqual(getRetryDelay(1, httpError(429, { 'retry-after': '7' }), config), 7000);
+  assert.strictEqual(getRetryAfterMs(httpError(429, { 'retry-after': 'not a date' })), null);
+});
+
+test('задания выполняются волнами не больше concurrency, задания с одним ключом - не одновременно', async () => {
+  let active = 0;
+  let maxActive = 0;
+  const activeKeys = new Set();
+  let lockViolations = 0;
+  const queue = createQueue({
+    config: makeConfig({ concurrency: 2 }),
+    getLockKey: job => job.payload.phone,
+    handler: async (job) => {
+      active += 1;
+      maxActive = Math.max(maxActive, active);
+      if (activeKeys.has(job.payload.phone)) {
+        lockViolations += 1;
+      }
+      activeKeys.add(job.payload.phone);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      activeKeys.delete(job.payload.phone);
+      active -= 1;
+      return { ok: true };
+    }
+  });
+
+  ['1', '1', '2', '3', '1'].forEach(phone => queue.enqueue({ phone }));
+  queue.start();
+  await waitFor(() => queue.listJobs().length === 0);
+  queue.stop();
+
+  assert.strictEqual(maxActive, 2);
+  assert.strictEqual(lockViolations, 0);
+});
+
+test('после временной ошибки задания той же группы откладываются до следующего прохода', async () => {
+  const calls = [];
+  const queue = createQueue({
+    config: makeConfig({ concurrency: 1, pollIntervalMs: 60000 }),
+    getGroup: job => job.payload.tenant,
+    handler: async (job) => {
+      calls.push(job.payload.name);
+      if (job.payload.name === 'a1') {
+        throw httpError(503);
+      }
+      return null;
+    }
+  });
+
+  queue.enqueue({ tenant: 'a', name: 'a1' });
+  queue.enqueue({ tenant: 'a', name: 'a2' });
+  queue.enqueue({ tenant: 'b', name: 'b1' });
+  queue.start();
+  await waitFor(() => calls.includes('b1'));
+  queue.stop();
+
+  assert.deepStrictEqual(calls, ['a1', 'b1']);
+  const pending = queue.listJobs({ status: 'pending' }).map(job => job.payload.name).sort();
+  assert.deepStrictEqual(pending, ['a1', 'a2']);
+});
+
+test('неисправимая ошибка и исчерпание попыток переводят задание в dead', async () => {
+  const dead = [];
+  const retried = [];
+  const queue = createQueue({
+    config: makeConfig({ maxAttempts: 2, retryBaseMs: 1 }),
+    handler: async (job) => {
+      throw httpError(job.payload.status);
+    },
+    onRetry: job => retried.push(job.id),
+    onDead: job => dead.push(job.id)
+  });
+
+  const rejected = queue.enqueue({ status: 400 });
+  const unavailable = queue.enqueue({ status: 503 });
+  queue.start();
+  await waitFor(() => dead.length === 2);
+  queue.stop();
+
+  assert.strictEqual(queue.getJob(rejected.id).status, 'dead');
+  assert.strictEqual(queue.getJob(rejected.id).attempts, 1);
+  assert.strictEqual(queue.getJob(rejected.id).lastError.status, 400);
+  assert.strictEqual(queue.getJob(unavailable.id).status, 'dead');
+  assert.strictEqual(queue.getJob(unavailable.id).attempts, 2);
+  assert.deepStrictEqual(retried, [unavailable.id]);
+});
+
+test('load(): задание в статусе processing после аварийной остановки возвращается в очередь', async () => {
+  const config = makeConfig();
+  fs.writeFileSync(path.join(config.dir, 'crashed.json'), JSON.stringify({
+    id: 'crashed',
+    status: 'processing',
+    attempts: 1,
+    nextAttemptAt: Date.now() + 3600000,
+    createdAt: new Date().toISOString(),
+    meta: {},
+    payload: { name: 'crashed' }
+  }));
+  fs.writeFileSync(path.join(config.dir, 'dead.json'), JSON.stringify({
+    id: 'dead',
+    status: 'dead',
+    attempts: 3,
+    nextAttemptAt: Date.now(),
+    createdAt: new Date().toISOString(),
+    meta: {},
+    payload: { name: 'dead' }
+  }));
+
+  const delivered = [];
+  const queue = createQueue({
+    config,
+    handler: async (job) => {
+      delivered.push(job.payload.name);
+      return null;
+    }
+  });
+  queue.start();
+  await waitFor(() => delivered.length === 1);
+  queue.stop();
+
+  assert.deepStrictEqual(delivered, ['crashed']);
+  assert.strictEqual(queue.getJob('crashed'), null);
+  assert.strictEqual(fs.existsSync(path.join(config.dir, 'crashed.json')), false);
+  assert.strictEqual(queue.getJob('dead').status, 'dead');
+});
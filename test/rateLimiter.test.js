@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../rateLimiter');
+
+test('ведро токенов: burst запросов сразу, остальные - со скоростью ratePerSec', async () => {
+  const limiter = createRateLimiter({ ratePerSec: 20, burst: 2, concurrency: 10 });
+  const startedAt = Date.now();
+
+  const offsets = await Promise.all([1, 2, 3, 4].map(() => limiter.schedule(async () => Date.now() - startedAt)));
+
+  // Первые два - из запаса, третий и четвертый - через 50 и 100 мс
+  assert.ok(offsets[0] < 30 && offsets[1] < 30, offsets.join(', '));
+  assert.ok(offsets[2] >= 40, offsets.join(', '));
+  assert.ok(offsets[3] >= 90, offsets.join(', '));
+  assert.ok(offsets[3] < 400, offsets.join(', '));
+});
+
+test('concurrency: одновременно выполняется не больше concurrency задач, порядок сохраняется', async () => {
+  const limiter = createRateLimiter({ ratePerSec: 1000, burst: 100, concurrency: 2 });
+  let active = 0;
+  let maxActive = 0;
+  const order = [];
+
+  const tasks = [1, 2, 3, 4, 5].map(index => limiter.schedule(async () => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    order.push(index);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    active -= 1;
+    return index;
+  }));
+
+  assert.strictEqual(limiter.getStats().active, 2);
+  assert.strictEqual(limiter.getStats().waiting, 3);
+  assert.deepStrictEqual(await Promise.all(tasks), [1, 2, 3, 4, 5]);
+  assert.strictEqual(maxActive, 2);
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+  assert.strictEqual(limiter.getStats().active, 0);
+});
+
+test('ошибка задачи возвращается вызывающему и освобождает место', async () => {
+  const limiter = createRateLimiter({ ratePerSec: 1000, burst: 100, concurrency: 1 });
+
+  const failed = limiter.schedule(async () => {
+    throw new Error('amoCRM недоступен');
+  });
+  const next = limiter.schedule(async () => 'ok');
+
+  await assert.rejects(failed, /amoCRM недоступен/);
+  assert.strictEqual(await next, 'ok');
+});
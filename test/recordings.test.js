@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  AMOCRM_ACCESS_TOKEN: 'test-token',
+  AMOCRM_RATE_LIMIT_RPS: '100',
+  AMOCRM_HTTP_RETRIES: '1',
+  AMOCRM_HTTP_RETRY_BASE_MS: '10',
+  AMOCRM_RECORDING_MAX_MB: '0.01',
+  AMOCRM_RECORDING_ATTEMPTS: '3',
+  AMOCRM_RECORDING_RETRY_MS: '10',
+  LOG_LEVEL: 'error'
+});
+
+const { uploadCallRecording } = require('../recordings');
+const { buildCallNote } = require('../notes');
+
+const RECORDING = Buffer.alloc(2500, 7);
+const PART_SIZE = 1000;
+
+/**
+ * Заглушка amoCRM и Sasha AI: записи звонков, сессия загрузки, части файла и файлы сделки
+ */
+function startStubServer() {
+  const state = { requests: [], parts: [], sessionStatus: 200, flakyFailures: 1 };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      state.requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.method === 'GET' && url.pathname === '/records/call-1.mp3') {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        return res.end(RECORDING);
+      }
+      if (req.method === 'GET' && url.pathname === '/records/flaky.mp3') {
+        if (state.flakyFailures > 0) {
+          state.flakyFailures--;
+          return send(502, {});
+        }
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        return res.end(RECORDING);
+      }
+      if (req.method === 'GET' && url.pathname === '/records/big.mp3') {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        return res.end(Buffer.alloc(20000));
+      }
+      if (req.method === 'POST' && url.pathname === '/drive/v1.0/sessions') {
+        if (state.sessionStatus !== 200) {
+          return send(state.sessionStatus, { title: 'Service Unavailable' });
+        }
+        state.session = JSON.parse(body.toString());
+        return send(200, { upload_url: `${state.baseUrl}/upload/1`, max_part_size: PART_SIZE, max_file_size: 1000000 });
+      }
+      const part = url.pathname.match(/^\/upload\/(\d+)$/);
+      if (req.method === 'POST' && part) {
+        state.parts.push({ index: Number(part[1]), size: body.length, contentType: req.headers['content-type'] });
+        const received = state.parts.reduce((sum, item) => sum + item.size, 0);
+        if (received < state.session.file_size) {
+          return send(200, { next_url: `${state.baseUrl}/upload/${Number(part[1]) + 1}` });
+        }
+        return send(200, { uuid: 'file-uuid-1', name: state.session.file_name, _links: { download: { href: 'https://drive.example/download/file-uuid-1' } } });
+      }
+      if (req.method === 'PUT' && url.pathname === '/api/v4/leads/55/files') {
+        state.attached = JSON.parse(body.toString());
+        return send(200, { _embedded: { files: state.attached } });
+      }
+      send(404, { title: 'Not Found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      state.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      process.env.AMOCRM_BASE_URL = state.baseUrl;
+      process.env.AMOCRM_DRIVE_URL = `${state.baseUrl}/drive`;
+      resolve({ server, state });
+    });
+  });
+}
+
+function webhookData(recordUrl) {
+  return {
+    contact: { phone: '+79001234567' },
+    call: { id: 'call-1', type: 'outgoing', duration: 30000, recordUrl }
+  };
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('uploadCallRecording: сессия загрузки → части файла → прикрепление к сделке', async t => {
+  const { server, state } = await startStubServer();
+  t.after(() => server.close());
+
+  const data = webhookData(`${state.baseUrl}/records/call-1.mp3`);
+  const recording = await uploadCallRecording(55, data);
+
+  assert.deepStrictEqual(recording, { fileUuid: 'file-uuid-1', link: 'https://drive.example/download/file-uuid-1' });
+  assert.deepStrictEqual(state.session, { file_name: 'call-1.mp3', file_size: RECORDING.length, content_type: 'audio/mpeg' });
+  assert.deepStrictEqual(state.parts.map(item => [item.index, item.size]), [[1, 1000], [2, 1000], [3, 500]]);
+  assert.ok(state.parts.every(item => item.contentType === 'application/octet-stream'));
+  assert.deepStrictEqual(state.attached, [{ file_uuid: 'file-uuid-1' }]);
+  assert.ok(state.requests.filter(item => item.path !== '/records/call-1.mp3').every(item => item.authorization === 'Bearer test-token'));
+
+  // В примечании о звонке - ссылка на файл amoCRM
+  assert.strictEqual(buildCallNote(data, { recordLink: recording.link }).params.link, 'https://drive.example/download/file-uuid-1');
+});
+
+test('uploadCallRecording: скачивание записи повторяется при 5xx', async t => {
+  const { server, state } = await startStubServer();
+  t.after(() => server.close());
+
+  const recording = await uploadCallRecording(55, webhookData(`${state.baseUrl}/records/flaky.mp3`));
+
+  assert.strictEqual(recording.fileUuid, 'file-uuid-1');
+  assert.strictEqual(state.requests.filter(item => item.path === '/records/flaky.mp3').length, 2);
+});
+
+test('uploadCallRecording: запись больше AMOCRM_RECORDING_MAX_MB не загружается, в примечании исходная ссылка', async t => {
+  const { server, state } = await startStubServer();
+  t.after(() => server.close());
+
+  const data = webhookData(`${state.baseUrl}/records/big.mp3`);
+  await assert.rejects(uploadCallRecording(55, data), /больше 0\.01 МБ/);
+
+  // Повтор не поможет - запись скачивается один раз, в amoCRM ничего не отправляется
+  assert.deepStrictEqual(state.requests.map(item => item.path), ['/records/big.mp3']);
+  assert.strictEqual(buildCallNote(data, { recordLink: null }).params.link, data.call.recordUrl);
+});
+
+test('uploadCallRecording: запросы к amoCRM повторяются только общим клиентом и только при 429', async t => {
+  const { server, state } = await startStubServer();
+  t.after(() => server.close());
+  state.sessionStatus = 429;
+
+  await assert.rejects(uploadCallRecording(55, webhookData(`${state.baseUrl}/records/call-1.mp3`)));
+
+  // AMOCRM_HTTP_RETRIES=1: первая попытка и один повтор, без повторов сверху
+  assert.strictEqual(state.requests.filter(item => item.path === '/drive/v1.0/sessions').length, 2);
+
+  // 5xx не повторяется - задание вебхука повторит очередь доставки
+  state.sessionStatus = 503;
+  state.requests.length = 0;
+  await assert.rejects(uploadCallRecording(55, webhookData(`${state.baseUrl}/records/call-1.mp3`)));
+  assert.strictEqual(state.requests.filter(item => item.path === '/drive/v1.0/sessions').length, 1);
+});
+
+test('uploadCallRecording: без записи звонка ничего не загружается', async () => {
+  assert.strictEqual(await uploadCallRecording(55, { call: {} }), null);
+  assert.strictEqual(await uploadCallRecording(null, webhookData('http://127.0.0.1/records/call-1.mp3')), null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+
+const { buildLeadTask, resolveTaskDeadline } = require('../tasks');
+
+const NOW = Date.parse('2026-10-19T09:00:00.000Z');
+const DATA = { call: { agreements: { agreements_time: 'завтра в 15:00', client_name: 'Иван' } } };
+
+function withEnv(t, values) {
+  for (const [name, value] of Object.entries(values)) {
+    process.env[name] = value;
+    t.after(() => delete process.env[name]);
+  }
+}
+
+test('buildLeadTask: без AMOCRM_TASK_RESPONSIBLE_USER_ID задача назначается ответственному за сделку', t => {
+  assert.strictEqual(buildLeadTask(55, DATA, { responsibleUserId: 111 }).responsible_user_id, 111);
+  assert.strictEqual('responsible_user_id' in buildLeadTask(55, DATA), false);
+
+  withEnv(t, { AMOCRM_TASK_RESPONSIBLE_USER_ID: '222' });
+  assert.strictEqual(buildLeadTask(55, DATA, { responsibleUserId: 111 }).responsible_user_id, 222);
+});
+
+test('buildLeadTask: без договоренности о времени или при AMOCRM_TASKS_ENABLED=false задачи нет', t => {
+  assert.strictEqual(buildLeadTask(55, { call: {} }), null);
+
+  withEnv(t, { AMOCRM_TASKS_ENABLED: 'false' });
+  assert.strictEqual(buildLeadTask(55, DATA), null);
+});
+
+test('resolveTaskDeadline: прошедшее или нераспознанное время - срок по умолчанию', t => {
+  withEnv(t, { AMOCRM_TASK_DEFAULT_DEADLINE_HOURS: '2' });
+
+  assert.deepStrictEqual(resolveTaskDeadline('завтра в 15:00', NOW), { completeTill: Date.parse('2026-10-20T12:00:00.000Z') / 1000, parsed: true });
+  assert.deepStrictEqual(resolveTaskDeadline('когда-нибудь', NOW), { completeTill: NOW / 1000 + 7200, parsed: false });
+  assert.deepStrictEqual(resolveTaskDeadline('2026-10-01 10:00', NOW), { completeTill: NOW / 1000 + 7200, parsed: false });
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runWithTenant, getEnv, isAccountScopedEnv } = require('../tenantContext');
+
+test('getEnv: тенант не получает ID воронок и полей другого аккаунта из .env', () => {
+  process.env.AMOCRM_PIPELINE_ID = '111';
+  process.env.AMOCRM_REGION_FIELD_ID = '222';
+  process.env.AMOCRM_RESPONSIBLE_USER_ID = '333';
+  process.env.AMOCRM_LEAD_DEDUP_MODE = 'append';
+
+  runWithTenant({ id: 'acme', env: { AMOCRM_STATUS_ID: 42 } }, () => {
+    assert.strictEqual(getEnv('AMOCRM_STATUS_ID'), '42');
+    assert.strictEqual(getEnv('AMOCRM_PIPELINE_ID'), undefined);
+    assert.strictEqual(getEnv('AMOCRM_REGION_FIELD_ID'), undefined);
+    assert.strictEqual(getEnv('AMOCRM_RESPONSIBLE_USER_ID'), undefined);
+    // Общие настройки поведения по-прежнему берутся из .env
+    assert.strictEqual(getEnv('AMOCRM_LEAD_DEDUP_MODE'), 'append');
+  });
+
+  // Без тенанта - настройки из .env, как раньше
+  assert.strictEqual(getEnv('AMOCRM_PIPELINE_ID'), '111');
+  assert.strictEqual(getEnv('AMOCRM_REGION_FIELD_ID'), '222');
+});
+
+test('isAccountScopedEnv: ID аккаунта - да, флаги и режимы - нет', () => {
+  assert.strictEqual(isAccountScopedEnv('AMOCRM_CONTACT_CITY_FIELD_ID'), true);
+  assert.strictEqual(isAccountScopedEnv('AMOCRM_TASK_TYPE_ID'), true);
+  assert.strictEqual(isAccountScopedEnv('AMOCRM_TASKS_ENABLED'), false);
+  assert.strictEqual(isAccountScopedEnv('AMOCRM_RESPONSIBLE_MODE'), false);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+const { validateTenant } = require('../tenants');
+const { runWithTenant } = require('../tenantContext');
+const { resolveTaskDeadline } = require('../tasks');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PIPELINE_ERROR = /^env\.AMOCRM_PIPELINE_ID: укажите воронку тенанта/;
+
+function tenant(fields = {}) {
+  return { id: 'acme', webhookSecret: 'secret', subdomain: 'acme', accessToken: 'token', ...fields };
+}
+
+function mappingFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('validateTenant: тенант без воронки в env и в mappingFile не принимается', () => {
+  const errors = validateTenant(tenant({ env: { AMOCRM_STATUS_ID: '1' } }));
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], PIPELINE_ERROR);
+
+  assert.match(validateTenant(tenant({ env: { AMOCRM_PIPELINE_ID: '' } }))[0], PIPELINE_ERROR);
+  assert.deepStrictEqual(validateTenant(tenant({ env: { AMOCRM_PIPELINE_ID: '123' } })), []);
+});
+
+test('validateTenant: воронка из mappingFile - lead.pipeline_id или правило без условий', () => {
+  const leadPipeline = mappingFile('lead.yaml', 'lead:\n  pipeline_id: { value: 123 }\n');
+  assert.deepStrictEqual(validateTenant(tenant({ mappingFile: leadPipeline })), []);
+
+  const catchAll = mappingFile('catch-all.yaml', [
+    'pipeline_rules:',
+    '  - when: { call.type: incoming }',
+    '    pipeline_id: 111',
+    '  - pipeline_id: 222',
+    ''
+  ].join('\n'));
+  assert.deepStrictEqual(validateTenant(tenant({ mappingFile: catchAll })), []);
+
+  // Воронка только для части звонков - остальным сделкам воронки нет
+  const partial = mappingFile('partial.yaml', 'pipeline_rules:\n  - when: { call.type: incoming }\n    pipeline_id: 111\n');
+  assert.match(validateTenant(tenant({ mappingFile: partial }))[0], PIPELINE_ERROR);
+});
+
+test('validateTenant: часовой пояс и сроки задач настраиваются для тенанта', () => {
+  const env = {
+    AMOCRM_PIPELINE_ID: '123',
+    AMOCRM_TASK_TIMEZONE: 'Asia/Yekaterinburg',
+    AMOCRM_TASK_DEFAULT_HOUR: '9',
+    AMOCRM_TASK_DEFAULT_DEADLINE_HOURS: '4'
+  };
+  assert.deepStrictEqual(validateTenant(tenant({ env })), []);
+
+  const now = Date.parse('2026-10-19T09:00:00.000Z');
+  const deadline = runWithTenant(tenant({ env }), () => resolveTaskDeadline('завтра', now));
+  // 9:00 по Екатеринбургу (UTC+5)
+  assert.strictEqual(deadline.completeTill, Date.parse('2026-10-20T04:00:00.000Z') / 1000);
+  const fallback = runWithTenant(tenant({ env }), () => resolveTaskDeadline('когда-нибудь', now));
+  assert.strictEqual(fallback.completeTill, now / 1000 + 4 * 3600);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { verifyWebhookRequest, verifyWebhookSignature, parseWebhookTimestamp } = require('../webhookAuth');
+
+const SECRET = 'current-secret';
+const PREVIOUS_SECRET = 'previous-secret';
+
+process.env.WEBHOOK_SECRET = SECRET;
+process.env.WEBHOOK_SECRET_PREVIOUS = PREVIOUS_SECRET;
+process.env.LOG_LEVEL = 'error';
+
+function sign(body, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+async function startServer(t) {
+  const app = express();
+  app.use('/webhook', express.text({ type: 'application/json' }));
+  app.post('/webhook', verifyWebhookRequest, (req, res) => res.json({ eventId: req.webhookEventId }));
+  const server = await new Promise(resolve => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  t.after(() => server.close());
+
+  return async (body, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body
+    });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+function eventBody(fields = {}) {
+  return JSON.stringify({ id: 'evt-1', timestamp: new Date().toISOString(), contact: { phone: '+79001234567' }, ...fields });
+}
+
+test('verifyWebhookSignature: hex и sha256=, неверные подписи отклоняются без исключений', () => {
+  const body = '{"id":1}';
+  assert.strictEqual(verifyWebhookSignature(body, sign(body), SECRET), true);
+  assert.strictEqual(verifyWebhookSignature(body, `sha256=${sign(body).toUpperCase()}`, SECRET), true);
+  assert.strictEqual(verifyWebhookSignature(body, sign(body), 'other'), false);
+  assert.strictEqual(verifyWebhookSignature(body, 'not-hex', SECRET), false);
+  assert.strictEqual(verifyWebhookSignature(body, sign(body).slice(2), SECRET), false);
+  assert.strictEqual(verifyWebhookSignature(body, undefined, SECRET), false);
+});
+
+test('parseWebhookTimestamp: секунды, миллисекунды и ISO', () => {
+  assert.strictEqual(parseWebhookTimestamp(1714557600), 1714557600000);
+  assert.strictEqual(parseWebhookTimestamp('1714557600000'), 1714557600000);
+  assert.strictEqual(parseWebhookTimestamp('2024-05-01T10:00:00.000Z'), 1714557600000);
+  assert.strictEqual(parseWebhookTimestamp('вчера'), null);
+  assert.strictEqual(parseWebhookTimestamp(''), null);
+});
+
+test('подпись: без заголовка и с неверной подписью - 401, текущий и предыдущий секрет принимаются', async t => {
+  const send = await startServer(t);
+  const body = eventBody();
+
+  assert.strictEqual((await send(body)).status, 401);
+  assert.strictEqual((await send(body, { 'X-Webhook-Signature': sign(body, 'wrong') })).status, 401);
+  assert.strictEqual((await send(body, { 'X-Webhook-Signature': sign(`${body} `) })).status, 401);
+
+  const accepted = await send(body, { 'X-Webhook-Signature': sign(body) });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(accepted.body.eventId, 'evt-1');
+  assert.strictEqual((await send(body, { 'X-Webhook-Signature': sign(body, PREVIOUS_SECRET) })).status, 200);
+});
+
+test('метка времени: берется только из подписанного тела', async t => {
+  const send = await startServer(t);
+
+  // Перехваченное старое тело с новой меткой времени в заголовке не принимается
+  const oldBody = eventBody({ timestamp: new Date(Date.now() - 3600 * 1000).toISOString() });
+  const replay = await send(oldBody, {
+    'X-Webhook-Signature': sign(oldBody),
+    'X-Webhook-Timestamp': String(Math.floor(Date.now() / 1000))
+  });
+  assert.strictEqual(replay.status, 401);
+  assert.match(replay.body.error, /вне допустимого окна/);
+
+  // Без timestamp в теле заголовок не помогает
+  const noTimestamp = JSON.stringify({ id: 'evt-2' });
+  const missing = await send(noTimestamp, {
+    'X-Webhook-Signature': sign(noTimestamp),
+    'X-Webhook-Timestamp': String(Date.now())
+  });
+  assert.strictEqual(missing.status, 401);
+
+  // Метка времени в event.timestamp
+  const nested = JSON.stringify({ event: { id: 'evt-3', timestamp: Date.now() } });
+  assert.strictEqual((await send(nested, { 'X-Webhook-Signature': sign(nested) })).status, 200);
+});
+
+test('метка времени: WEBHOOK_TIMESTAMP_TOLERANCE_SEC=0 отключает проверку', async t => {
+  process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC = '0';
+  t.after(() => delete process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC);
+  const send = await startServer(t);
+
+  const body = JSON.stringify({ id: 'evt-4', timestamp: '2020-01-01T00:00:00.000Z' });
+  assert.strictEqual((await send(body, { 'X-Webhook-Signature': sign(body) })).status, 200);
+});
+
+test('ID события: из подписанного тела, заголовок X-Webhook-ID не меняет его', async t => {
+  const send = await startServer(t);
+  const body = eventBody();
+
+  const first = await send(body, { 'X-Webhook-Signature': sign(body), 'X-Webhook-ID': 'new-id-1' });
+  const second = await send(body, { 'X-Webhook-Signature': sign(body), 'X-Webhook-ID': 'new-id-2' });
+
+  assert.strictEqual(first.body.eventId, 'evt-1');
+  assert.strictEqual(second.body.eventId, 'evt-1');
+});
+
+test('ID события: без id в теле - хеш тела, повторная отправка того же тела дает тот же ID', async t => {
+  const send = await startServer(t);
+  const body = JSON.stringify({ timestamp: new Date().toISOString(), call: { id: 'call-1' } });
+  const otherBody = JSON.stringify({ timestamp: new Date().toISOString(), call: { id: 'call-2' } });
+
+  const first = await send(body, { 'X-Webhook-Signature': sign(body), 'X-Webhook-ID': 'a' });
+  const resent = await send(body, { 'X-Webhook-Signature': sign(body), 'X-Webhook-ID': 'b' });
+  const other = await send(otherBody, { 'X-Webhook-Signature': sign(otherBody) });
+
+  assert.match(first.body.eventId, /^sha256:[0-9a-f]{64}$/);
+  assert.strictEqual(resent.body.eventId, first.body.eventId);
+  assert.notStrictEqual(other.body.eventId, first.body.eventId);
+});
@@ -0,0 +1,97 @@
+/**
+ * БИБЛИОТЕКА ПРЕОБРАЗОВАНИЙ ЗНАЧЕНИЙ
+ *
+ * Именованные преобразования для декларативного маппинга (mappingConfig.js).
+ * Каждое преобразование - функция (value, options) => новое значение;
+ * null означает "значения нет" (поле не заполняется).
+ */
+
+/**
+ * Приведение телефона к формату amoCRM (+7XXXXXXXXXX)
+ * Используется и при создании контакта, и при поиске существующего
+ * @param {String} phone
+ * @returns {String|null}
+ */
+function normalizePhone(phone) {
+  const phoneFormatted = String(phone || '').replace(/\D/g, '');
+  if (!phoneFormatted) {
+    return null;
+  }
+  // Форматируем телефон для amoCRM (должен начинаться с +)
+  return phoneFormatted.startsWith('7') ? `+${phoneFormatted}` : `+7${phoneFormatted}`;
+}
+
+/**
+ * Длительность в миллисекундах → "X мин Y сек"
+ * @param {Number} ms
+ * @returns {String|null}
+ */
+function formatDuration(ms) {
+  const value = Number(ms);
+  if (!ms || isNaN(value)) {
+    return null;
+  }
+  const minutes = Math.floor(value / 60000);
+  const seconds = Math.floor((value % 60000) / 1000);
+  return `${minutes} мин ${seconds} сек`;
+}
+
+const transforms = {
+  // Обрезка строки: { "name": "truncate", "length": 250 }
+  truncate: (value, options) => {
+    const text = String(value);
+    const length = options.length || 250;
+    const suffix = options.suffix ?? '...';
+    return text.length > length ? text.substring(0, length - suffix.length) + suffix : text;
+  },
+
+  // Телефон в формате +7XXXXXXXXXX
+  phone: (value) => normalizePhone(value),
+
+  // Миллисекунды → "X мин Y сек"
+  duration: (value) => formatDuration(value),
+
+  // Дата (ISO-строка или миллисекунды) → unix timestamp в секундах
+  unix: (value) => {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return isNaN(time) ? null : Math.floor(time / 1000);
+  },
+
+  // Массив → строка: { "name": "join", "separator": ", " }
+  join: (value, options) => {
+    const items = (Array.isArray(value) ? value : [value])
+      .filter(item => item !== null && item !== undefined && item !== '');
+    return items.length > 0 ? items.join(options.separator ?? ', ') : null;
+  },
+
+  // Строка → целое число
+  number: (value) => {
+    const numValue = parseInt(value);
+    return isNaN(numValue) ? null : numValue;
+  },
+
+  // Удаление пробелов по краям
+  trim: (value) => String(value).trim() || null
+};
+
+/**
+ * Применение цепочки преобразований
+ * @param {*} value - Исходное значение
+ * @param {Array} steps - [{ name, ...options }]
+ * @returns {*}
+ */
+function applyTransforms(value, steps = []) {
+  return steps.reduce((current, step) => {
+    if (current === null || current === undefined) {
+      return null;
+    }
+    return transforms[step.name](current, step);
+  }, value);
+}
+
+module.exports = {
+  transforms,
+  applyTransforms,
+  normalizePhone,
+  formatDuration
+};
@@ -0,0 +1,211 @@
+/**
+ * ПРОВЕРКА ПОДЛИННОСТИ ВЕБХУКОВ SASHA AI
+ *
+ * - подпись HMAC SHA-256 сырого тела (X-Webhook-Signature) текущим или предыдущим секретом;
+ * - окно метки времени: timestamp из подписанного тела;
+ * - ID события для идемпотентной обработки: id из подписанного тела, а без него -
+ *   хеш тела (повторная отправка того же тела распознается как дубликат, см. eventStore.js).
+ *
+ * Заголовки X-Webhook-Timestamp и X-Webhook-ID подписью не защищены, поэтому для
+ * проверки не используются: иначе перехваченное тело можно было бы отправлять
+ * повторно с новой меткой времени и новым ID.
+ */
+
+const crypto = require('crypto');
+const { metrics } = require('./metrics');
+const { logger } = require('./logger');
+
+/**
+ * Проверка HMAC SHA-256 подписи вебхука
+ * Сравнение выполняется через timingSafeEqual, некорректная подпись (не hex,
+ * неверная длина, префикс "sha256=") не приводит к исключению, а просто отклоняется
+ * @param {String} payload - Сырое тело запроса
+ * @param {String} signature - Значение заголовка X-Webhook-Signature
+ * @param {String} secret - Секретный ключ вебхука
+ * @returns {Boolean}
+ */
+function verifyWebhookSignature(payload, signature, secret) {
+  if (typeof payload !== 'string' || typeof signature !== 'string' || !secret) {
+    return false;
+  }
+
+  const normalized = signature.trim().replace(/^sha256=/i, '').toLowerCase();
+
+  // SHA-256 в hex - ровно 64 символа [0-9a-f]
+  if (!/^[0-9a-f]{64}$/.test(normalized)) {
+    return false;
+  }
+
+  const computed = crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest();
+  const received = Buffer.from(normalized, 'hex');
+
+  if (received.length !== computed.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(computed, received);
+}
+
+/**
+ * Список действующих секретов вебхука
+ * WEBHOOK_SECRET_PREVIOUS позволяет сменить секрет без простоя:
+ * пока Sasha AI подписывает старым ключом, подпись тоже принимается
+ * @param {Object|null} tenant - Тенант вебхука (его секреты вместо WEBHOOK_SECRET)
+ * @returns {String[]}
+ */
+function getWebhookSecrets(tenant = null) {
+  const secrets = tenant
+    ? [tenant.webhookSecret, tenant.webhookSecretPrevious]
+    : [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS];
+  return secrets
+    .map(secret => (secret || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Допустимое отклонение метки времени вебхука (в секундах)
+ * 0 - проверка метки времени отключена
+ */
+function getWebhookTolerance() {
+  const raw = process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC;
+  if (raw === undefined || raw === '') {
+    return 300;
+  }
+  const tolerance = parseInt(raw);
+  return isNaN(tolerance) || tolerance < 0 ? 300 : tolerance;
+}
+
+/**
+ * Преобразование метки времени вебхука в миллисекунды
+ * Поддерживаются unix-время в секундах/миллисекундах и строки ISO 8601
+ * @param {String|Number} value
+ * @returns {Number|null}
+ */
+function parseWebhookTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(String(value).trim())) {
+    const numeric = parseInt(value);
+    // Значения меньше 1e12 считаем секундами
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Метаданные события из подписанного тела: поля event или корня тела
+ * @param {String} payload - Сырое тело запроса
+ * @returns {Object}
+ */
+function getSignedEventMeta(payload) {
+  try {
+    const parsed = JSON.parse(payload);
+    return (parsed && typeof parsed.event === 'object' && parsed.event) || parsed || {};
+  } catch (error) {
+    // Ошибку парсинга вернет основной обработчик
+    return {};
+  }
+}
+
+/**
+ * ID события для идемпотентной обработки: id из подписанного тела или хеш тела
+ * @param {String} payload - Сырое тело запроса
+ * @param {Object} meta - Метаданные события (getSignedEventMeta)
+ * @returns {String}
+ */
+function getWebhookEventId(payload, meta) {
+  if (meta.id !== undefined && meta.id !== null && meta.id !== '') {
+    return String(meta.id);
+  }
+  return `sha256:${crypto.createHash('sha256').update(payload).digest('hex')}`;
+}
+
+/**
+ * Middleware проверки подлинности вебхука:
+ * подпись HMAC (текущий или предыдущий секрет) и окно метки времени из подписанного тела
+ * Повторная доставка того же ID обрабатывается идемпотентно в обработчике /webhook
+ * (req.webhookEventId)
+ */
+function verifyWebhookRequest(req, res, next) {
+  const signature = req.headers['x-webhook-signature'];
+  const payload = req.body; // Строка благодаря express.text()
+  const secrets = getWebhookSecrets(req.tenant);
+
+  if (secrets.length === 0) {
+    return res.status(500).json({
+      success: false,
+      error: 'WEBHOOK_SECRET не настроен'
+    });
+  }
+
+  const tenantLabel = req.tenant ? req.tenant.id : 'default';
+
+  if (!signature) {
+    metrics.signatureFailures.inc({ tenant: tenantLabel, reason: 'missing_signature' });
+    logger.warn('⛔ Вебхук отклонен: отсутствует заголовок X-Webhook-Signature');
+    return res.status(401).json({
+      success: false,
+      error: 'Отсутствует заголовок X-Webhook-Signature'
+    });
+  }
+
+  if (typeof payload !== 'string' || !payload) {
+    return res.status(400).json({
+      success: false,
+      error: 'Тело запроса пустое'
+    });
+  }
+
+  const signatureValid = secrets.some(secret => verifyWebhookSignature(payload, signature, secret));
+  if (!signatureValid) {
+    metrics.signatureFailures.inc({ tenant: tenantLabel, reason: 'invalid_signature' });
+    logger.warn('⛔ Вебхук отклонен: неверная подпись');
+    return res.status(401).json({
+      success: false,
+      error: 'Неверная подпись вебхука'
+    });
+  }
+
+  const meta = getSignedEventMeta(payload);
+  const tolerance = getWebhookTolerance();
+
+  if (tolerance > 0) {
+    const timestamp = parseWebhookTimestamp(meta.timestamp);
+    if (timestamp === null) {
+      metrics.signatureFailures.inc({ tenant: tenantLabel, reason: 'invalid_timestamp' });
+      logger.warn('⛔ Вебхук отклонен: в теле отсутствует или некорректна метка времени');
+      return res.status(401).json({
+        success: false,
+        error: 'Отсутствует или некорректна метка времени вебхука (timestamp в теле)'
+      });
+    }
+    if (Math.abs(Date.now() - timestamp) > tolerance * 1000) {
+      metrics.signatureFailures.inc({ tenant: tenantLabel, reason: 'expired_timestamp' });
+      logger.warn(`⛔ Вебхук отклонен: метка времени вне допустимого окна (${tolerance} сек)`);
+      return res.status(401).json({
+        success: false,
+        error: `Метка времени вебхука вне допустимого окна (${tolerance} сек)`
+      });
+    }
+  }
+
+  req.webhookEventId = getWebhookEventId(payload, meta);
+
+  next();
+}
+
+module.exports = {
+  verifyWebhookSignature,
+  getWebhookSecrets,
+  getWebhookTolerance,
+  parseWebhookTimestamp,
+  getWebhookEventId,
+  verifyWebhookRequest
+};